@@ -22,8 +22,31 @@ import cors from 'cors';
 import morgan from 'morgan';
 import connectDB from './config/db.js';
 import logger from './config/logger.js';
+import healthRoutes from './routes/healthRoutes.js';
 import stockRoutes from './routes/stockRoutes.js';
+import v2StockRoutes from './routes/v2StockRoutes.js';
+import quotaRoutes from './routes/quotaRoutes.js';
+import symbolRoutes from './routes/symbolRoutes.js';
+import watchlistRoutes from './routes/watchlistRoutes.js';
+import portfolioRoutes from './routes/portfolioRoutes.js';
+import alertRoutes from './routes/alertRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import backfillRoutes from './routes/backfillRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import usageRoutes from './routes/usageRoutes.js';
+import marketRoutes from './routes/marketRoutes.js';
+import { authenticate, requireScope } from './middlewares/authMiddleware.js';
+import { meterUsage } from './middlewares/usageMiddleware.js';
+import { measureRequests } from './middlewares/metricsMiddleware.js';
 import ApiError from './utils/ApiError.js';
+import { startAlertEvaluator } from './services/AlertService.js';
+import { startWebhookWorker, stopWebhookWorker } from './services/WebhookService.js';
+import { startIngestionScheduler, stopIngestionScheduler } from './services/IngestionScheduler.js';
+import { startBackfillWorker, stopBackfillWorker } from './services/BackfillService.js';
+import { startStreamFanout, closeAllStreams } from './services/StreamService.js';
+import { attachStreamSocket, closeStreamSocket } from './services/StreamSocketServer.js';
+import { startUsageRecorder, stopUsageRecorder } from './services/UsageService.js';
+import { getMetrics, METRICS_CONTENT_TYPE } from './services/MetricsService.js';
 
 // Debug: Log the current working directory and environment variables
 console.log('Current working directory:', process.cwd());
@@ -34,8 +57,10 @@ console.log('Environment variables:', {
   MONGODB_URI: process.env.MONGODB_URI ? '*** (exists)' : 'NOT FOUND'
 });
 
-// Validate required environment variables
-const requiredEnvVars = ['ALPHA_VANTAGE_API_KEY'];
+// Validate required environment variables (the API key is only needed when
+// Alpha Vantage is the configured market data provider)
+const marketDataProvider = (process.env.MARKET_DATA_PROVIDER || 'alphavantage').toLowerCase();
+const requiredEnvVars = marketDataProvider === 'alphavantage' ? ['ALPHA_VANTAGE_API_KEY'] : [];
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingVars.length > 0) {
@@ -56,11 +81,18 @@ class StockApiServer {
   }
 
   initializeMiddlewares() {
+    // Request counts and latency for /metrics
+    this.app.use(measureRequests);
+
     // Request logging
     this.app.use(morgan('dev', { stream: { write: message => logger.info(message.trim()) } }));
     
-    // Enable CORS
-    this.app.use(cors());
+    // Enable CORS, for the origins in CORS_ORIGINS when set and any origin otherwise
+    const corsOrigins = (process.env.CORS_ORIGINS || '')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean);
+    this.app.use(cors(corsOrigins.length ? { origin: corsOrigins } : {}));
     
     // Parse JSON bodies
     this.app.use(express.json());
@@ -70,13 +102,41 @@ class StockApiServer {
   }
 
   initializeRoutes() {
-    // Health check endpoint
-    this.app.get('/health', (req, res) => {
-      res.status(200).json({ status: 'UP', timestamp: new Date().toISOString() });
+    // Liveness and readiness checks
+    this.app.use('/health', healthRoutes);
+
+    const readMarketData = requireScope('read-market-data');
+    const manageWatchlists = requireScope('manage-watchlists');
+    const admin = requireScope('admin');
+
+    // Prometheus scrape endpoint, for admin keys only since it exposes every
+    // route, client-facing error rate and the upstream quota
+    this.app.get('/metrics', authenticate, admin, async (req, res, next) => {
+      try {
+        res.set('Content-Type', METRICS_CONTENT_TYPE);
+        res.send(await getMetrics());
+      } catch (error) {
+        next(error);
+      }
     });
 
+    // Every API call is metered per client. Routes resolve the caller's key
+    // first; each group then requires a scope
+    this.app.use('/api', meterUsage, authenticate);
+
     // API routes
-    this.app.use('/api/stocks', stockRoutes);
+    this.app.use('/api/stocks', readMarketData, stockRoutes);
+    this.app.use('/api/quota', readMarketData, quotaRoutes);
+    this.app.use('/api/market', readMarketData, marketRoutes);
+    this.app.use('/api/symbols', admin, symbolRoutes);
+    this.app.use('/api/watchlists', manageWatchlists, watchlistRoutes);
+    this.app.use('/api/portfolios', manageWatchlists, portfolioRoutes);
+    this.app.use('/api/alerts', manageWatchlists, alertRoutes);
+    this.app.use('/api/jobs', admin, jobRoutes);
+    this.app.use('/api/backfills', admin, backfillRoutes);
+    this.app.use('/api/v2/stocks', readMarketData, v2StockRoutes);
+    this.app.use('/api/admin', admin, adminRoutes);
+    this.app.use('/api/usage', usageRoutes);
 
     // 404 handler
     this.app.use((req, res, next) => {
@@ -87,6 +147,11 @@ class StockApiServer {
   initializeErrorHandling() {
     // Error handling middleware
     this.app.use((err, req, res, next) => {
+      // Failures in the middle of a streamed response can only drop the connection
+      if (res.headersSent) {
+        return next(err);
+      }
+
       const statusCode = err.statusCode || 500;
       const message = err.message || 'Internal Server Error';
       
@@ -100,6 +165,10 @@ class StockApiServer {
         method: req.method
       });
 
+      if (err.retryAfter) {
+        res.set('Retry-After', String(err.retryAfter));
+      }
+
       res.status(statusCode).json({
         success: false,
         message,
@@ -115,11 +184,22 @@ class StockApiServer {
         await connectDB();
       }
       
+      // Background workers: alert evaluation on new bars, webhook retries,
+      // scheduled ingestion of tracked symbols, intraday backfills and usage
+      // metering
+      startAlertEvaluator();
+      startWebhookWorker();
+      startIngestionScheduler();
+      await startBackfillWorker();
+      startStreamFanout();
+      startUsageRecorder();
+
       // Start the server
       this.server = this.app.listen(this.port, () => {
         logger.info(`Server running on port ${this.port}`);
         logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
       });
+      attachStreamSocket(this.server);
 
       // Handle unhandled promise rejections
       process.on('unhandledRejection', (err) => {
@@ -144,6 +224,13 @@ class StockApiServer {
   }
 
   async stop() {
+    stopWebhookWorker();
+    stopIngestionScheduler();
+    stopBackfillWorker();
+    closeStreamSocket();
+    closeAllStreams();
+    await stopUsageRecorder();
+
     if (this.server) {
       this.server.close(() => {
         logger.info('Server stopped');
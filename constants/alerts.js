@@ -0,0 +1,22 @@
+// Delay before each webhook retry; a delivery fails after the last one
+export const WEBHOOK_RETRY_DELAYS_MS = [
+  60 * 1000, // 1 minute
+  5 * 60 * 1000, // 5 minutes
+  30 * 60 * 1000, // 30 minutes
+  2 * 60 * 60 * 1000 // 2 hours
+];
+
+export const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// How often the worker looks for deliveries due for a retry
+export const WEBHOOK_POLL_INTERVAL_MS = Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 15000;
+
+// Header carrying "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+export const WEBHOOK_SIGNATURE_HEADER = 'X-Alert-Signature';
+
+// Lets webhooks reach loopback and private addresses, for local development only
+export const WEBHOOK_ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+// How long a delivery stays claimed by the attempt in progress; an attempt that
+// never records its outcome (e.g. the process died) is retried after this
+export const WEBHOOK_CLAIM_MS = WEBHOOK_TIMEOUT_MS + 60 * 1000;
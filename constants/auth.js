@@ -0,0 +1,20 @@
+// Scopes an API client can hold. `admin` implies every other scope.
+export const API_SCOPES = ['read-market-data', 'manage-watchlists', 'admin'];
+
+export const DEFAULT_CLIENT_SCOPES = ['read-market-data'];
+
+// Rate limit tiers an API client can be assigned (see constants/rateLimit.js)
+export const CLIENT_TIERS = ['standard', 'premium'];
+
+// Issued keys look like "sk_" followed by 43 url-safe characters
+export const API_KEY_PREFIX = 'sk_';
+
+// Keys registered by hand (e.g. keys already in use) must be at least this long
+export const MIN_API_KEY_LENGTH = 24;
+
+// How long a verified key is trusted before it is looked up again; also the
+// longest a revoked key keeps working on other instances
+export const API_KEY_CACHE_TTL_SECONDS = 30;
+
+// lastUsedAt is written at most this often per client
+export const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
@@ -0,0 +1,11 @@
+export const INTRADAY_INTERVALS = ['1min', '5min', '15min', '30min', '60min'];
+
+// Alpha Vantage intraday history starts in January 2000
+export const EARLIEST_BACKFILL_MONTH = '2000-01';
+
+export const DEFAULT_BACKFILL_MONTHS = 24;
+export const MAX_BACKFILL_MONTHS = 300;
+
+// Attempts per month before it is marked failed, and the pause between them
+export const BACKFILL_MONTH_ATTEMPTS = 3;
+export const BACKFILL_RETRY_DELAY_MS = 5000;
@@ -0,0 +1,5 @@
+// Most symbols a single /batch request may ask for
+export const BATCH_MAX_SYMBOLS = 50;
+
+// Provider fetches a batch runs at once; the rest wait their turn
+export const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 4;
@@ -1,2 +1,14 @@
 // Cache time-to-live in seconds
 export const CACHE_TTL = 300; // 5 minutes
+
+// Per-endpoint time-to-live in seconds, overridable through the environment
+export const ENDPOINT_CACHE_TTL = {
+  daily: Number(process.env.CACHE_TTL_DAILY) || 3600, // 1 hour
+  intraday: Number(process.env.CACHE_TTL_INTRADAY) || CACHE_TTL
+};
+
+// Maximum number of responses kept by the in-process fallback cache
+export const MEMORY_CACHE_MAX_ENTRIES = Number(process.env.MEMORY_CACHE_MAX_ENTRIES) || 500;
+
+// Alpha Vantage returns the latest 100 bars for outputsize=compact
+export const COMPACT_OUTPUT_SIZE = 100;
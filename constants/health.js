@@ -0,0 +1,5 @@
+// Longest the readiness check waits for a MongoDB ping
+export const HEALTH_CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+
+// Upstream is reported down after this many failed calls in a row
+export const UPSTREAM_FAILURES_BEFORE_DOWN = 3;
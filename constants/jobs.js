@@ -0,0 +1,32 @@
+import { BACKGROUND_MAX_WAIT_MS } from "./quota.js";
+
+const splitList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Symbols kept fresh by the ingestion scheduler; nothing is scheduled when empty
+export const INGESTION_SYMBOLS = splitList(process.env.INGESTION_SYMBOLS).map(symbol => symbol.toUpperCase());
+
+export const INGESTION_INTRADAY_INTERVALS = splitList(process.env.INGESTION_INTRADAY_INTERVALS || '5min');
+
+// Cron schedules ("minute hour day-of-month month day-of-week") in INGESTION_TIMEZONE:
+// intraday bars every 5 minutes through the trading session, daily bars after the close
+export const INGESTION_INTRADAY_SCHEDULE = process.env.INGESTION_INTRADAY_SCHEDULE || '*/5 9-16 * * 1-5';
+export const INGESTION_DAILY_SCHEDULE = process.env.INGESTION_DAILY_SCHEDULE || '15 17 * * 1-5';
+
+export const INGESTION_TIMEZONE = process.env.INGESTION_TIMEZONE || 'America/New_York';
+
+// Scheduled intraday runs carry on this long past the regular close, so the
+// session's last bars are picked up
+export const INGESTION_SESSION_GRACE_MS = Number(process.env.INGESTION_SESSION_GRACE_MS) || 15 * 60 * 1000;
+
+// Stored data stays fresh this long past a job's next scheduled run, covering queueing delays
+export const INGESTION_FRESHNESS_GRACE_MS = 2 * 60 * 1000;
+
+// A job whose timer is this late has been lost (or the event loop is blocked)
+export const SCHEDULER_OVERDUE_GRACE_MS = 60 * 1000;
+
+// A run taking longer than this is stuck, since its background upstream calls
+// give up after BACKGROUND_MAX_WAIT_MS
+export const SCHEDULER_STUCK_AFTER_MS = BACKGROUND_MAX_WAIT_MS + 5 * 60 * 1000;
@@ -0,0 +1,37 @@
+// Providers report US equity bars in exchange wall-clock time. "US/Eastern" is
+// what providers and the stored series' metadata call it (America/New_York).
+export const EXCHANGE_TIME_ZONE = 'US/Eastern';
+
+// Exchanges covered by the market calendar. NYSE and NASDAQ close on the same
+// holidays and trade the same hours.
+export const EXCHANGES = ['NYSE', 'NASDAQ'];
+export const DEFAULT_EXCHANGE = 'NYSE';
+
+// Session boundaries in exchange time (HH:MM). On early-close days the regular
+// session ends at 13:00 and extended trading at 17:00.
+export const SESSION_HOURS = {
+  preMarketOpen: '04:00',
+  regularOpen: '09:30',
+  regularClose: '16:00',
+  afterHoursClose: '20:00',
+  earlyRegularClose: '13:00',
+  earlyAfterHoursClose: '17:00'
+};
+
+// GET /api/market/calendar range, in calendar days
+export const CALENDAR_DEFAULT_RANGE_DAYS = 30;
+export const CALENDAR_MAX_RANGE_DAYS = 366;
+
+// One-off NYSE closures that no holiday rule produces
+export const SPECIAL_CLOSURES = {
+  '2001-09-11': 'September 11 attacks',
+  '2001-09-12': 'September 11 attacks',
+  '2001-09-13': 'September 11 attacks',
+  '2001-09-14': 'September 11 attacks',
+  '2004-06-11': 'National Day of Mourning for Ronald Reagan',
+  '2007-01-02': 'National Day of Mourning for Gerald Ford',
+  '2012-10-29': 'Hurricane Sandy',
+  '2012-10-30': 'Hurricane Sandy',
+  '2018-12-05': 'National Day of Mourning for George H. W. Bush',
+  '2025-01-09': 'National Day of Mourning for Jimmy Carter'
+};
@@ -0,0 +1,12 @@
+// A close-to-close move is an outlier when it is at least OUTLIER_MIN_MOVE (25%)
+// and more than OUTLIER_MAD_MULTIPLIER median absolute deviations from the
+// series' typical move
+export const OUTLIER_MIN_MOVE = 0.25;
+export const OUTLIER_MAD_MULTIPLIER = 10;
+
+// Longest list of dates or records a quality report returns per section
+export const QUALITY_MAX_LISTED = 500;
+
+// An intraday session is incomplete when fewer than this share of the bars its
+// regular hours should have (fewer on early-close days) are stored
+export const QUALITY_MIN_SESSION_COVERAGE = 0.9;
@@ -0,0 +1,15 @@
+// Alpha Vantage call budgets (free tier defaults)
+export const UPSTREAM_CALLS_PER_MINUTE = Number(process.env.ALPHA_VANTAGE_CALLS_PER_MINUTE) || 5;
+export const UPSTREAM_CALLS_PER_DAY = Number(process.env.ALPHA_VANTAGE_CALLS_PER_DAY) || 500;
+
+// Longest a queued call may wait for budget before it is rejected with 429
+export const UPSTREAM_MAX_WAIT_MS = Number(process.env.ALPHA_VANTAGE_MAX_WAIT_MS) || 30000;
+
+// Background refreshes have no client waiting on them, so they may queue longer
+export const BACKGROUND_MAX_WAIT_MS = Number(process.env.ALPHA_VANTAGE_BACKGROUND_MAX_WAIT_MS) || 10 * 60 * 1000;
+
+// Queue priorities, lower runs first
+export const PRIORITY = {
+  interactive: 0,
+  background: 1
+};
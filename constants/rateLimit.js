@@ -0,0 +1,42 @@
+// Token bucket tiers: `capacity` is the burst size and `refillPerSecond` the
+// sustained rate. Override with RATE_LIMIT_TIERS as a JSON object.
+const DEFAULT_RATE_LIMIT_TIERS = {
+  anonymous: { capacity: 30, refillPerSecond: 0.5 }, // 30 requests/minute
+  standard: { capacity: 60, refillPerSecond: 1 }, // 60 requests/minute
+  premium: { capacity: 300, refillPerSecond: 5 } // 300 requests/minute
+};
+
+// A malformed override fails at startup rather than silently running with
+// limits nobody configured
+const parseTiers = () => {
+  if (!process.env.RATE_LIMIT_TIERS) {
+    return DEFAULT_RATE_LIMIT_TIERS;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.RATE_LIMIT_TIERS);
+  } catch (error) {
+    throw new Error(`Invalid RATE_LIMIT_TIERS: ${error.message}`);
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Invalid RATE_LIMIT_TIERS: expected a JSON object of tiers');
+  }
+
+  const isPositive = (value) => typeof value === 'number' && value > 0;
+  for (const [name, tier] of Object.entries(overrides)) {
+    if (!isPositive(tier?.capacity) || !isPositive(tier?.refillPerSecond)) {
+      throw new Error(`Invalid RATE_LIMIT_TIERS: tier "${name}" needs a positive capacity and refillPerSecond`);
+    }
+  }
+
+  return { ...DEFAULT_RATE_LIMIT_TIERS, ...overrides };
+};
+
+export const RATE_LIMIT_TIERS = parseTiers();
+
+// Backing store for the buckets: "memory" (single instance) or "mongodb" (shared)
+export const RATE_LIMIT_STORE = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+// Header carrying the client's API key
+export const API_KEY_HEADER = 'x-api-key';
@@ -0,0 +1,17 @@
+// How often a symbol with live subscribers is refreshed (one poll per symbol and interval)
+export const STREAM_POLL_INTERVAL_MS = Number(process.env.STREAM_POLL_INTERVAL_MS) || 60000;
+
+// Heartbeats keep idle connections open through proxies and reveal dead clients
+export const STREAM_HEARTBEAT_MS = Number(process.env.STREAM_HEARTBEAT_MS) || 15000;
+
+// Recent bars kept per symbol and interval for clients resuming after a reconnect
+export const STREAM_BUFFER_SIZE = 500;
+
+// Symbols a single WebSocket connection may subscribe to
+export const STREAM_MAX_SUBSCRIPTIONS = 50;
+
+// Channels (symbol and interval pairs) open at once across all clients. Each
+// one polls upstream, so this bounds the background quota streams can spend.
+export const STREAM_MAX_CHANNELS = Number(process.env.STREAM_MAX_CHANNELS) || 200;
+
+export const STREAM_WEBSOCKET_PATH = '/api/stream';
@@ -0,0 +1,6 @@
+// Tickers accepted in request bodies (e.g. "AAPL", "BRK.B", "RDS-A")
+export const SYMBOL_PATTERN = /^[A-Za-z0-9.\-]{1,10}$/;
+
+// How long a catalogue search term is not sent to the provider's symbol search
+// again after it was (1 day)
+export const SYMBOL_SEARCH_FALLBACK_TTL_SECONDS = Number(process.env.SYMBOL_SEARCH_FALLBACK_TTL_SECONDS) || 86400;
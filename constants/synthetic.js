@@ -0,0 +1,6 @@
+// Synthetic series start on the first trading day of 2000, so every bar is
+// reproducible no matter when it is requested
+export const SYNTHETIC_START_DATE = '2000-01-03';
+
+// Calendar days covered by a full intraday response, as upstream
+export const SYNTHETIC_INTRADAY_FULL_DAYS = 30;
@@ -0,0 +1,18 @@
+// Recorded usage events are written in batches this often
+export const USAGE_FLUSH_INTERVAL_MS = Number(process.env.USAGE_FLUSH_INTERVAL_MS) || 5000;
+
+// Events held while MongoDB is unreachable; the oldest are dropped beyond this
+export const USAGE_MAX_BUFFERED_EVENTS = 10000;
+
+// Raw events are kept this long; daily rollups are kept indefinitely
+export const USAGE_EVENT_RETENTION_DAYS = Number(process.env.USAGE_EVENT_RETENTION_DAYS) || 30;
+
+// Default and longest date range for usage reports
+export const USAGE_DEFAULT_RANGE_DAYS = 30;
+export const USAGE_MAX_RANGE_DAYS = 366;
+
+// Rollup key for calls made without an API key
+export const ANONYMOUS_CLIENT_ID = 'anonymous';
+
+// How usage reports can be broken down
+export const USAGE_GROUP_BY = ['day', 'endpoint', 'client'];
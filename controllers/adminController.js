@@ -0,0 +1,110 @@
+import {
+  issueClient,
+  listClients,
+  getClient,
+  updateClient,
+  rotateClientKey,
+  revokeClient
+} from "../services/ApiClientService.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../config/logger.js";
+
+const toApiError = (error, message) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error.name === 'ValidationError') {
+    return new ApiError(400, error.message);
+  }
+  return new ApiError(500, `${message}: ${error.message}`);
+};
+
+export const createApiClient = async (req, res, next) => {
+  try {
+    const { name, scopes, tier, key } = req.body;
+    const { client, apiKey } = await issueClient({ name: name.trim(), scopes, tier, key });
+
+    // The key is only ever shown here and on rotation
+    res.status(201).json({
+      success: true,
+      data: { ...client.toJSON(), apiKey },
+      message: "API client created successfully. Store the key, it cannot be shown again."
+    });
+  } catch (error) {
+    logger.error('Error in createApiClient: %s', error.message);
+    next(toApiError(error, 'Failed to create API client'));
+  }
+};
+
+export const listApiClients = async (req, res, next) => {
+  try {
+    const { active } = req.query;
+    const clients = await listClients({ active: active === undefined ? undefined : active === 'true' });
+
+    res.status(200).json({
+      success: true,
+      data: clients,
+      message: "API clients fetched successfully"
+    });
+  } catch (error) {
+    logger.error('Error in listApiClients: %s', error.message);
+    next(toApiError(error, 'Failed to fetch API clients'));
+  }
+};
+
+export const getApiClient = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await getClient(req.params.id),
+      message: "API client fetched successfully"
+    });
+  } catch (error) {
+    logger.error('Error in getApiClient: %s', error.message);
+    next(toApiError(error, 'Failed to fetch API client'));
+  }
+};
+
+export const updateApiClient = async (req, res, next) => {
+  try {
+    const { name, scopes, tier } = req.body;
+    const client = await updateClient(req.params.id, { name: name?.trim(), scopes, tier });
+
+    res.status(200).json({
+      success: true,
+      data: client,
+      message: "API client updated successfully"
+    });
+  } catch (error) {
+    logger.error('Error in updateApiClient: %s', error.message);
+    next(toApiError(error, 'Failed to update API client'));
+  }
+};
+
+export const rotateApiClientKey = async (req, res, next) => {
+  try {
+    const { client, apiKey } = await rotateClientKey(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: { ...client.toJSON(), apiKey },
+      message: "API key rotated successfully. The previous key no longer works."
+    });
+  } catch (error) {
+    logger.error('Error in rotateApiClientKey: %s', error.message);
+    next(toApiError(error, 'Failed to rotate API key'));
+  }
+};
+
+export const revokeApiClient = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await revokeClient(req.params.id),
+      message: "API key revoked successfully"
+    });
+  } catch (error) {
+    logger.error('Error in revokeApiClient: %s', error.message);
+    next(toApiError(error, 'Failed to revoke API key'));
+  }
+};
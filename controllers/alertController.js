@@ -0,0 +1,173 @@
+import crypto from "crypto";
+import AlertRule from "../models/AlertRuleModel.js";
+import AlertDelivery from "../models/AlertDeliveryModel.js";
+import { enqueueDelivery } from "../services/WebhookService.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../config/logger.js";
+
+const toApiError = (error, message) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error.name === 'ValidationError') {
+    return new ApiError(400, error.message);
+  }
+  return new ApiError(500, `${message}: ${error.message}`);
+};
+
+const UPDATABLE_FIELDS = ['symbol', 'condition', 'threshold', 'period', 'timeframe', 'webhookUrl', 'active'];
+
+const findOwnedAlert = async (req) => {
+  const alert = await AlertRule.findOne({ _id: req.params.id, owner: req.clientId });
+  if (!alert) {
+    throw new ApiError(404, "Alert not found");
+  }
+  return alert;
+};
+
+export const createAlert = async (req, res, next) => {
+  try {
+    const { symbol, condition, threshold, period, timeframe, webhookUrl } = req.body;
+
+    const alert = await AlertRule.create({
+      owner: req.clientId,
+      symbol,
+      condition,
+      threshold,
+      period,
+      timeframe,
+      webhookUrl,
+      secret: crypto.randomBytes(24).toString('hex')
+    });
+
+    // The signing secret is only ever shown here
+    res.status(201).json({
+      success: true,
+      data: { ...alert.toJSON(), secret: alert.secret },
+      message: "Alert created successfully. Store the secret to verify webhook signatures."
+    });
+  } catch (error) {
+    logger.error('Error in createAlert: %s', error.message);
+    next(toApiError(error, 'Failed to create alert'));
+  }
+};
+
+export const listAlerts = async (req, res, next) => {
+  try {
+    const filter = { owner: req.clientId };
+    if (req.query.symbol) {
+      filter.symbol = String(req.query.symbol).toUpperCase();
+    }
+
+    const alerts = await AlertRule.find(filter).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: alerts
+    });
+  } catch (error) {
+    logger.error('Error in listAlerts: %s', error.message);
+    next(toApiError(error, 'Failed to fetch alerts'));
+  }
+};
+
+export const getAlert = async (req, res, next) => {
+  try {
+    const alert = await findOwnedAlert(req);
+
+    res.status(200).json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    logger.error('Error in getAlert: %s', error.message);
+    next(toApiError(error, 'Failed to fetch alert'));
+  }
+};
+
+export const updateAlert = async (req, res, next) => {
+  try {
+    const alert = await findOwnedAlert(req);
+
+    for (const field of UPDATABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        alert[field] = req.body[field];
+      }
+    }
+    // A changed rule starts afresh
+    if (['symbol', 'condition', 'threshold', 'period', 'timeframe'].some(field => req.body[field] !== undefined)) {
+      alert.lastTriggeredBar = null;
+    }
+    await alert.save();
+
+    res.status(200).json({
+      success: true,
+      data: alert,
+      message: "Alert updated successfully"
+    });
+  } catch (error) {
+    logger.error('Error in updateAlert: %s', error.message);
+    next(toApiError(error, 'Failed to update alert'));
+  }
+};
+
+export const deleteAlert = async (req, res, next) => {
+  try {
+    const alert = await findOwnedAlert(req);
+
+    await AlertDelivery.deleteMany({ alert: alert._id });
+    await alert.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Alert deleted successfully"
+    });
+  } catch (error) {
+    logger.error('Error in deleteAlert: %s', error.message);
+    next(toApiError(error, 'Failed to delete alert'));
+  }
+};
+
+// Delivery log, newest first
+export const listAlertDeliveries = async (req, res, next) => {
+  try {
+    const alert = await findOwnedAlert(req);
+    const deliveries = await AlertDelivery.find({ alert: alert._id })
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.status(200).json({
+      success: true,
+      data: deliveries
+    });
+  } catch (error) {
+    logger.error('Error in listAlertDeliveries: %s', error.message);
+    next(toApiError(error, 'Failed to fetch alert deliveries'));
+  }
+};
+
+// Send a signed test event to the rule's webhook
+export const testAlert = async (req, res, next) => {
+  try {
+    const alert = await findOwnedAlert(req);
+    const delivery = await enqueueDelivery(alert, {
+      alertId: alert.id,
+      symbol: alert.symbol,
+      condition: alert.condition,
+      threshold: alert.threshold,
+      message: 'Test delivery'
+    }, 'alert.test');
+
+    // Only the outcome: the receiver's status and errors could reveal what
+    // answers at the URL
+    const delivered = delivery.status === 'delivered';
+    res.status(200).json({
+      success: true,
+      data: { delivered },
+      message: delivered ? "Test delivery succeeded" : "Test delivery failed"
+    });
+  } catch (error) {
+    logger.error('Error in testAlert: %s', error.message);
+    next(toApiError(error, 'Failed to send test delivery'));
+  }
+};
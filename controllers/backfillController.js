@@ -0,0 +1,107 @@
+import {
+  createBackfill as queueBackfill,
+  getBackfill as findBackfill,
+  listBackfills as findBackfills,
+  retryBackfill as requeueBackfill,
+  cancelBackfill as stopBackfill,
+  currentMonth,
+  monthsBefore
+} from "../services/BackfillService.js";
+import { DEFAULT_BACKFILL_MONTHS, EARLIEST_BACKFILL_MONTH } from "../constants/backfills.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../config/logger.js";
+
+const toApiError = (error, message) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error.name === 'ValidationError') {
+    return new ApiError(400, error.message);
+  }
+  return new ApiError(500, `${message}: ${error.message}`);
+};
+
+export const createBackfill = async (req, res, next) => {
+  try {
+    const { symbol, interval = '5min', months = DEFAULT_BACKFILL_MONTHS, source } = req.body;
+    const endMonth = req.body.endMonth || currentMonth();
+    let startMonth = req.body.startMonth || monthsBefore(endMonth, months);
+    if (startMonth < EARLIEST_BACKFILL_MONTH) {
+      startMonth = EARLIEST_BACKFILL_MONTH;
+    }
+
+    const { backfill, created } = await queueBackfill({ symbol, interval, startMonth, endMonth, source });
+
+    res.status(created ? 202 : 200).json({
+      success: true,
+      data: backfill,
+      message: created
+        ? "Backfill queued successfully"
+        : "A backfill for this range is already in progress"
+    });
+  } catch (error) {
+    logger.error('Error in createBackfill: %s', error.message);
+    next(toApiError(error, 'Failed to create backfill'));
+  }
+};
+
+export const listBackfills = async (req, res, next) => {
+  try {
+    const backfills = await findBackfills({
+      symbol: req.query.symbol,
+      status: req.query.status
+    });
+
+    res.status(200).json({
+      success: true,
+      data: backfills
+    });
+  } catch (error) {
+    logger.error('Error in listBackfills: %s', error.message);
+    next(toApiError(error, 'Failed to fetch backfills'));
+  }
+};
+
+export const getBackfill = async (req, res, next) => {
+  try {
+    const backfill = await findBackfill(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: backfill
+    });
+  } catch (error) {
+    logger.error('Error in getBackfill: %s', error.message);
+    next(toApiError(error, 'Failed to fetch backfill'));
+  }
+};
+
+export const retryBackfill = async (req, res, next) => {
+  try {
+    const backfill = await requeueBackfill(req.params.id);
+
+    res.status(202).json({
+      success: true,
+      data: backfill,
+      message: "Backfill queued to retry failed months"
+    });
+  } catch (error) {
+    logger.error('Error in retryBackfill: %s', error.message);
+    next(toApiError(error, 'Failed to retry backfill'));
+  }
+};
+
+export const cancelBackfill = async (req, res, next) => {
+  try {
+    const backfill = await stopBackfill(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: backfill,
+      message: "Backfill cancelled"
+    });
+  } catch (error) {
+    logger.error('Error in cancelBackfill: %s', error.message);
+    next(toApiError(error, 'Failed to cancel backfill'));
+  }
+};
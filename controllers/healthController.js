@@ -0,0 +1,28 @@
+import { getReadiness as checkReadiness } from "../services/HealthService.js";
+import ApiError from "../utils/ApiError.js";
+
+// The process is up and serving requests. Dependencies are not checked, so an
+// outage elsewhere never gets the instance restarted.
+export const getLiveness = (req, res) => {
+  res.status(200).json({
+    status: 'UP',
+    uptimeSeconds: Math.floor(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Whether the instance should receive traffic, with the status of each
+// dependency. Answers 503 when a critical one is down.
+export const getReadiness = async (req, res, next) => {
+  try {
+    const { ready, status, components } = await checkReadiness();
+
+    res.status(ready ? 200 : 503).json({
+      status,
+      timestamp: new Date().toISOString(),
+      components
+    });
+  } catch (error) {
+    next(new ApiError(500, `Failed to check readiness: ${error.message}`));
+  }
+};
@@ -0,0 +1,58 @@
+import { loadDailyBars, loadIntradayBars } from "../services/StockSeriesService.js";
+import { computeIndicators } from "../services/IndicatorService.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../config/logger.js";
+
+const toApiError = (error, message) =>
+  error instanceof ApiError ? error : new ApiError(500, `${message}: ${error.message}`);
+
+const optionalNumber = (value) => (value === undefined ? undefined : Number(value));
+
+export const getIndicators = async (req, res, next) => {
+  try {
+    const { symbol } = req.params;
+    const { type, interval, period, fast, slow, signal, stdDev, startDate, endDate } = req.query;
+    const types = [...new Set(type.split(',').map(name => name.trim().toLowerCase()))];
+
+    logger.info(`Computing ${types.join(', ')} for ${symbol}${interval ? ` (${interval})` : ''}`);
+
+    // Indicators are computed over the whole stored series so look-back windows
+    // are warmed up, then trimmed to the requested range
+    const bars = interval
+      ? await loadIntradayBars(symbol, interval)
+      : await loadDailyBars(symbol);
+
+    if (bars.length === 0) {
+      return next(new ApiError(404, `No stored ${interval || 'daily'} data found for ${symbol.toUpperCase()}`));
+    }
+
+    const rows = computeIndicators(bars, types, {
+      period: optionalNumber(period),
+      fastPeriod: optionalNumber(fast),
+      slowPeriod: optionalNumber(slow),
+      signalPeriod: optionalNumber(signal),
+      stdDev: optionalNumber(stdDev)
+    });
+
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+    const data = rows.filter(row => {
+      const date = new Date(row.timestamp);
+      return (!start || date >= start) && (!end || date <= end);
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        symbol: symbol.toUpperCase(),
+        interval: interval || 'daily',
+        indicators: types,
+        values: data
+      },
+      message: "Indicators computed successfully"
+    });
+  } catch (error) {
+    logger.error('Error in getIndicators: %s', error.message);
+    next(toApiError(error, "Failed to compute indicators"));
+  }
+};
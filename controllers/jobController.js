@@ -0,0 +1,14 @@
+import { listJobs as listIngestionJobs } from "../services/IngestionScheduler.js";
+import ApiError from "../utils/ApiError.js";
+
+export const listJobs = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: listIngestionJobs(),
+      message: "Jobs fetched successfully"
+    });
+  } catch (error) {
+    next(new ApiError(500, `Failed to fetch jobs: ${error.message}`));
+  }
+};
@@ -0,0 +1,34 @@
+import { getMarketStatus as buildMarketStatus, getMarketCalendar as buildMarketCalendar } from "../services/MarketCalendarService.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../config/logger.js";
+
+const toApiError = (error, message) =>
+  error instanceof ApiError ? error : new ApiError(500, `${message}: ${error.message}`);
+
+// Current market phase and the next regular open and close
+export const getMarketStatus = (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: buildMarketStatus({ exchange: req.exchange }),
+      message: "Market status fetched successfully"
+    });
+  } catch (error) {
+    logger.error('Error in getMarketStatus: %s', error.message);
+    next(toApiError(error, 'Failed to fetch market status'));
+  }
+};
+
+// Trading sessions, holidays and early closes in a date range
+export const getMarketCalendar = (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: buildMarketCalendar({ exchange: req.exchange, ...req.calendarQuery }),
+      message: "Market calendar fetched successfully"
+    });
+  } catch (error) {
+    logger.error('Error in getMarketCalendar: %s', error.message);
+    next(toApiError(error, 'Failed to fetch market calendar'));
+  }
+};
@@ -0,0 +1,269 @@
+import Portfolio from "../models/PortfolioModel.js";
+import PortfolioTransaction from "../models/PortfolioTransactionModel.js";
+import { replayPortfolio, loadPortfolioLedger } from "../services/PortfolioService.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../config/logger.js";
+
+const toApiError = (error, message) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error.code === 11000) {
+    return new ApiError(409, "A portfolio with this name already exists");
+  }
+  if (error.name === 'ValidationError') {
+    return new ApiError(400, error.message);
+  }
+  return new ApiError(500, `${message}: ${error.message}`);
+};
+
+const findOwnedPortfolio = async (req) => {
+  const portfolio = await Portfolio.findOne({ _id: req.params.id, owner: req.clientId });
+  if (!portfolio) {
+    throw new ApiError(404, "Portfolio not found");
+  }
+  return portfolio;
+};
+
+// Store dates at UTC midnight so they line up with daily bars
+const toTradeDate = (date) => new Date(`${new Date(date).toISOString().slice(0, 10)}T00:00:00Z`);
+
+export const createPortfolio = async (req, res, next) => {
+  try {
+    const { name, currency, costBasisMethod } = req.body;
+
+    const portfolio = await Portfolio.create({
+      owner: req.clientId,
+      name,
+      currency,
+      costBasisMethod
+    });
+
+    res.status(201).json({
+      success: true,
+      data: portfolio,
+      message: "Portfolio created successfully"
+    });
+  } catch (error) {
+    logger.error('Error in createPortfolio: %s', error.message);
+    next(toApiError(error, 'Failed to create portfolio'));
+  }
+};
+
+export const listPortfolios = async (req, res, next) => {
+  try {
+    const portfolios = await Portfolio.find({ owner: req.clientId }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: portfolios
+    });
+  } catch (error) {
+    logger.error('Error in listPortfolios: %s', error.message);
+    next(toApiError(error, 'Failed to fetch portfolios'));
+  }
+};
+
+export const getPortfolio = async (req, res, next) => {
+  try {
+    const portfolio = await findOwnedPortfolio(req);
+
+    res.status(200).json({
+      success: true,
+      data: portfolio
+    });
+  } catch (error) {
+    logger.error('Error in getPortfolio: %s', error.message);
+    next(toApiError(error, 'Failed to fetch portfolio'));
+  }
+};
+
+export const updatePortfolio = async (req, res, next) => {
+  try {
+    const portfolio = await findOwnedPortfolio(req);
+
+    for (const field of ['name', 'currency', 'costBasisMethod']) {
+      if (req.body[field] !== undefined) {
+        portfolio[field] = req.body[field];
+      }
+    }
+    await portfolio.save();
+
+    res.status(200).json({
+      success: true,
+      data: portfolio,
+      message: "Portfolio updated successfully"
+    });
+  } catch (error) {
+    logger.error('Error in updatePortfolio: %s', error.message);
+    next(toApiError(error, 'Failed to update portfolio'));
+  }
+};
+
+export const deletePortfolio = async (req, res, next) => {
+  try {
+    const portfolio = await findOwnedPortfolio(req);
+
+    await PortfolioTransaction.deleteMany({ portfolio: portfolio._id });
+    await portfolio.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Portfolio deleted successfully"
+    });
+  } catch (error) {
+    logger.error('Error in deletePortfolio: %s', error.message);
+    next(toApiError(error, 'Failed to delete portfolio'));
+  }
+};
+
+export const addTransaction = async (req, res, next) => {
+  try {
+    const portfolio = await findOwnedPortfolio(req);
+    const { symbol, type, date, quantity, price, fees, amount, note } = req.body;
+
+    const transaction = new PortfolioTransaction({
+      portfolio: portfolio._id,
+      symbol,
+      type,
+      date: toTradeDate(date),
+      ...(type === 'dividend' ? { amount } : { quantity, price }),
+      fees,
+      note
+    });
+
+    // Replaying the ledger with the new transaction rejects oversold positions.
+    // It sorts after transactions already recorded on the same date.
+    if (type === 'sell') {
+      const { transactions, barsBySymbol } = await loadPortfolioLedger(portfolio._id, {
+        extraTransaction: { ...transaction.toObject(), createdAt: new Date() }
+      });
+      replayPortfolio(transactions, barsBySymbol, { method: portfolio.costBasisMethod });
+    }
+
+    await transaction.save();
+
+    res.status(201).json({
+      success: true,
+      data: transaction,
+      message: "Transaction recorded successfully"
+    });
+  } catch (error) {
+    logger.error('Error in addTransaction: %s', error.message);
+    next(toApiError(error, 'Failed to record transaction'));
+  }
+};
+
+export const listTransactions = async (req, res, next) => {
+  try {
+    const portfolio = await findOwnedPortfolio(req);
+    const filter = { portfolio: portfolio._id };
+    if (req.query.symbol) {
+      filter.symbol = String(req.query.symbol).toUpperCase();
+    }
+
+    const transactions = await PortfolioTransaction.find(filter).sort({ date: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: transactions
+    });
+  } catch (error) {
+    logger.error('Error in listTransactions: %s', error.message);
+    next(toApiError(error, 'Failed to fetch transactions'));
+  }
+};
+
+export const deleteTransaction = async (req, res, next) => {
+  try {
+    const portfolio = await findOwnedPortfolio(req);
+    const transaction = await PortfolioTransaction.findOne({
+      _id: req.params.transactionId,
+      portfolio: portfolio._id
+    });
+
+    if (!transaction) {
+      return next(new ApiError(404, "Transaction not found"));
+    }
+
+    // Removing a buy that later sells depend on would leave the ledger oversold
+    const { transactions, barsBySymbol } = await loadPortfolioLedger(portfolio._id, { excludeId: transaction._id });
+    try {
+      replayPortfolio(transactions, barsBySymbol, { method: portfolio.costBasisMethod });
+    } catch (error) {
+      if (error instanceof ApiError && error.statusCode === 400) {
+        return next(new ApiError(409, `Transaction cannot be deleted: ${error.message}`));
+      }
+      throw error;
+    }
+
+    await transaction.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Transaction deleted successfully"
+    });
+  } catch (error) {
+    logger.error('Error in deleteTransaction: %s', error.message);
+    next(toApiError(error, 'Failed to delete transaction'));
+  }
+};
+
+// Current positions with cost basis and P&L, valued at the latest stored close
+export const getPositions = async (req, res, next) => {
+  try {
+    const portfolio = await findOwnedPortfolio(req);
+    const method = req.query.method || portfolio.costBasisMethod;
+
+    const { transactions, barsBySymbol } = await loadPortfolioLedger(portfolio._id);
+    const { positions, totals } = replayPortfolio(transactions, barsBySymbol, { method });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: portfolio.id,
+        name: portfolio.name,
+        costBasisMethod: method,
+        positions: req.query.includeClosed === 'true'
+          ? positions
+          : positions.filter(position => position.quantity > 0),
+        totals
+      },
+      message: "Positions computed successfully"
+    });
+  } catch (error) {
+    logger.error('Error in getPositions: %s', error.message);
+    next(toApiError(error, 'Failed to compute positions'));
+  }
+};
+
+// Daily equity curve valued from stored daily closes
+export const getEquityCurve = async (req, res, next) => {
+  try {
+    const portfolio = await findOwnedPortfolio(req);
+    const { startDate, endDate } = req.query;
+    const method = req.query.method || portfolio.costBasisMethod;
+
+    const { transactions, barsBySymbol } = await loadPortfolioLedger(portfolio._id);
+    const { curve } = replayPortfolio(transactions, barsBySymbol, {
+      method,
+      from: startDate,
+      to: endDate,
+      includeCurve: true
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: portfolio.id,
+        name: portfolio.name,
+        costBasisMethod: method,
+        curve
+      },
+      message: "Equity curve computed successfully"
+    });
+  } catch (error) {
+    logger.error('Error in getEquityCurve: %s', error.message);
+    next(toApiError(error, 'Failed to compute equity curve'));
+  }
+};
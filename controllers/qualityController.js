@@ -0,0 +1,24 @@
+import { getQualityReport } from "../services/DataQualityService.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../config/logger.js";
+
+const toApiError = (error, message) =>
+  error instanceof ApiError ? error : new ApiError(500, `${message}: ${error.message}`);
+
+export const getDataQuality = async (req, res, next) => {
+  try {
+    const { symbol } = req.params;
+    const { interval, startDate, endDate } = req.query;
+
+    logger.info(`Checking data quality for ${symbol}${interval ? ` (${interval})` : ''}`);
+
+    res.status(200).json({
+      success: true,
+      data: await getQualityReport(symbol, { interval, startDate, endDate }),
+      message: "Data quality report generated successfully"
+    });
+  } catch (error) {
+    logger.error('Error in getDataQuality: %s', error.message);
+    next(toApiError(error, "Failed to generate data quality report"));
+  }
+};
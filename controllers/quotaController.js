@@ -0,0 +1,14 @@
+import { getQuotaStatus as getUpstreamQuotaStatus } from "../services/QuotaGovernor.js";
+import ApiError from "../utils/ApiError.js";
+
+export const getQuotaStatus = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: getUpstreamQuotaStatus(),
+      message: "Quota status fetched successfully"
+    });
+  } catch (error) {
+    next(new ApiError(500, `Failed to fetch quota status: ${error.message}`));
+  }
+};
@@ -1,146 +1,270 @@
-import { 
-  getDailyData as getAlphaVantageDailyData,
-  getIntradayData as getAlphaVantageIntradayData,
-  getHistoricalData as getAlphaVantageHistoricalData
-} from "../services/AlphaVantageService.js";
+import {
+  fetchDailyData,
+  fetchIntradayData,
+  fetchQuote,
+  searchSymbols as searchProviderSymbols,
+  isSyntheticMode
+} from "../services/MarketDataService.js";
 import ApiError from "../utils/ApiError.js";
-import StockData from "../models/StockDataModel.js";
-import DailyStockData from "../models/DailyStockDataModel.js";
+import { isMongoConnected, storeDailyData, storeIntradayData } from "../services/CacheService.js";
+import { getResampledDailyData } from "../services/ResampleService.js";
+import { transformSeriesForRequest } from "../services/SeriesTransformService.js";
+import {
+  resolveExportFormat,
+  exportSeries,
+  exportStoredIntradayRange
+} from "../services/ExportService.js";
+import { getIntradayRange, storedBarsCoverRange } from "../services/SeriesService.js";
+import { searchCatalogue, rememberSearchResults } from "../services/SymbolService.js";
+import { getBatchSeries } from "../services/BatchService.js";
 import logger from "../config/logger.js";
 
-function getAlphaVantageApiKey() {
-  const apiKey = process.env.ALPHA_VANTAGE_API_KEY;
-  if (!apiKey) {
-    logger.error('ALPHA_VANTAGE_API_KEY is not configured in environment variables');
-    throw new Error('Alpha Vantage API key is not configured. Please set the ALPHA_VANTAGE_API_KEY environment variable.');
-  }
-  return apiKey;
-}
+// Keep errors that already carry an HTTP status (e.g. 429 from the quota governor)
+const toApiError = (error, message) =>
+  error instanceof ApiError ? error : new ApiError(500, `${message}: ${error.message}`);
 
 export const getDailyData = async (req, res, next) => {
   try {
     const { symbol } = req.params;
-    const { outputsize = 'compact' } = req.query;
+    const { outputsize = 'compact', source } = req.query;
 
     logger.info(`Fetching daily data for ${symbol}`);
     
-    const data = await getAlphaVantageDailyData(getAlphaVantageApiKey(), symbol, outputsize);
+    const { data, source: dataSource } = await fetchDailyData(source, symbol, { outputSize: outputsize });
     
-    // Save to MongoDB using the new DailyStockData model
+    // Save to MongoDB and the in-memory cache
     if (data && data.timeSeries) {
-      try {
-        await DailyStockData.saveBulkDailyData(symbol, data.timeSeries);
-        logger.info(`Successfully saved/updated daily data for ${symbol} in MongoDB`);
-      } catch (error) {
-        logger.error(`Error saving daily data to MongoDB: ${error.message}`, { error });
-        // Don't throw the error, just log it as we still want to return the data
-      }
+      await storeDailyData(symbol, outputsize, data);
+    }
+
+    const format = resolveExportFormat(req);
+    if (format) {
+      return await exportSeries(req, res, {
+        type: 'daily',
+        format,
+        data,
+        source: dataSource,
+        filename: `${symbol.toUpperCase()}_daily`
+      });
     }
 
     res.status(200).json({
       success: true,
-      data: data || {},
+      source: dataSource,
+      fromCache: false,
+      data: transformSeriesForRequest('daily', data, req.query) || {},
       message: "Daily data fetched successfully"
     });
   } catch (error) {
     logger.error('Error in getDailyData: %s', error.message);
-    next(new ApiError(500, `Failed to fetch daily data: ${error.message}`));
+    next(toApiError(error, "Failed to fetch daily data"));
   }
 };
 
 export const getIntradayData = async (req, res, next) => {
   try {
     const { symbol } = req.params;
-    const { interval = "5min" } = req.query;
+    const { interval = "5min", source } = req.query;
 
     logger.info(`Fetching real-time data for ${symbol} with interval ${interval}`);
     
-    const data = await getAlphaVantageIntradayData(getAlphaVantageApiKey(), symbol, interval);
+    const { data, source: dataSource } = await fetchIntradayData(source, symbol, interval);
     
-    // Save to MongoDB
+    // Save to MongoDB and the in-memory cache
     if (data && data.metaData) {
-      try {
-        await StockData.findOneAndUpdate(
-          { 
-            "metaData.symbol": symbol,
-            "metaData.dataType": 'intraday',
-            "metaData.interval": interval
-          },
-          {
-            metaData: {
-              information: data.metaData.information || '',
-              symbol: data.metaData.symbol || symbol,
-              lastRefreshed: data.metaData.lastRefreshed || new Date().toISOString(),
-              interval: data.metaData.interval || interval,
-              outputSize: data.metaData.outputSize || 'Compact',
-              timeZone: data.metaData.timeZone || 'US/Eastern',
-              dataType: 'intraday'
-            },
-            timeSeries: data.timeSeries || {},
-            lastUpdated: new Date()
-          },
-          { 
-            upsert: true, 
-            new: true, 
-            setDefaultsOnInsert: true,
-            useFindAndModify: false
-          }
-        );
-      } catch (dbError) {
-        logger.error('Error saving to MongoDB: %s', dbError.message);
-        // Continue even if there's a DB error
-      }
+      await storeIntradayData(symbol, interval, data);
+    }
+
+    const format = resolveExportFormat(req);
+    if (format) {
+      return await exportSeries(req, res, {
+        type: 'intraday',
+        format,
+        data,
+        source: dataSource,
+        filename: `${symbol.toUpperCase()}_${interval}`
+      });
     }
 
     res.status(200).json({
       success: true,
-      data: data || {},
+      source: dataSource,
+      fromCache: false,
+      data: transformSeriesForRequest('intraday', data, req.query) || {},
       message: "Intraday data fetched successfully"
     });
   } catch (error) {
     logger.error('Error in getIntradayData: %s', error.message);
-    next(new ApiError(500, `Failed to fetch intraday data: ${error.message}`));
+    next(toApiError(error, "Failed to fetch intraday data"));
+  }
+};
+
+export const getBatchData = async (req, res, next) => {
+  try {
+    const { type = 'daily', interval = '5min', outputsize = 'compact', source } = req.query;
+    const symbols = [...new Set(
+      req.query.symbols.split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean)
+    )];
+
+    logger.info(`Fetching ${type} data for a batch of ${symbols.length} symbols`);
+
+    const { data, errors } = await getBatchSeries(symbols, {
+      type,
+      interval,
+      outputSize: outputsize.toLowerCase(),
+      source,
+      query: req.query
+    });
+    const failed = Object.keys(errors).length;
+
+    res.status(200).json({
+      success: true,
+      data,
+      errors,
+      message: failed > 0
+        ? `Batch completed with ${failed} of ${symbols.length} symbols failing`
+        : "Batch data fetched successfully"
+    });
+  } catch (error) {
+    logger.error('Error in getBatchData: %s', error.message);
+    next(toApiError(error, "Failed to fetch batch data"));
   }
 };
 
 export const getHistoricalData = async (req, res, next) => {
   try {
     const { symbol } = req.params;
-    const { start_date, end_date, interval = "5min" } = req.query;
+    const { interval = "5min", source } = req.query;
+    // start_date/end_date are the original parameter names, still accepted
+    const startDate = req.query.startDate || req.query.start_date;
+    const endDate = req.query.endDate || req.query.end_date;
 
-    logger.info(`Fetching historical data for ${symbol} from ${start_date} to ${end_date}`);
-    
-    const data = await getAlphaVantageHistoricalData(
-      getAlphaVantageApiKey(),
-      symbol, 
-      start_date, 
-      end_date, 
-      interval
-    );
+    logger.info(`Fetching historical data for ${symbol} from ${startDate} to ${endDate}`);
+
+    const format = resolveExportFormat(req);
+    const filename = [symbol.toUpperCase(), interval, startDate, endDate].filter(Boolean).join('_');
+    const range = { startDate, endDate };
+
+    // Exports of stored (e.g. backfilled) history stream straight from the database
+    if (format && !source && !isSyntheticMode() && isMongoConnected() && await storedBarsCoverRange(symbol, interval, range)) {
+      return await exportStoredIntradayRange(req, res, { format, symbol, interval, ...range, filename });
+    }
+
+    const { data, source: dataSource } = await getIntradayRange(symbol, interval, { ...range, source });
 
     if (!data || !data.timeSeries) {
       throw new ApiError(404, "No historical data found for the given parameters");
     }
 
+    if (format) {
+      return await exportSeries(req, res, { type: 'intraday', format, data, source: dataSource, filename });
+    }
+
     res.status(200).json({
       success: true,
+      source: dataSource,
       data: data,
       message: "Historical data fetched successfully"
     });
   } catch (error) {
     logger.error('Error in getHistoricalData: %s', error.message);
-    next(new ApiError(500, `Failed to fetch historical data: ${error.message}`));
+    next(toApiError(error, "Failed to fetch historical data"));
+  }
+};
+
+const getResampledData = (period) => async (req, res, next) => {
+  try {
+    const { symbol } = req.params;
+    const { source, adjusted } = req.query;
+
+    logger.info(`Building ${period} data for ${symbol}`);
+
+    const { data, source: dataSource } = await getResampledDailyData(symbol, period, { source, adjusted });
+
+    if (Object.keys(data.timeSeries).length === 0) {
+      return next(new ApiError(404, `No daily data available to build ${period} series for ${symbol}`));
+    }
+
+    res.status(200).json({
+      success: true,
+      source: dataSource,
+      data,
+      message: `${period === 'weekly' ? 'Weekly' : 'Monthly'} data fetched successfully`
+    });
+  } catch (error) {
+    logger.error(`Error in get ${period} data: %s`, error.message);
+    next(toApiError(error, `Failed to fetch ${period} data`));
+  }
+};
+
+export const getWeeklyData = getResampledData('weekly');
+
+export const getMonthlyData = getResampledData('monthly');
+
+export const getQuote = async (req, res, next) => {
+  try {
+    const { symbol } = req.params;
+    const { source } = req.query;
+
+    logger.info(`Fetching quote for ${symbol}`);
+
+    const { data, source: dataSource } = await fetchQuote(source, symbol);
+
+    res.status(200).json({
+      success: true,
+      source: dataSource,
+      data,
+      message: "Quote fetched successfully"
+    });
+  } catch (error) {
+    logger.error('Error in getQuote: %s', error.message);
+    next(toApiError(error, "Failed to fetch quote"));
+  }
+};
+
+export const searchSymbols = async (req, res, next) => {
+  try {
+    const { keywords, source } = req.query;
+
+    if (!keywords) {
+      return next(new ApiError(400, "keywords query parameter is required"));
+    }
+
+    const { data, source: dataSource } = await searchProviderSymbols(source, keywords);
+    await rememberSearchResults(data);
+
+    res.status(200).json({
+      success: true,
+      source: dataSource,
+      data,
+      message: "Symbol search completed successfully"
+    });
+  } catch (error) {
+    logger.error('Error in searchSymbols: %s', error.message);
+    next(toApiError(error, "Failed to search symbols"));
   }
 };
 
 export const listAvailableSymbols = async (req, res, next) => {
   try {
-    // Return a list of some common stock symbols
+    const { search, exchange, type, includeInactive, page = 1, limit } = req.query;
+
+    const { results, pagination } = await searchCatalogue({
+      search,
+      exchange,
+      type,
+      includeInactive: includeInactive === 'true',
+      page: Number(page),
+      ...(limit && { limit: Number(limit) })
+    });
+
     res.status(200).json({
       success: true,
-      data: ['AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'IBM', 'TSLA', 'NVDA', 'JPM', 'V']
+      data: results,
+      pagination
     });
   } catch (error) {
-    next(new ApiError(500, 'Failed to fetch available symbols'));
+    logger.error('Error in listAvailableSymbols: %s', error.message);
+    next(toApiError(error, 'Failed to fetch available symbols'));
   }
 };
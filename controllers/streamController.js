@@ -0,0 +1,69 @@
+import { parseSince, subscribe } from "../services/StreamService.js";
+import { INTRADAY_INTERVALS } from "../constants/backfills.js";
+import { STREAM_HEARTBEAT_MS } from "../constants/stream.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../config/logger.js";
+
+// Reconnect delay suggested to EventSource clients
+const SSE_RETRY_MS = 5000;
+
+// Server-Sent Events stream of new intraday bars. Each event's id is the bar
+// timestamp, so a reconnecting EventSource resumes via Last-Event-ID.
+export const streamIntradayBars = async (req, res, next) => {
+  const symbol = req.params.symbol.toUpperCase();
+  const { interval = "5min" } = req.query;
+
+  if (!INTRADAY_INTERVALS.includes(interval)) {
+    return next(
+      new ApiError(400, `Invalid interval. Must be one of: ${INTRADAY_INTERVALS.join(", ")}`)
+    );
+  }
+
+  let since;
+  try {
+    since = parseSince(req.get("Last-Event-ID") || req.query.since);
+  } catch (error) {
+    return next(error);
+  }
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  let closed = false;
+  let unsubscribe = null;
+  const heartbeat = setInterval(() => {
+    res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+  }, STREAM_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe?.();
+  });
+
+  try {
+    unsubscribe = await subscribe(symbol, interval, {
+      since,
+      send: ({ bar }) => {
+        res.write(`id: ${bar.timestamp}\nevent: bar\ndata: ${JSON.stringify({ symbol, interval, bar })}\n\n`);
+      },
+      close: () => res.end()
+    });
+    // The client may have gone while the subscription was being set up
+    if (closed) {
+      unsubscribe();
+    }
+  } catch (error) {
+    logger.error('Error in streamIntradayBars: %s', error.message);
+    clearInterval(heartbeat);
+    const message = error instanceof ApiError ? error.message : "Failed to open stream";
+    res.write(`event: error\ndata: ${JSON.stringify({ message })}\n\n`);
+    res.end();
+  }
+};
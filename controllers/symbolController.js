@@ -0,0 +1,44 @@
+import { importListingCsv, refreshListing } from "../services/SymbolService.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../config/logger.js";
+
+const toApiError = (error, message) =>
+  error instanceof ApiError ? error : new ApiError(500, `${message}: ${error.message}`);
+
+// Import a bulk CSV listing sent as the request body (Content-Type: text/csv)
+export const importSymbols = async (req, res, next) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return next(new ApiError(400, 'Request body must be a CSV listing sent as text/csv'));
+    }
+
+    const result = await importListingCsv(req.body, {
+      markMissingInactive: req.query.replace === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: "Symbols imported successfully"
+    });
+  } catch (error) {
+    logger.error('Error in importSymbols: %s', error.message);
+    next(toApiError(error, 'Failed to import symbols'));
+  }
+};
+
+// Refresh the catalogue from the data provider's full listing
+export const refreshSymbols = async (req, res, next) => {
+  try {
+    const result = await refreshListing(req.query.source);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: "Symbol catalogue refreshed successfully"
+    });
+  } catch (error) {
+    logger.error('Error in refreshSymbols: %s', error.message);
+    next(toApiError(error, 'Failed to refresh symbols'));
+  }
+};
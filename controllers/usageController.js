@@ -0,0 +1,36 @@
+import { getUsageReport } from "../services/UsageService.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../config/logger.js";
+
+const toApiError = (error, message) =>
+  error instanceof ApiError ? error : new ApiError(500, `${message}: ${error.message}`);
+
+// The calling client's own usage
+export const getClientUsage = async (req, res, next) => {
+  try {
+    const report = await getUsageReport({ ...req.usageQuery, clientId: req.clientId });
+
+    res.status(200).json({
+      success: true,
+      data: report,
+      message: "Usage fetched successfully"
+    });
+  } catch (error) {
+    logger.error('Error in getClientUsage: %s', error.message);
+    next(toApiError(error, 'Failed to fetch usage'));
+  }
+};
+
+// Usage across all clients, by client by default
+export const getAllUsage = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await getUsageReport(req.usageQuery),
+      message: "Usage fetched successfully"
+    });
+  } catch (error) {
+    logger.error('Error in getAllUsage: %s', error.message);
+    next(toApiError(error, 'Failed to fetch usage'));
+  }
+};
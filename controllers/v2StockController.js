@@ -0,0 +1,99 @@
+import { getSeries } from "../services/SeriesService.js";
+import { getResampledDailyData } from "../services/ResampleService.js";
+import { transformSeriesForRequest } from "../services/SeriesTransformService.js";
+import { timeSeriesToBars } from "../services/StockSeriesService.js";
+import { toTypedBar, paginateBars, DEFAULT_PAGE_LIMIT } from "../utils/bars.js";
+import { canonicalTimeZone } from "../utils/time.js";
+import { EXCHANGE_TIME_ZONE } from "../constants/market.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../config/logger.js";
+
+const toApiError = (error, message) =>
+  error instanceof ApiError ? error : new ApiError(500, `${message}: ${error.message}`);
+
+// Send one page of a series as typed bars with consistent metadata
+const sendBars = (req, res, { symbol, timeframe, series }) => {
+  const { data } = series;
+  const timeZone = canonicalTimeZone(data.metaData?.timeZone || EXCHANGE_TIME_ZONE);
+  const { page, total, hasMore, nextCursor } = paginateBars(timeSeriesToBars(data.timeSeries), {
+    start: req.query.start,
+    end: req.query.end,
+    cursor: req.query.cursor,
+    limit: Number(req.query.limit) || DEFAULT_PAGE_LIMIT
+  });
+  const bars = page.map(bar => toTypedBar(bar, timeZone));
+
+  res.status(200).json({
+    success: true,
+    meta: {
+      symbol: symbol.toUpperCase(),
+      timeframe,
+      timeZone,
+      adjusted: data.metaData?.adjusted || 'none',
+      source: series.source,
+      fromCache: Boolean(series.fromCache),
+      ...(series.fromCache && { cacheAge: series.cacheAge }),
+      ...(data.metaData?.synthetic && { synthetic: true }),
+      total
+    },
+    data: bars,
+    pagination: {
+      limit: Number(req.query.limit) || DEFAULT_PAGE_LIMIT,
+      count: bars.length,
+      hasMore,
+      nextCursor
+    },
+    message: "Bars fetched successfully"
+  });
+};
+
+export const getDailyBars = async (req, res, next) => {
+  try {
+    const { symbol } = req.params;
+    const { outputsize = 'compact', source } = req.query;
+
+    const series = await getSeries(symbol, { type: 'daily', outputSize: outputsize.toLowerCase(), source });
+    sendBars(req, res, {
+      symbol,
+      timeframe: '1day',
+      series: { ...series, data: transformSeriesForRequest('daily', series.data, req.query) }
+    });
+  } catch (error) {
+    logger.error('Error in v2 getDailyBars: %s', error.message);
+    next(toApiError(error, "Failed to fetch daily bars"));
+  }
+};
+
+export const getIntradayBars = async (req, res, next) => {
+  try {
+    const { symbol } = req.params;
+    const { interval = '5min', resample, source } = req.query;
+
+    const series = await getSeries(symbol, { type: 'intraday', interval, source });
+    sendBars(req, res, {
+      symbol,
+      timeframe: resample || interval,
+      series: { ...series, data: transformSeriesForRequest('intraday', series.data, req.query) }
+    });
+  } catch (error) {
+    logger.error('Error in v2 getIntradayBars: %s', error.message);
+    next(toApiError(error, "Failed to fetch intraday bars"));
+  }
+};
+
+const getResampledBars = (period, timeframe) => async (req, res, next) => {
+  try {
+    const { symbol } = req.params;
+    const { source, adjusted } = req.query;
+
+    const series = await getResampledDailyData(symbol, period, { source, adjusted });
+    sendBars(req, res, { symbol, timeframe, series });
+  } catch (error) {
+    logger.error(`Error in v2 get ${period} bars: %s`, error.message);
+    next(toApiError(error, `Failed to fetch ${period} bars`));
+  }
+};
+
+export const getWeeklyBars = getResampledBars('weekly', '1week');
+
+export const getMonthlyBars = getResampledBars('monthly', '1month');
@@ -0,0 +1,158 @@
+import Watchlist from "../models/WatchlistModel.js";
+import { loadLatestBars } from "../services/StockSeriesService.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../config/logger.js";
+
+const toApiError = (error, message) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error.code === 11000) {
+    return new ApiError(409, "A watchlist with this name already exists");
+  }
+  if (error.name === 'ValidationError') {
+    return new ApiError(400, error.message);
+  }
+  return new ApiError(500, `${message}: ${error.message}`);
+};
+
+// Upper-case and de-duplicate while keeping the first occurrence's position
+const normalizeSymbols = (symbols) => [...new Set(symbols.map(symbol => symbol.toUpperCase()))];
+
+const findOwnedWatchlist = async (req) => {
+  const watchlist = await Watchlist.findOne({ _id: req.params.id, owner: req.clientId });
+  if (!watchlist) {
+    throw new ApiError(404, "Watchlist not found");
+  }
+  return watchlist;
+};
+
+export const createWatchlist = async (req, res, next) => {
+  try {
+    const { name, description, symbols = [] } = req.body;
+
+    const watchlist = await Watchlist.create({
+      owner: req.clientId,
+      name,
+      description,
+      symbols: normalizeSymbols(symbols)
+    });
+
+    logger.info(`Created watchlist ${watchlist.id} with ${watchlist.symbols.length} symbols`);
+
+    res.status(201).json({
+      success: true,
+      data: watchlist,
+      message: "Watchlist created successfully"
+    });
+  } catch (error) {
+    logger.error('Error in createWatchlist: %s', error.message);
+    next(toApiError(error, 'Failed to create watchlist'));
+  }
+};
+
+export const listWatchlists = async (req, res, next) => {
+  try {
+    const watchlists = await Watchlist.find({ owner: req.clientId }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: watchlists
+    });
+  } catch (error) {
+    logger.error('Error in listWatchlists: %s', error.message);
+    next(toApiError(error, 'Failed to fetch watchlists'));
+  }
+};
+
+export const getWatchlist = async (req, res, next) => {
+  try {
+    const watchlist = await findOwnedWatchlist(req);
+
+    res.status(200).json({
+      success: true,
+      data: watchlist
+    });
+  } catch (error) {
+    logger.error('Error in getWatchlist: %s', error.message);
+    next(toApiError(error, 'Failed to fetch watchlist'));
+  }
+};
+
+// PATCH semantics: `symbols` replaces the list, `add` appends new symbols and
+// `remove` drops symbols, applied in that order
+export const updateWatchlist = async (req, res, next) => {
+  try {
+    const { name, description, symbols, add, remove } = req.body;
+    const watchlist = await findOwnedWatchlist(req);
+
+    if (name !== undefined) {
+      watchlist.name = name;
+    }
+    if (description !== undefined) {
+      watchlist.description = description;
+    }
+
+    let nextSymbols = symbols !== undefined ? normalizeSymbols(symbols) : [...watchlist.symbols];
+    if (add) {
+      nextSymbols = normalizeSymbols([...nextSymbols, ...add]);
+    }
+    if (remove) {
+      const removed = new Set(remove.map(symbol => symbol.toUpperCase()));
+      nextSymbols = nextSymbols.filter(symbol => !removed.has(symbol));
+    }
+    watchlist.symbols = nextSymbols;
+
+    await watchlist.save();
+
+    res.status(200).json({
+      success: true,
+      data: watchlist,
+      message: "Watchlist updated successfully"
+    });
+  } catch (error) {
+    logger.error('Error in updateWatchlist: %s', error.message);
+    next(toApiError(error, 'Failed to update watchlist'));
+  }
+};
+
+export const deleteWatchlist = async (req, res, next) => {
+  try {
+    const result = await Watchlist.deleteOne({ _id: req.params.id, owner: req.clientId });
+    if (result.deletedCount === 0) {
+      return next(new ApiError(404, "Watchlist not found"));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Watchlist deleted successfully"
+    });
+  } catch (error) {
+    logger.error('Error in deleteWatchlist: %s', error.message);
+    next(toApiError(error, 'Failed to delete watchlist'));
+  }
+};
+
+// Latest stored daily and intraday bar for every member, in watchlist order
+export const getWatchlistQuotes = async (req, res, next) => {
+  try {
+    const watchlist = await findOwnedWatchlist(req);
+    const latest = watchlist.symbols.length ? await loadLatestBars(watchlist.symbols) : {};
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: watchlist.id,
+        name: watchlist.name,
+        quotes: watchlist.symbols.map(symbol => ({
+          symbol,
+          ...latest[symbol]
+        }))
+      },
+      message: "Watchlist quotes fetched successfully"
+    });
+  } catch (error) {
+    logger.error('Error in getWatchlistQuotes: %s', error.message);
+    next(toApiError(error, 'Failed to fetch watchlist quotes'));
+  }
+};
@@ -0,0 +1,55 @@
+import ApiError from "../utils/ApiError.js";
+import { validateObjectIdParam } from "./clientMiddleware.js";
+import { ALERT_CONDITIONS } from "../models/AlertRuleModel.js";
+import { SYMBOL_PATTERN } from "../constants/symbols.js";
+import { assertPublicWebhookUrl } from "../utils/webhookTarget.js";
+
+export const validateAlertId = validateObjectIdParam("id", "Alert");
+
+export const validateAlertBody = async (req, res, next) => {
+  const { symbol, condition, threshold, period, timeframe, webhookUrl, active } = req.body || {};
+  const isCreate = req.method === "POST";
+
+  if (isCreate || symbol !== undefined) {
+    if (typeof symbol !== "string" || !SYMBOL_PATTERN.test(symbol)) {
+      return next(new ApiError(400, "symbol must be a valid ticker"));
+    }
+  }
+
+  if (isCreate || condition !== undefined) {
+    if (!ALERT_CONDITIONS.includes(condition)) {
+      return next(
+        new ApiError(400, `condition must be one of: ${ALERT_CONDITIONS.join(", ")}`)
+      );
+    }
+  }
+
+  if (isCreate || threshold !== undefined) {
+    if (typeof threshold !== "number" || !(threshold > 0)) {
+      return next(new ApiError(400, "threshold must be a positive number"));
+    }
+  }
+
+  if (period !== undefined && !(Number.isInteger(period) && period >= 1 && period <= 250)) {
+    return next(new ApiError(400, "period must be an integer between 1 and 250"));
+  }
+
+  if (timeframe !== undefined && !["daily", "intraday"].includes(timeframe)) {
+    return next(new ApiError(400, "timeframe must be either daily or intraday"));
+  }
+
+  if (active !== undefined && typeof active !== "boolean") {
+    return next(new ApiError(400, "active must be a boolean"));
+  }
+
+  // Resolves the host, so it runs after the cheap checks
+  if (isCreate || webhookUrl !== undefined) {
+    try {
+      await assertPublicWebhookUrl(webhookUrl);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  next();
+};
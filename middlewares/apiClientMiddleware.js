@@ -0,0 +1,49 @@
+import ApiError from "../utils/ApiError.js";
+import { validateObjectIdParam } from "./clientMiddleware.js";
+import { API_SCOPES, CLIENT_TIERS, MIN_API_KEY_LENGTH } from "../constants/auth.js";
+
+export const validateApiClientId = validateObjectIdParam("id", "API client");
+
+export const validateApiClientBody = (req, res, next) => {
+  const { name, scopes, tier, key } = req.body || {};
+  const isCreate = req.method === "POST";
+
+  if (isCreate || name !== undefined) {
+    if (typeof name !== "string" || !name.trim() || name.length > 100) {
+      return next(new ApiError(400, "name must be a non-empty string of at most 100 characters"));
+    }
+  }
+
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_SCOPES.includes(scope))) {
+      return next(
+        new ApiError(400, `scopes must be a non-empty array of: ${API_SCOPES.join(", ")}`)
+      );
+    }
+  }
+
+  if (tier !== undefined && !CLIENT_TIERS.includes(tier)) {
+    return next(new ApiError(400, `tier must be one of: ${CLIENT_TIERS.join(", ")}`));
+  }
+
+  if (key !== undefined) {
+    if (!isCreate) {
+      return next(new ApiError(400, "key can only be set when a client is created; rotate it instead"));
+    }
+    if (typeof key !== "string" || key.trim() !== key || key.length < MIN_API_KEY_LENGTH) {
+      return next(
+        new ApiError(400, `key must be at least ${MIN_API_KEY_LENGTH} characters without surrounding spaces`)
+      );
+    }
+  }
+
+  next();
+};
+
+export const validateApiClientQuery = (req, res, next) => {
+  const { active } = req.query;
+  if (active !== undefined && !["true", "false"].includes(active)) {
+    return next(new ApiError(400, "active must be true or false"));
+  }
+  next();
+};
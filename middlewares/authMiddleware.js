@@ -0,0 +1,54 @@
+import ApiError from "../utils/ApiError.js";
+import { API_KEY_HEADER } from "../constants/rateLimit.js";
+import { findClientByKey, hasScope, isAuthRequired } from "../services/ApiClientService.js";
+
+// The key comes from X-API-Key, or from `Authorization: Bearer <key>`
+export const readApiKey = (req) => {
+  const header = req.get(API_KEY_HEADER);
+  if (header) {
+    return header.trim();
+  }
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  return match ? match[1] : null;
+};
+
+// Resolve the caller's API key to req.client ({ id, name, tier, scopes }).
+// Unknown or revoked keys are rejected. Requests without a key continue
+// anonymously unless AUTH_REQUIRED=true.
+export const authenticate = async (req, res, next) => {
+  try {
+    const apiKey = readApiKey(req);
+    if (!apiKey) {
+      if (isAuthRequired()) {
+        return next(new ApiError(401, "An API key is required. Send it in the X-API-Key header"));
+      }
+      return next();
+    }
+
+    const client = await findClientByKey(apiKey);
+    if (!client) {
+      return next(new ApiError(401, "Invalid or revoked API key"));
+    }
+
+    req.client = client;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Anonymous callers (only possible when AUTH_REQUIRED is off) may read market
+// data but nothing else. Node sets req.client to the socket, so authenticated
+// callers are recognised by their scopes.
+export const requireScope = (scope) => (req, res, next) => {
+  if (!req.client?.scopes) {
+    return scope === "read-market-data"
+      ? next()
+      : next(new ApiError(401, `An API key with the ${scope} scope is required`));
+  }
+
+  if (!hasScope(req.client, scope)) {
+    return next(new ApiError(403, `This API key does not have the ${scope} scope`));
+  }
+  next();
+};
@@ -0,0 +1,75 @@
+import ApiError from "../utils/ApiError.js";
+import { validateObjectIdParam } from "./clientMiddleware.js";
+import { listProviders } from "../services/MarketDataService.js";
+import { currentMonth, monthRange } from "../services/BackfillService.js";
+import { SYMBOL_PATTERN } from "../constants/symbols.js";
+import {
+  INTRADAY_INTERVALS,
+  EARLIEST_BACKFILL_MONTH,
+  MAX_BACKFILL_MONTHS
+} from "../constants/backfills.js";
+import { BACKFILL_STATUSES } from "../models/BackfillModel.js";
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+export const validateBackfillId = validateObjectIdParam("id", "Backfill");
+
+// Validates POST bodies: { symbol, interval?, months? | startMonth?, endMonth?, source? }
+export const validateBackfillBody = (req, res, next) => {
+  const { symbol, interval, months, startMonth, endMonth, source } = req.body || {};
+
+  if (typeof symbol !== "string" || !SYMBOL_PATTERN.test(symbol)) {
+    return next(new ApiError(400, "symbol must be a valid ticker"));
+  }
+
+  if (interval !== undefined && !INTRADAY_INTERVALS.includes(interval)) {
+    return next(new ApiError(400, `interval must be one of: ${INTRADAY_INTERVALS.join(", ")}`));
+  }
+
+  if (months !== undefined && !(Number.isInteger(months) && months >= 1 && months <= MAX_BACKFILL_MONTHS)) {
+    return next(new ApiError(400, `months must be an integer between 1 and ${MAX_BACKFILL_MONTHS}`));
+  }
+
+  if (months !== undefined && startMonth !== undefined) {
+    return next(new ApiError(400, "Provide either months or startMonth, not both"));
+  }
+
+  for (const [field, value] of Object.entries({ startMonth, endMonth })) {
+    if (value !== undefined && (typeof value !== "string" || !MONTH_PATTERN.test(value))) {
+      return next(new ApiError(400, `${field} must be a month in YYYY-MM format`));
+    }
+  }
+
+  const lastMonth = endMonth || currentMonth();
+  if (lastMonth > currentMonth()) {
+    return next(new ApiError(400, "endMonth cannot be in the future"));
+  }
+  if ((startMonth || lastMonth) < EARLIEST_BACKFILL_MONTH) {
+    return next(new ApiError(400, `Intraday history starts in ${EARLIEST_BACKFILL_MONTH}`));
+  }
+  if (startMonth && startMonth > lastMonth) {
+    return next(new ApiError(400, "startMonth must not be after endMonth"));
+  }
+  if (startMonth && monthRange(startMonth, lastMonth).length > MAX_BACKFILL_MONTHS) {
+    return next(new ApiError(400, `A backfill can cover at most ${MAX_BACKFILL_MONTHS} months`));
+  }
+
+  if (source !== undefined) {
+    const providers = listProviders();
+    if (typeof source !== "string" || !providers.includes(source.toLowerCase())) {
+      return next(new ApiError(400, `Invalid data source. Must be one of: ${providers.join(", ")}`));
+    }
+  }
+
+  next();
+};
+
+export const validateBackfillQuery = (req, res, next) => {
+  const { status } = req.query;
+
+  if (status !== undefined && !BACKFILL_STATUSES.includes(status)) {
+    return next(new ApiError(400, `status must be one of: ${BACKFILL_STATUSES.join(", ")}`));
+  }
+
+  next();
+};
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+import ApiError from "../utils/ApiError.js";
+import { getClientId } from "../utils/clientIdentity.js";
+
+// Client-owned resources (watchlists, portfolios) need a client identity, so
+// anonymous callers are turned away
+export const requireClient = (req, res, next) => {
+  const clientId = getClientId(req);
+
+  if (!clientId) {
+    return next(
+      new ApiError(401, "An X-API-Key header is required to access this resource")
+    );
+  }
+
+  req.clientId = clientId;
+  next();
+};
+
+// Answer 404 for route ids that cannot be Mongo ObjectIds
+export const validateObjectIdParam = (param, label) => (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params[param])) {
+    return next(new ApiError(404, `${label} not found`));
+  }
+  next();
+};
@@ -0,0 +1,49 @@
+import ApiError from "../utils/ApiError.js";
+import { exchangeTime } from "../utils/marketCalendar.js";
+import {
+  EXCHANGES,
+  DEFAULT_EXCHANGE,
+  CALENDAR_DEFAULT_RANGE_DAYS,
+  CALENDAR_MAX_RANGE_DAYS,
+} from "../constants/market.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const toDateString = (time) => new Date(time).toISOString().slice(0, 10);
+
+// ?exchange= (NYSE or NASDAQ, NYSE by default)
+export const validateExchange = (req, res, next) => {
+  const { exchange = DEFAULT_EXCHANGE } = req.query;
+
+  if (typeof exchange !== "string" || !EXCHANGES.includes(exchange.toUpperCase())) {
+    return next(new ApiError(400, `exchange must be one of: ${EXCHANGES.join(", ")}`));
+  }
+
+  req.exchange = exchange.toUpperCase();
+  next();
+};
+
+// ?from=&to= exchange dates, by default today and the following 30 days
+export const validateCalendarQuery = (req, res, next) => {
+  const { from, to } = req.query;
+
+  for (const [field, value] of Object.entries({ from, to })) {
+    if (value !== undefined && !(DATE_ONLY.test(value) && !Number.isNaN(Date.parse(value)))) {
+      return next(new ApiError(400, `${field} must be a date (YYYY-MM-DD)`));
+    }
+  }
+
+  const start = from || (to ? toDateString(Date.parse(to) - CALENDAR_DEFAULT_RANGE_DAYS * DAY_MS) : exchangeTime().slice(0, 10));
+  const end = to || toDateString(Date.parse(start) + CALENDAR_DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (start > end) {
+    return next(new ApiError(400, "from must not be after to"));
+  }
+  if ((Date.parse(end) - Date.parse(start)) / DAY_MS + 1 > CALENDAR_MAX_RANGE_DAYS) {
+    return next(new ApiError(400, `A calendar can cover at most ${CALENDAR_MAX_RANGE_DAYS} days`));
+  }
+
+  req.calendarQuery = { from: start, to: end };
+  next();
+};
@@ -0,0 +1,20 @@
+import { observeHttpRequest } from "../services/MetricsService.js";
+import { trackRoutePattern } from "../utils/routePattern.js";
+
+// Count requests and their latency per route pattern. Unmatched paths share
+// one label so scanners cannot blow up the series count.
+export const measureRequests = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  const routePattern = trackRoutePattern(req);
+
+  res.once("close", () => {
+    observeHttpRequest({
+      method: req.method,
+      route: routePattern() || "unmatched",
+      statusCode: res.statusCode,
+      durationSeconds: Number(process.hrtime.bigint() - startedAt) / 1e9,
+    });
+  });
+
+  next();
+};
@@ -0,0 +1,115 @@
+import ApiError from "../utils/ApiError.js";
+import { validateObjectIdParam } from "./clientMiddleware.js";
+import { COST_BASIS_METHODS } from "../models/PortfolioModel.js";
+import { TRANSACTION_TYPES } from "../models/PortfolioTransactionModel.js";
+import { SYMBOL_PATTERN } from "../constants/symbols.js";
+
+export const validatePortfolioId = validateObjectIdParam("id", "Portfolio");
+
+export const validateTransactionId = validateObjectIdParam(
+  "transactionId",
+  "Transaction"
+);
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const isPositiveNumber = (value) => typeof value === "number" && value > 0;
+const isNonNegativeNumber = (value) => typeof value === "number" && value >= 0;
+
+export const validatePortfolioBody = (req, res, next) => {
+  const { name, currency, costBasisMethod } = req.body || {};
+  const isCreate = req.method === "POST";
+
+  if (isCreate && (typeof name !== "string" || !name.trim())) {
+    return next(new ApiError(400, "name is required"));
+  }
+
+  if (name !== undefined && (typeof name !== "string" || name.length > 100)) {
+    return next(new ApiError(400, "name must be a string of at most 100 characters"));
+  }
+
+  if (currency !== undefined && !/^[A-Za-z]{3}$/.test(currency)) {
+    return next(new ApiError(400, "currency must be a 3-letter currency code"));
+  }
+
+  if (costBasisMethod !== undefined && !COST_BASIS_METHODS.includes(costBasisMethod)) {
+    return next(
+      new ApiError(400, `costBasisMethod must be one of: ${COST_BASIS_METHODS.join(", ")}`)
+    );
+  }
+
+  if (!isCreate && [name, currency, costBasisMethod].every((value) => value === undefined)) {
+    return next(
+      new ApiError(400, "Provide at least one of: name, currency, costBasisMethod")
+    );
+  }
+
+  next();
+};
+
+export const validateTransactionBody = (req, res, next) => {
+  const { symbol, type, date, quantity, price, fees, amount } = req.body || {};
+
+  if (typeof symbol !== "string" || !SYMBOL_PATTERN.test(symbol)) {
+    return next(new ApiError(400, "symbol must be a valid ticker"));
+  }
+
+  if (!TRANSACTION_TYPES.includes(type)) {
+    return next(new ApiError(400, `type must be one of: ${TRANSACTION_TYPES.join(", ")}`));
+  }
+
+  if (!date || isNaN(new Date(date).getTime())) {
+    return next(new ApiError(400, "date must be a valid ISO8601 date"));
+  }
+
+  if (type === "dividend") {
+    if (!isPositiveNumber(amount)) {
+      return next(new ApiError(400, "amount must be a positive number for dividends"));
+    }
+  } else {
+    if (!isPositiveNumber(quantity)) {
+      return next(new ApiError(400, "quantity must be a positive number"));
+    }
+    if (!isNonNegativeNumber(price)) {
+      return next(new ApiError(400, "price must be a non-negative number"));
+    }
+  }
+
+  if (fees !== undefined && !isNonNegativeNumber(fees)) {
+    return next(new ApiError(400, "fees must be a non-negative number"));
+  }
+
+  next();
+};
+
+export const validateCostBasisMethod = (req, res, next) => {
+  const { method } = req.query;
+
+  if (method !== undefined && !COST_BASIS_METHODS.includes(method)) {
+    return next(
+      new ApiError(400, `method must be one of: ${COST_BASIS_METHODS.join(", ")}`)
+    );
+  }
+
+  next();
+};
+
+// /:id/equity?startDate=&endDate= as dates (YYYY-MM-DD)
+export const validateEquityQuery = (req, res, next) => {
+  const { startDate, endDate } = req.query;
+
+  for (const [field, value] of Object.entries({ startDate, endDate })) {
+    if (
+      value !== undefined &&
+      !(typeof value === "string" && DATE_ONLY.test(value) && !Number.isNaN(Date.parse(value)))
+    ) {
+      return next(new ApiError(400, `${field} must be a date (YYYY-MM-DD)`));
+    }
+  }
+
+  if (startDate && endDate && startDate > endDate) {
+    return next(new ApiError(400, "endDate must not be before startDate"));
+  }
+
+  next();
+};
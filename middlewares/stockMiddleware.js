@@ -1,59 +1,161 @@
-import { body, query, param } from "express-validator";
 import ApiError from "../utils/ApiError.js";
+import { getClientId } from "../utils/clientIdentity.js";
+import { listProviders, isSyntheticMode } from "../services/MarketDataService.js";
+import {
+  getCachedDailyData,
+  getStoredDailyStatus,
+  getCachedIntradayData,
+} from "../services/CacheService.js";
+import { transformSeriesForRequest } from "../services/SeriesTransformService.js";
+import {
+  EXPORT_FORMATS,
+  resolveExportFormat,
+  exportSeries,
+  exportStoredDaily,
+} from "../services/ExportService.js";
+import { parseIntervalMinutes } from "../utils/resample.js";
+import { canonicalTimeZone } from "../utils/time.js";
+import { ADJUSTMENT_MODES } from "../utils/adjustment.js";
+import { INDICATORS } from "../utils/indicators.js";
+import { isKnownSymbol } from "../services/SymbolService.js";
+import { INTRADAY_INTERVALS } from "../constants/backfills.js";
+import { SYMBOL_PATTERN } from "../constants/symbols.js";
+import { BATCH_MAX_SYMBOLS } from "../constants/batch.js";
+import { createRateLimitStore } from "../services/RateLimitStore.js";
+import {
+  RATE_LIMIT_TIERS,
+  RATE_LIMIT_STORE,
+} from "../constants/rateLimit.js";
 
-export const validateSymbol = [
-  param("symbol")
-    .exists()
-    .withMessage("Symbol is required")
-    .isString()
-    .withMessage("Symbol must be a string")
-    .isLength({ min: 1, max: 10 })
-    .withMessage("Symbol must be 1-10 characters")
-    .trim()
-    .escape(),
-];
-
-export const validateInterval = [
-  query("interval")
-    .optional()
-    .isIn(["1min", "5min", "15min", "30min", "60min"])
-    .withMessage(
-      "Invalid interval. Must be one of: 1min, 5min, 15min, 30min, 60min"
-    ),
-];
-
-export const validateDateRange = [
-  query("startDate")
-    .optional()
-    .isISO8601()
-    .withMessage("startDate must be a valid ISO8601 date"),
-  query("endDate")
-    .optional()
-    .isISO8601()
-    .withMessage("endDate must be a valid ISO8601 date")
-    .custom((value, { req }) => {
-      if (
-        req.query.startDate &&
-        new Date(value) < new Date(req.query.startDate)
-      ) {
-        throw new Error("endDate must be after startDate");
-      }
-      return true;
-    }),
-];
+export const validateSymbol = (req, res, next) => {
+  const { symbol } = req.params;
+
+  if (!SYMBOL_PATTERN.test(symbol)) {
+    return next(
+      new ApiError(400, "Symbol must be 1-10 letters, digits, dots or dashes")
+    );
+  }
+
+  next();
+};
+
+// Rejects tickers missing from (or inactive in) the symbol catalogue before any
+// upstream call is spent on them. Enabled with REJECT_UNKNOWN_SYMBOLS=true and
+// skipped while the catalogue is empty or unreachable.
+export const validateKnownSymbol = async (req, res, next) => {
+  if (process.env.REJECT_UNKNOWN_SYMBOLS !== "true") {
+    return next();
+  }
+
+  try {
+    const known = await isKnownSymbol(req.params.symbol);
+    if (known === false) {
+      return next(
+        new ApiError(404, `Unknown or inactive symbol: ${req.params.symbol}`)
+      );
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const validateCatalogueQuery = (req, res, next) => {
+  const { page, limit } = req.query;
+
+  if (page !== undefined && !(Number.isInteger(Number(page)) && Number(page) >= 1)) {
+    return next(new ApiError(400, "page must be a positive integer"));
+  }
+
+  if (
+    limit !== undefined &&
+    !(Number.isInteger(Number(limit)) && Number(limit) >= 1 && Number(limit) <= 100)
+  ) {
+    return next(new ApiError(400, "limit must be an integer between 1 and 100"));
+  }
+
+  next();
+};
+
+const DATE_OR_DATETIME = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2})?)?$/;
 
-export const checkCache = async (req, res, next) => {
+// startDate/endDate as dates (YYYY-MM-DD) or date-times (YYYY-MM-DDTHH:MM:SS).
+// Returns the first problem with the range, or null when it is valid.
+export const dateRangeError = ({ startDate, endDate }) => {
+  for (const [field, value] of Object.entries({ startDate, endDate })) {
+    if (
+      value !== undefined &&
+      !(typeof value === "string" && DATE_OR_DATETIME.test(value) && !Number.isNaN(Date.parse(value)))
+    ) {
+      return `${field} must be a date (YYYY-MM-DD) or date-time (YYYY-MM-DDTHH:MM:SS)`;
+    }
+  }
+
+  // An end date without a time covers the whole day
+  if (startDate && endDate) {
+    const to = endDate.replace("T", " ");
+    if (startDate.replace("T", " ").slice(0, to.length) > to) {
+      return "endDate must not be before startDate";
+    }
+  }
+
+  return null;
+};
+
+export const validateInterval = (req, res, next) => {
+  const { interval } = req.query;
+
+  if (interval !== undefined && !INTRADAY_INTERVALS.includes(interval)) {
+    return next(
+      new ApiError(400, `Invalid interval. Must be one of: ${INTRADAY_INTERVALS.join(", ")}`)
+    );
+  }
+
+  next();
+};
+
+// Read-through cache for the daily and intraday endpoints. Serves fresh data
+// from MongoDB (or the in-memory fallback) and otherwise lets the controller
+// fetch from the provider. Requests naming an explicit source, or sending
+// Cache-Control: no-cache, always go to the provider.
+export const checkCache = (type) => async (req, res, next) => {
   try {
     const { symbol } = req.params;
-    const { interval = "5min" } = req.query;
+    const { interval = "5min", outputsize = "compact", source, adjusted } = req.query;
+    const outputSize = outputsize.toLowerCase();
+
+    // Stored data is real, so synthetic mode never reads it
+    if (source || isSyntheticMode() || /no-cache/i.test(req.get("Cache-Control") || "")) {
+      return next();
+    }
+
+    const format = resolveExportFormat(req);
+    const filename = `${symbol.toUpperCase()}_${type === "daily" ? "daily" : interval}`;
+
+    // Exports of stored daily bars stream from a cursor instead of loading the series
+    if (format && type === "daily" && (!adjusted || adjusted === "none")) {
+      if (await getStoredDailyStatus(symbol, outputSize)) {
+        return await exportStoredDaily(req, res, { format, symbol, outputSize, filename });
+      }
+    }
 
-    const cachedData = await req.redisClient.get(`stock:${symbol}:${interval}`);
+    const cached =
+      type === "daily"
+        ? await getCachedDailyData(symbol, outputSize)
+        : await getCachedIntradayData(symbol, interval);
 
-    if (cachedData) {
+    if (cached) {
+      if (format) {
+        return await exportSeries(req, res, { type, format, data: cached.data, source: "cache", filename });
+      }
       return res.status(200).json({
         success: true,
+        source: "cache",
         fromCache: true,
-        data: JSON.parse(cachedData),
+        cacheStore: cached.cacheStore,
+        cacheAge: cached.cacheAge,
+        data: transformSeriesForRequest(type, cached.data, req.query),
+        message: `${type === "daily" ? "Daily" : "Intraday"} data served from cache`,
       });
     }
 
@@ -63,6 +165,102 @@ export const checkCache = async (req, res, next) => {
   }
 };
 
+// /batch?symbols=AAPL,MSFT&type=daily|intraday. Malformed tickers are reported
+// per symbol by the batch itself rather than rejecting the request.
+export const validateBatchQuery = (req, res, next) => {
+  const { symbols, type = "daily", interval, outputsize } = req.query;
+
+  if (typeof symbols !== "string" || !symbols.trim()) {
+    return next(new ApiError(400, "symbols is required, e.g. symbols=AAPL,MSFT"));
+  }
+
+  const requested = new Set(
+    symbols.split(",").map((symbol) => symbol.trim()).filter(Boolean)
+  );
+  if (requested.size > BATCH_MAX_SYMBOLS) {
+    return next(
+      new ApiError(400, `A batch can request at most ${BATCH_MAX_SYMBOLS} symbols`)
+    );
+  }
+
+  if (!["daily", "intraday"].includes(type)) {
+    return next(new ApiError(400, 'type must be either "daily" or "intraday"'));
+  }
+
+  if (interval !== undefined && !INTRADAY_INTERVALS.includes(interval)) {
+    return next(
+      new ApiError(400, `Invalid interval. Must be one of: ${INTRADAY_INTERVALS.join(", ")}`)
+    );
+  }
+
+  if (outputsize !== undefined && !["compact", "full"].includes(String(outputsize).toLowerCase())) {
+    return next(
+      new ApiError(400, 'Invalid output size. Must be either "compact" or "full"')
+    );
+  }
+
+  next();
+};
+
+// /:symbol/quality?interval=&startDate=&endDate=
+export const validateQualityQuery = (req, res, next) => {
+  const { interval, startDate, endDate } = req.query;
+
+  if (interval !== undefined && !INTRADAY_INTERVALS.includes(interval)) {
+    return next(
+      new ApiError(400, `Invalid interval. Must be one of: ${INTRADAY_INTERVALS.join(", ")}`)
+    );
+  }
+
+  for (const [field, value] of Object.entries({ startDate, endDate })) {
+    if (value !== undefined && !(/^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value)))) {
+      return next(new ApiError(400, `${field} must be a valid ISO8601 date`));
+    }
+  }
+
+  if (startDate && endDate && endDate.slice(0, 10) < startDate.slice(0, 10)) {
+    return next(new ApiError(400, "endDate must be after startDate"));
+  }
+
+  next();
+};
+
+// /:symbol/historical?interval=&startDate=&endDate= (or the original
+// start_date/end_date names)
+export const validateHistoricalQuery = (req, res, next) => {
+  const { interval } = req.query;
+
+  if (interval !== undefined && !INTRADAY_INTERVALS.includes(interval)) {
+    return next(
+      new ApiError(400, `Invalid interval. Must be one of: ${INTRADAY_INTERVALS.join(", ")}`)
+    );
+  }
+
+  const rangeError = dateRangeError({
+    startDate: req.query.startDate || req.query.start_date,
+    endDate: req.query.endDate || req.query.end_date,
+  });
+  if (rangeError) {
+    return next(new ApiError(400, rangeError));
+  }
+
+  next();
+};
+
+// ?format=json|csv|ndjson (Accept: text/csv or application/x-ndjson work too)
+export const validateFormat = (req, res, next) => {
+  const { format } = req.query;
+  const formats = ["json", ...Object.keys(EXPORT_FORMATS)];
+
+  if (format !== undefined && !formats.includes(String(format).toLowerCase())) {
+    return next(
+      new ApiError(400, `Invalid format. Must be one of: ${formats.join(", ")}`)
+    );
+  }
+
+  next();
+};
+
 export const validateOutputSize = (req, res, next) => {
   const { outputsize = "compact" } = req.query;
 
@@ -80,7 +278,185 @@ export const validateOutputSize = (req, res, next) => {
   next();
 };
 
-export const rateLimiter = (req, res, next) => {
-  // Implement rate limiting logic here
+// /:symbol/indicators?type=&interval=&startDate=&endDate= and the indicator parameters
+export const validateIndicators = (req, res, next) => {
+  const { type, interval, period, fast, slow, signal, stdDev, startDate, endDate } = req.query;
+
+  if (!type) {
+    return next(
+      new ApiError(
+        400,
+        `type is required. Use one or more of: ${INDICATORS.join(", ")}`
+      )
+    );
+  }
+
+  const unknown = String(type)
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => !INDICATORS.includes(name));
+  if (unknown.length > 0) {
+    return next(
+      new ApiError(
+        400,
+        `Unsupported indicator(s): ${unknown.join(", ")}. Must be one of: ${INDICATORS.join(", ")}`
+      )
+    );
+  }
+
+  for (const [name, value] of Object.entries({ period, fast, slow, signal })) {
+    if (
+      value !== undefined &&
+      (!Number.isInteger(Number(value)) || Number(value) < 1 || Number(value) > 500)
+    ) {
+      return next(
+        new ApiError(400, `${name} must be an integer between 1 and 500`)
+      );
+    }
+  }
+
+  if (stdDev !== undefined && !(Number(stdDev) > 0)) {
+    return next(new ApiError(400, "stdDev must be a positive number"));
+  }
+
+  if (interval !== undefined && !INTRADAY_INTERVALS.includes(interval)) {
+    return next(
+      new ApiError(400, `Invalid interval. Must be one of: ${INTRADAY_INTERVALS.join(", ")}`)
+    );
+  }
+
+  const rangeError = dateRangeError({ startDate, endDate });
+  if (rangeError) {
+    return next(new ApiError(400, rangeError));
+  }
+
+  next();
+};
+
+// ?resample= must be a coarser interval that the source interval divides evenly
+export const validateResample = (req, res, next) => {
+  const { resample, interval = "5min" } = req.query;
+
+  if (resample === undefined) {
+    return next();
+  }
+
+  const targetMinutes = parseIntervalMinutes(resample);
+  const sourceMinutes = parseIntervalMinutes(interval);
+
+  if (!targetMinutes || targetMinutes > 24 * 60) {
+    return next(
+      new ApiError(
+        400,
+        'Invalid resample interval. Use minutes or hours, e.g. "15min" or "1h"'
+      )
+    );
+  }
+
+  if (targetMinutes < sourceMinutes || targetMinutes % sourceMinutes !== 0) {
+    return next(
+      new ApiError(
+        400,
+        `resample must be a multiple of the ${interval} source interval`
+      )
+    );
+  }
+
+  next();
+};
+
+export const validateAdjusted = (req, res, next) => {
+  const { adjusted } = req.query;
+
+  if (adjusted !== undefined && !ADJUSTMENT_MODES.includes(adjusted)) {
+    return next(
+      new ApiError(
+        400,
+        `Invalid adjusted value. Must be one of: ${ADJUSTMENT_MODES.join(", ")}`
+      )
+    );
+  }
+
+  next();
+};
+
+// ?tz= renders timestamps in the caller's IANA time zone (e.g. "Europe/London")
+export const validateTimeZone = (req, res, next) => {
+  const { tz } = req.query;
+
+  if (tz === undefined) {
+    return next();
+  }
+
+  try {
+    canonicalTimeZone(String(tz));
+  } catch {
+    return next(
+      new ApiError(400, 'Invalid tz. Use an IANA time zone such as "America/New_York" or "Europe/London"')
+    );
+  }
+
+  next();
+};
+
+export const validateSource = (req, res, next) => {
+  const { source } = req.query;
+
+  if (source === undefined) {
+    return next();
+  }
+
+  const providers = listProviders();
+  if (!providers.includes(String(source).toLowerCase())) {
+    return next(
+      new ApiError(
+        400,
+        `Invalid data source. Must be one of: ${providers.join(", ")}`
+      )
+    );
+  }
+
   next();
 };
+
+// Identify the client by its API client identity (set by authenticate) when
+// a key is sent, otherwise by IP address. The tier comes from the API client.
+const identifyClient = (req) => {
+  const clientId = getClientId(req);
+
+  if (clientId) {
+    return { key: `key:${clientId}`, tier: req.client?.tier || "standard" };
+  }
+
+  return { key: `ip:${req.ip}`, tier: "anonymous" };
+};
+
+export const createRateLimiter = ({
+  store = createRateLimitStore(RATE_LIMIT_STORE),
+  tiers = RATE_LIMIT_TIERS,
+} = {}) => async (req, res, next) => {
+  try {
+    const { key, tier: tierName } = identifyClient(req);
+    const tier = tiers[tierName] || tiers.anonymous;
+    const result = await store.consume(key, tier);
+
+    res.set({
+      "RateLimit-Policy": `${tier.capacity};w=${Math.ceil(tier.capacity / tier.refillPerSecond)}`,
+      "RateLimit-Limit": String(result.limit),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(result.resetSeconds),
+    });
+
+    if (!result.allowed) {
+      const error = new ApiError(429, "Too many requests. Please slow down.");
+      error.retryAfter = result.retryAfter;
+      return next(error);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const rateLimiter = createRateLimiter();
@@ -0,0 +1,122 @@
+import ApiError from "../utils/ApiError.js";
+import { getClientId } from "../utils/clientIdentity.js";
+import { runWithRequestContext } from "../utils/requestContext.js";
+import { trackRoutePattern } from "../utils/routePattern.js";
+import { recordUsageEvent } from "../services/UsageService.js";
+import {
+  ANONYMOUS_CLIENT_ID,
+  USAGE_DEFAULT_RANGE_DAYS,
+  USAGE_MAX_RANGE_DAYS,
+  USAGE_GROUP_BY,
+} from "../constants/usage.js";
+
+const CACHE_SOURCES = ["cache", "database"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Sources named by a JSON response: top level, v2 meta or per batch symbol
+const sourcesOf = (body) => {
+  if (typeof body?.source === "string") {
+    return [body.source];
+  }
+  if (typeof body?.meta?.source === "string") {
+    return [body.meta.source];
+  }
+  if (body?.errors && body?.data && typeof body.data === "object") {
+    return Object.values(body.data).map((entry) => entry?.source).filter(Boolean);
+  }
+  return [];
+};
+
+const classify = (sources, upstreamCalls) => {
+  if (upstreamCalls > 0 || sources.some((source) => !CACHE_SOURCES.includes(source))) {
+    return "upstream";
+  }
+  return sources.length > 0 ? "cache" : "none";
+};
+
+const symbolsOf = (req) => {
+  if (req.params?.symbol) {
+    return [req.params.symbol.toUpperCase()];
+  }
+  if (typeof req.query.symbols === "string") {
+    return [...new Set(
+      req.query.symbols.split(",").map((symbol) => symbol.trim().toUpperCase()).filter(Boolean)
+    )];
+  }
+  return [];
+};
+
+// Record every API call once its response is done (or the client went away).
+// Upstream calls are counted by the quota governor through the request context.
+export const meterUsage = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  const context = { upstreamCalls: 0 };
+  const routePattern = trackRoutePattern(req);
+  let sources = [];
+
+  const json = res.json;
+  res.json = function (body) {
+    sources = sourcesOf(body);
+    return json.call(this, body);
+  };
+
+  res.once("close", () => {
+    const exportSource = res.get("X-Data-Source");
+    if (exportSource) {
+      sources = [exportSource];
+    }
+
+    recordUsageEvent({
+      timestamp: new Date(),
+      clientId: getClientId(req) || ANONYMOUS_CLIENT_ID,
+      clientName: req.client?.name || null,
+      endpoint: `${req.method} ${routePattern() || "unmatched"}`,
+      symbols: symbolsOf(req),
+      servedFrom: classify(sources, context.upstreamCalls),
+      source: sources.length === 1 ? sources[0] : null,
+      upstreamCalls: context.upstreamCalls,
+      statusCode: res.statusCode,
+      latencyMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+    });
+  });
+
+  runWithRequestContext(context, next);
+};
+
+const toDateString = (time) => new Date(time).toISOString().slice(0, 10);
+
+// ?from=&to= (UTC days, YYYY-MM-DD) and ?groupBy=. Defaults to the last
+// USAGE_DEFAULT_RANGE_DAYS days, by day for clients and by client for
+// operators, who may also filter by ?clientId=.
+export const validateUsageQuery = ({ admin = false } = {}) => (req, res, next) => {
+  const { from, to, groupBy = admin ? "client" : "day", clientId } = req.query;
+  const groupings = admin ? USAGE_GROUP_BY : USAGE_GROUP_BY.filter((group) => group !== "client");
+
+  for (const [field, value] of Object.entries({ from, to })) {
+    if (value !== undefined && !(DATE_ONLY.test(value) && !Number.isNaN(Date.parse(value)))) {
+      return next(new ApiError(400, `${field} must be a date (YYYY-MM-DD)`));
+    }
+  }
+
+  const end = to || toDateString(Date.now());
+  const start = from || toDateString(Date.parse(end) - (USAGE_DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (start > end) {
+    return next(new ApiError(400, "from must not be after to"));
+  }
+  if ((Date.parse(end) - Date.parse(start)) / DAY_MS + 1 > USAGE_MAX_RANGE_DAYS) {
+    return next(new ApiError(400, `A usage report can cover at most ${USAGE_MAX_RANGE_DAYS} days`));
+  }
+
+  if (!groupings.includes(groupBy)) {
+    return next(new ApiError(400, `groupBy must be one of: ${groupings.join(", ")}`));
+  }
+
+  if (clientId !== undefined && (!admin || typeof clientId !== "string" || !clientId.trim())) {
+    return next(new ApiError(400, admin ? "clientId must be a non-empty string" : "clientId is not supported"));
+  }
+
+  req.usageQuery = { from: start, to: end, groupBy, clientId: admin ? clientId : undefined };
+  next();
+};
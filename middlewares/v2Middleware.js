@@ -0,0 +1,39 @@
+import ApiError from "../utils/ApiError.js";
+import { decodeCursor, MAX_PAGE_LIMIT } from "../utils/bars.js";
+
+const DATE_OR_DATETIME = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2})?)?$/;
+
+// ?start=&end= (dates or date-times, exchange-local unless ?tz= is set), ?limit= and ?cursor=
+export const validateBarQuery = (req, res, next) => {
+  const { start, end, limit, cursor } = req.query;
+
+  for (const [field, value] of Object.entries({ start, end })) {
+    if (value !== undefined && !DATE_OR_DATETIME.test(value)) {
+      return next(
+        new ApiError(400, `${field} must be a date (YYYY-MM-DD) or date-time (YYYY-MM-DDTHH:MM:SS)`)
+      );
+    }
+  }
+
+  // An end date without a time covers the whole day
+  if (start && end) {
+    const to = end.replace("T", " ");
+    if (start.replace("T", " ").slice(0, to.length) > to) {
+      return next(new ApiError(400, "start must not be after end"));
+    }
+  }
+
+  if (limit !== undefined && !(Number.isInteger(Number(limit)) && Number(limit) >= 1 && Number(limit) <= MAX_PAGE_LIMIT)) {
+    return next(new ApiError(400, `limit must be an integer between 1 and ${MAX_PAGE_LIMIT}`));
+  }
+
+  if (cursor !== undefined) {
+    try {
+      decodeCursor(cursor);
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  next();
+};
@@ -0,0 +1,57 @@
+import ApiError from "../utils/ApiError.js";
+import { validateObjectIdParam } from "./clientMiddleware.js";
+import { MAX_WATCHLIST_SYMBOLS } from "../models/WatchlistModel.js";
+import { SYMBOL_PATTERN } from "../constants/symbols.js";
+
+export const validateWatchlistId = validateObjectIdParam("id", "Watchlist");
+
+const validateSymbolList = (symbols, field) => {
+  if (!Array.isArray(symbols)) {
+    return `${field} must be an array of symbols`;
+  }
+  if (symbols.length > MAX_WATCHLIST_SYMBOLS) {
+    return `${field} can hold at most ${MAX_WATCHLIST_SYMBOLS} symbols`;
+  }
+  const invalid = symbols.filter(
+    (symbol) => typeof symbol !== "string" || !SYMBOL_PATTERN.test(symbol)
+  );
+  if (invalid.length > 0) {
+    return `Invalid symbol(s) in ${field}: ${invalid.join(", ")}`;
+  }
+  return null;
+};
+
+// Validates POST bodies (name required) and PATCH bodies (at least one change)
+export const validateWatchlistBody = (req, res, next) => {
+  const { name, description, symbols, add, remove } = req.body || {};
+  const isCreate = req.method === "POST";
+
+  if (isCreate && (typeof name !== "string" || !name.trim())) {
+    return next(new ApiError(400, "name is required"));
+  }
+
+  if (name !== undefined && (typeof name !== "string" || name.length > 100)) {
+    return next(new ApiError(400, "name must be a string of at most 100 characters"));
+  }
+
+  if (description !== undefined && (typeof description !== "string" || description.length > 500)) {
+    return next(new ApiError(400, "description must be a string of at most 500 characters"));
+  }
+
+  for (const [field, value] of Object.entries({ symbols, add, remove })) {
+    if (value !== undefined) {
+      const error = validateSymbolList(value, field);
+      if (error) {
+        return next(new ApiError(400, error));
+      }
+    }
+  }
+
+  if (!isCreate && [name, description, symbols, add, remove].every((value) => value === undefined)) {
+    return next(
+      new ApiError(400, "Provide at least one of: name, description, symbols, add, remove")
+    );
+  }
+
+  next();
+};
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+const AttemptSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  statusCode: { type: Number, default: null },
+  error: { type: String, default: null },
+  durationMs: { type: Number, required: true }
+}, { _id: false });
+
+// One webhook delivery (and its retries) for a triggered alert
+const AlertDeliverySchema = new mongoose.Schema({
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule',
+    required: true,
+    index: true
+  },
+  event: {
+    type: String,
+    enum: ['alert.triggered', 'alert.test'],
+    default: 'alert.triggered'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: [AttemptSchema],
+    default: []
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+AlertDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+AlertDeliverySchema.set('toJSON', {
+  versionKey: false,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    return ret;
+  }
+});
+
+const AlertDelivery = mongoose.model('AlertDelivery', AlertDeliverySchema);
+
+export default AlertDelivery;
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+// close_above / close_below: the close crosses `threshold`
+// intraday_move: latest intraday close moves more than `threshold` percent from the previous daily close
+// volume_spike: daily volume exceeds `threshold` times its `period`-day average
+export const ALERT_CONDITIONS = ['close_above', 'close_below', 'intraday_move', 'volume_spike'];
+
+const AlertRuleSchema = new mongoose.Schema({
+  // Client that owns the rule (see utils/clientIdentity.js)
+  owner: {
+    type: String,
+    required: true,
+    index: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  condition: {
+    type: String,
+    enum: ALERT_CONDITIONS,
+    required: true
+  },
+  threshold: {
+    type: Number,
+    required: true
+  },
+  // Series watched by close_above / close_below
+  timeframe: {
+    type: String,
+    enum: ['daily', 'intraday'],
+    default: 'daily'
+  },
+  // Look-back window for volume_spike
+  period: {
+    type: Number,
+    default: 20,
+    min: 1,
+    max: 250
+  },
+  webhookUrl: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // HMAC key for webhook signatures, only returned when the rule is created
+  secret: {
+    type: String,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Timestamp of the bar (or trading day) that last triggered the rule, so a
+  // bar that is stored again does not fire twice
+  lastTriggeredBar: {
+    type: String,
+    default: null
+  },
+  lastTriggeredAt: {
+    type: Date,
+    default: null
+  },
+  triggerCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+AlertRuleSchema.index({ symbol: 1, active: 1 });
+
+AlertRuleSchema.set('toJSON', {
+  versionKey: false,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.owner;
+    delete ret.secret;
+    return ret;
+  }
+});
+
+const AlertRule = mongoose.model('AlertRule', AlertRuleSchema);
+
+export default AlertRule;
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+import { API_SCOPES, CLIENT_TIERS, DEFAULT_CLIENT_SCOPES } from "../constants/auth.js";
+
+// A caller allowed to use the API. Only a SHA-256 hash of its key is stored;
+// the key itself is shown once, when it is issued or rotated.
+const ApiClientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, so admins can tell keys apart
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  // Identity that owns the client's watchlists, portfolios and alerts. Fixed at
+  // creation, so it survives key rotation.
+  ownerId: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  scopes: {
+    type: [{ type: String, enum: API_SCOPES }],
+    default: () => [...DEFAULT_CLIENT_SCOPES]
+  },
+  tier: {
+    type: String,
+    enum: CLIENT_TIERS,
+    default: 'standard'
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ApiClientSchema.set('toJSON', {
+  versionKey: false,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.keyHash;
+    delete ret.ownerId;
+    return ret;
+  }
+});
+
+const ApiClient = mongoose.model('ApiClient', ApiClientSchema);
+
+export default ApiClient;
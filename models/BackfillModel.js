@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+export const BACKFILL_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+const BackfillMonthSchema = new mongoose.Schema({
+  month: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'done', 'failed'],
+    default: 'pending'
+  },
+  bars: { type: Number, default: 0 },
+  attempts: { type: Number, default: 0 },
+  error: { type: String, default: null },
+  completedAt: { type: Date, default: null }
+}, { _id: false });
+
+// A request to pull intraday history for a symbol one month at a time.
+// Progress is saved after every month so an interrupted backfill resumes where it stopped.
+const BackfillSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  interval: {
+    type: String,
+    required: true,
+    enum: ['1min', '5min', '15min', '30min', '60min']
+  },
+  startMonth: { type: String, required: true },
+  endMonth: { type: String, required: true },
+  source: { type: String, default: null },
+  status: {
+    type: String,
+    enum: BACKFILL_STATUSES,
+    default: 'queued'
+  },
+  // Oldest month first
+  months: {
+    type: [BackfillMonthSchema],
+    default: []
+  },
+  barsStored: { type: Number, default: 0 },
+  error: { type: String, default: null },
+  // Set when the upstream quota ran out; the backfill waits until then
+  nextAttemptAt: { type: Date, default: null },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+BackfillSchema.index({ status: 1, createdAt: 1 });
+BackfillSchema.index({ symbol: 1, interval: 1 });
+
+BackfillSchema.set('toJSON', {
+  versionKey: false,
+  transform: (doc, ret) => {
+    const totalMonths = ret.months.length;
+    const completedMonths = ret.months.filter(month => month.status === 'done').length;
+    const failedMonths = ret.months.filter(month => month.status === 'failed').length;
+
+    ret.id = ret._id;
+    delete ret._id;
+    ret.progress = {
+      totalMonths,
+      completedMonths,
+      failedMonths,
+      percent: totalMonths ? Math.round(((completedMonths + failedMonths) / totalMonths) * 1000) / 10 : 100
+    };
+    return ret;
+  }
+});
+
+const Backfill = mongoose.model('Backfill', BackfillSchema);
+
+export default Backfill;
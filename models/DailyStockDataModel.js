@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { barIssues } from "../utils/barQuality.js";
 
 const DailyStockDataSchema = new mongoose.Schema({
   symbol: { 
@@ -59,13 +60,19 @@ const DailyStockDataSchema = new mongoose.Schema({
 // Create a compound unique index on symbol and date
 DailyStockDataSchema.index({ symbol: 1, date: 1 }, { unique: true });
 
-// Helper function to safely parse number with fallback
+// Optional fields (dividends, splits) fall back to their neutral value
 const safeParseNumber = (value, fallback = 0) => {
   const num = parseFloat(value);
   return isNaN(num) ? fallback : num;
 };
 
-// Static method to save multiple daily records at once
+// Bars arrive either transformed (open, high, ...) or in the raw Alpha Vantage
+// layout ('1. open', '2. high', ...)
+const readField = (data, name, alphaVantageName) => data[name] ?? data[alphaVantageName];
+
+// Static method to save multiple daily records at once. Bars that fail
+// validation are skipped rather than stored with made-up values; providers'
+// series are screened (and bad bars quarantined) before they get here.
 DailyStockDataSchema.statics.saveBulkDailyData = async function(symbol, timeSeriesData) {
   try {
     const operations = [];
@@ -74,6 +81,19 @@ DailyStockDataSchema.statics.saveBulkDailyData = async function(symbol, timeSeri
       try {
         const date = new Date(dateStr);
         if (isNaN(date.getTime())) continue; // Skip invalid dates
+
+        const bar = {
+          open: parseFloat(readField(data, 'open', '1. open')),
+          high: parseFloat(readField(data, 'high', '2. high')),
+          low: parseFloat(readField(data, 'low', '3. low')),
+          close: parseFloat(readField(data, 'close', '4. close')),
+          volume: parseFloat(readField(data, 'volume', '5. volume'))
+        };
+        const issues = barIssues(bar);
+        if (issues.length > 0) {
+          console.warn(`Skipping invalid daily bar for ${symbol} on ${dateStr}: ${issues.join(', ')}`);
+          continue;
+        }
         
         const operation = {
           updateOne: {
@@ -82,14 +102,14 @@ DailyStockDataSchema.statics.saveBulkDailyData = async function(symbol, timeSeri
               $set: {
                 symbol,
                 date,
-                open: safeParseNumber(data['1. open']),
-                high: safeParseNumber(data['2. high']),
-                low: safeParseNumber(data['3. low']),
-                close: safeParseNumber(data['4. close']),
-                volume: Math.floor(safeParseNumber(data['5. volume'])), // Ensure it's an integer
-                adjustedClose: safeParseNumber(data['5. adjusted close'] || data['4. close']), // Fallback to close if adjusted close not available
-                dividendAmount: safeParseNumber(data['7. dividend amount']),
-                splitCoefficient: safeParseNumber(data['8. split coefficient'], 1),
+                open: bar.open,
+                high: bar.high,
+                low: bar.low,
+                close: bar.close,
+                volume: Math.floor(bar.volume), // Ensure it's an integer
+                adjustedClose: safeParseNumber(readField(data, 'adjustedClose', '5. adjusted close'), bar.close), // Fallback to close if adjusted close not available
+                dividendAmount: safeParseNumber(readField(data, 'dividendAmount', '7. dividend amount')),
+                splitCoefficient: safeParseNumber(readField(data, 'splitCoefficient', '8. split coefficient'), 1),
                 lastRefreshed: new Date()
               }
             },
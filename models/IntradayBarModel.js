@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// One intraday bar per document, in a MongoDB time-series collection bucketed
+// by symbol and interval. `timestamp` is the absolute time the bar opened;
+// `localTime` keeps the exchange wall-clock key providers report it under.
+const IntradayBarSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  meta: {
+    symbol: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true
+    },
+    interval: {
+      type: String,
+      required: true,
+      enum: ['1min', '5min', '15min', '30min', '60min']
+    }
+  },
+  // YYYY-MM-DD HH:MM:SS in the exchange time zone
+  localTime: {
+    type: String,
+    required: true
+  },
+  open: { type: Number, required: true },
+  high: { type: Number, required: true },
+  low: { type: Number, required: true },
+  close: { type: Number, required: true },
+  volume: { type: Number, default: 0 }
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'meta',
+    granularity: 'minutes'
+  },
+  versionKey: false
+});
+
+IntradayBarSchema.index({ 'meta.symbol': 1, 'meta.interval': 1, timestamp: 1 });
+
+const IntradayBar = mongoose.model('IntradayBar', IntradayBarSchema);
+
+export default IntradayBar;
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+export const COST_BASIS_METHODS = ['fifo', 'average'];
+
+const PortfolioSchema = new mongoose.Schema({
+  // Client that owns the portfolio (see utils/clientIdentity.js)
+  owner: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD'
+  },
+  // Default lot matching for realized P&L, overridable per request
+  costBasisMethod: {
+    type: String,
+    enum: COST_BASIS_METHODS,
+    default: 'fifo'
+  }
+}, {
+  timestamps: true
+});
+
+PortfolioSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+PortfolioSchema.set('toJSON', {
+  versionKey: false,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.owner;
+    return ret;
+  }
+});
+
+const Portfolio = mongoose.model('Portfolio', PortfolioSchema);
+
+export default Portfolio;
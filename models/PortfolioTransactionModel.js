@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+export const TRANSACTION_TYPES = ['buy', 'sell', 'dividend'];
+
+const PortfolioTransactionSchema = new mongoose.Schema({
+  portfolio: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    required: true,
+    index: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true
+  },
+  // Trade date (or dividend pay date), stored at UTC midnight
+  date: {
+    type: Date,
+    required: true
+  },
+  // Shares for buys and sells
+  quantity: {
+    type: Number,
+    min: 0
+  },
+  // Price per share for buys and sells
+  price: {
+    type: Number,
+    min: 0
+  },
+  fees: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Cash received for dividends
+  amount: {
+    type: Number,
+    min: 0
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+PortfolioTransactionSchema.index({ portfolio: 1, date: 1, createdAt: 1 });
+
+PortfolioTransactionSchema.set('toJSON', {
+  versionKey: false,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    ret.date = ret.date.toISOString().slice(0, 10);
+    delete ret._id;
+    delete ret.portfolio;
+    return ret;
+  }
+});
+
+const PortfolioTransaction = mongoose.model('PortfolioTransaction', PortfolioTransactionSchema);
+
+export default PortfolioTransaction;
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// A bar a provider delivered that failed validation on ingest. It is kept out
+// of the stored series and recorded here as received.
+const QuarantinedBarSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  dataType: {
+    type: String,
+    enum: ['daily', 'intraday'],
+    required: true
+  },
+  // Null for daily bars
+  interval: {
+    type: String,
+    default: null
+  },
+  // Exchange wall-clock timestamp (or date) as the provider keyed it
+  timestamp: {
+    type: String,
+    required: true
+  },
+  raw: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  issues: {
+    type: [String],
+    required: true
+  },
+  source: {
+    type: String,
+    default: null
+  },
+  // How often the same bad bar has been delivered
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+QuarantinedBarSchema.index({ symbol: 1, dataType: 1, interval: 1, timestamp: 1 }, { unique: true });
+
+const QuarantinedBar = mongoose.model('QuarantinedBar', QuarantinedBarSchema);
+
+export default QuarantinedBar;
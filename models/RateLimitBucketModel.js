@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+const RateLimitBucketSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tokens: {
+    type: Number,
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    required: true
+  },
+  // Buckets are dropped once they would have refilled completely
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// TTL index so idle buckets are removed by MongoDB
+RateLimitBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitBucket = mongoose.model('RateLimitBucket', RateLimitBucketSchema);
+
+export default RateLimitBucket;
@@ -34,6 +34,8 @@ const StockDataSchema = new mongoose.Schema({
       default: 'US/Eastern'
     }
   },
+  // Legacy: whole responses were stored here before bars moved to IntradayBar.
+  // Kept so documents not yet migrated can still be read.
   timeSeries: {
     type: Map,
     of: {
@@ -43,7 +45,13 @@ const StockDataSchema = new mongoose.Schema({
       '4. close': { type: String, required: true },
       '5. volume': { type: String, required: true }
     },
-    required: true
+    required: false
+  },
+  // Oldest bar of the last provider response; the cached response is rebuilt
+  // from the IntradayBar documents at or after it
+  windowStart: {
+    type: String,
+    required: false
   },
   lastUpdated: {
     type: Date,
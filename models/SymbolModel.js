@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+const SymbolSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  exchange: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    index: true
+  },
+  type: {
+    type: String,
+    trim: true
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD'
+  },
+  region: {
+    type: String,
+    trim: true,
+    default: 'United States'
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  // Where the entry came from: 'listing' (bulk CSV) or 'search' (upstream symbol search)
+  origin: {
+    type: String,
+    enum: ['listing', 'search'],
+    default: 'listing'
+  }
+}, {
+  timestamps: true
+});
+
+SymbolSchema.index({ name: 1 });
+
+// Named StockSymbol to avoid shadowing the global Symbol
+const StockSymbol = mongoose.model('Symbol', SymbolSchema);
+
+export default StockSymbol;
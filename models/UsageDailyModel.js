@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// Usage totals for one client and endpoint on one UTC day
+const UsageDailySchema = new mongoose.Schema({
+  // UTC day, YYYY-MM-DD
+  date: {
+    type: String,
+    required: true
+  },
+  clientId: {
+    type: String,
+    required: true
+  },
+  clientName: {
+    type: String,
+    default: null
+  },
+  // Method and route pattern, as on the usage events
+  endpoint: {
+    type: String,
+    required: true
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  cacheHits: {
+    type: Number,
+    default: 0
+  },
+  upstreamRequests: {
+    type: Number,
+    default: 0
+  },
+  upstreamCalls: {
+    type: Number,
+    default: 0
+  },
+  clientErrors: {
+    type: Number,
+    default: 0
+  },
+  serverErrors: {
+    type: Number,
+    default: 0
+  },
+  totalLatencyMs: {
+    type: Number,
+    default: 0
+  },
+  maxLatencyMs: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+UsageDailySchema.index({ date: 1, clientId: 1, endpoint: 1 }, { unique: true });
+UsageDailySchema.index({ clientId: 1, date: 1 });
+
+const UsageDaily = mongoose.model('UsageDaily', UsageDailySchema);
+
+export default UsageDaily;
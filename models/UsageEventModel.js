@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import { USAGE_EVENT_RETENTION_DAYS } from "../constants/usage.js";
+
+// One API call made by a client
+const UsageEventSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  clientId: {
+    type: String,
+    required: true
+  },
+  clientName: {
+    type: String,
+    default: null
+  },
+  // Method and route pattern, e.g. "GET /api/stocks/:symbol/daily"
+  endpoint: {
+    type: String,
+    required: true
+  },
+  symbols: {
+    type: [String],
+    default: []
+  },
+  // Where the response data came from: cache (MongoDB or memory), upstream
+  // (a market data provider) or none (no market data in the response)
+  servedFrom: {
+    type: String,
+    enum: ['cache', 'upstream', 'none'],
+    required: true
+  },
+  source: {
+    type: String,
+    default: null
+  },
+  // Calls charged against the shared upstream quota
+  upstreamCalls: {
+    type: Number,
+    default: 0
+  },
+  statusCode: {
+    type: Number,
+    required: true
+  },
+  latencyMs: {
+    type: Number,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+UsageEventSchema.index({ clientId: 1, timestamp: -1 });
+
+// TTL index so raw events expire; the daily rollups keep the totals
+UsageEventSchema.index({ timestamp: 1 }, { expireAfterSeconds: USAGE_EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+const UsageEvent = mongoose.model('UsageEvent', UsageEventSchema);
+
+export default UsageEvent;
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+export const MAX_WATCHLIST_SYMBOLS = 200;
+
+const WatchlistSchema = new mongoose.Schema({
+  // Client that owns the watchlist (see utils/clientIdentity.js)
+  owner: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  // Ordered list of tickers, in display order
+  symbols: {
+    type: [{ type: String, uppercase: true, trim: true }],
+    default: [],
+    validate: {
+      validator: (symbols) => symbols.length <= MAX_WATCHLIST_SYMBOLS,
+      message: `A watchlist can hold at most ${MAX_WATCHLIST_SYMBOLS} symbols`
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// A client cannot have two watchlists with the same name
+WatchlistSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+WatchlistSchema.set('toJSON', {
+  versionKey: false,
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.owner;
+    return ret;
+  }
+});
+
+const Watchlist = mongoose.model('Watchlist', WatchlistSchema);
+
+export default Watchlist;
@@ -0,0 +1,45 @@
+import express from "express";
+import {
+  createApiClient,
+  listApiClients,
+  getApiClient,
+  updateApiClient,
+  rotateApiClientKey,
+  revokeApiClient,
+} from "../controllers/adminController.js";
+import { getAllUsage } from "../controllers/usageController.js";
+import {
+  validateApiClientId,
+  validateApiClientBody,
+  validateApiClientQuery,
+} from "../middlewares/apiClientMiddleware.js";
+import { validateUsageQuery } from "../middlewares/usageMiddleware.js";
+import { rateLimiter } from "../middlewares/stockMiddleware.js";
+
+// Mounted behind requireScope("admin") in StockApiServer
+const router = express.Router();
+
+router.use(rateLimiter);
+
+// Issue an API key for a new client
+router.post("/clients", validateApiClientBody, createApiClient);
+
+// List clients (optionally ?active=true|false)
+router.get("/clients", validateApiClientQuery, listApiClients);
+
+// Get a single client
+router.get("/clients/:id", validateApiClientId, getApiClient);
+
+// Rename a client or change its scopes or tier
+router.patch("/clients/:id", validateApiClientId, validateApiClientBody, updateApiClient);
+
+// Replace a client's key
+router.post("/clients/:id/rotate", validateApiClientId, rotateApiClientKey);
+
+// Revoke a client's key
+router.delete("/clients/:id", validateApiClientId, revokeApiClient);
+
+// Usage across clients (?from=&to=&groupBy=client|day|endpoint&clientId=)
+router.get("/usage", validateUsageQuery({ admin: true }), getAllUsage);
+
+export default router;
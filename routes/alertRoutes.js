@@ -0,0 +1,43 @@
+import express from "express";
+import {
+  createAlert,
+  listAlerts,
+  getAlert,
+  updateAlert,
+  deleteAlert,
+  listAlertDeliveries,
+  testAlert,
+} from "../controllers/alertController.js";
+import {
+  validateAlertId,
+  validateAlertBody,
+} from "../middlewares/alertMiddleware.js";
+import { requireClient } from "../middlewares/clientMiddleware.js";
+import { rateLimiter } from "../middlewares/stockMiddleware.js";
+
+const router = express.Router();
+
+router.use(rateLimiter, requireClient);
+
+// Register an alert rule
+router.post("/", validateAlertBody, createAlert);
+
+// List the client's alert rules (optionally ?symbol=)
+router.get("/", listAlerts);
+
+// Get a single alert rule
+router.get("/:id", validateAlertId, getAlert);
+
+// Change or pause an alert rule
+router.patch("/:id", validateAlertId, validateAlertBody, updateAlert);
+
+// Delete an alert rule and its delivery log
+router.delete("/:id", validateAlertId, deleteAlert);
+
+// Webhook delivery log
+router.get("/:id/deliveries", validateAlertId, listAlertDeliveries);
+
+// Send a signed test event to the webhook
+router.post("/:id/test", validateAlertId, testAlert);
+
+export default router;
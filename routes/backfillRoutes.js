@@ -0,0 +1,35 @@
+import express from "express";
+import {
+  createBackfill,
+  listBackfills,
+  getBackfill,
+  retryBackfill,
+  cancelBackfill,
+} from "../controllers/backfillController.js";
+import {
+  validateBackfillId,
+  validateBackfillBody,
+  validateBackfillQuery,
+} from "../middlewares/backfillMiddleware.js";
+import { rateLimiter } from "../middlewares/stockMiddleware.js";
+
+const router = express.Router();
+
+router.use(rateLimiter);
+
+// Queue a month-by-month intraday history backfill
+router.post("/", validateBackfillBody, createBackfill);
+
+// Recent backfills (optionally ?symbol= and ?status=)
+router.get("/", validateBackfillQuery, listBackfills);
+
+// Progress of a single backfill
+router.get("/:id", validateBackfillId, getBackfill);
+
+// Re-queue the months that failed
+router.post("/:id/retry", validateBackfillId, retryBackfill);
+
+// Stop a queued or running backfill
+router.delete("/:id", validateBackfillId, cancelBackfill);
+
+export default router;
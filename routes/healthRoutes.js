@@ -0,0 +1,15 @@
+import express from "express";
+import { getLiveness, getReadiness } from "../controllers/healthController.js";
+
+const router = express.Router();
+
+// Kept for existing monitors; same as /health/live
+router.get("/", getLiveness);
+
+// Liveness: the process is running
+router.get("/live", getLiveness);
+
+// Readiness: MongoDB, the upstream provider, quota headroom and the scheduler
+router.get("/ready", getReadiness);
+
+export default router;
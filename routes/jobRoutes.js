@@ -0,0 +1,9 @@
+import express from "express";
+import { listJobs } from "../controllers/jobController.js";
+
+const router = express.Router();
+
+// Scheduled ingestion jobs with their last and next runs
+router.get("/", listJobs);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import { getMarketStatus, getMarketCalendar } from "../controllers/marketController.js";
+import { validateExchange, validateCalendarQuery } from "../middlewares/marketMiddleware.js";
+import { rateLimiter } from "../middlewares/stockMiddleware.js";
+
+const router = express.Router();
+
+router.use(rateLimiter);
+
+// Whether the market is open, with the next open and close (?exchange=)
+router.get("/status", validateExchange, getMarketStatus);
+
+// Sessions, holidays and early closes (?from=&to=&exchange=)
+router.get("/calendar", validateExchange, validateCalendarQuery, getMarketCalendar);
+
+export default router;
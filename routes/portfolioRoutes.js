@@ -0,0 +1,80 @@
+import express from "express";
+import {
+  createPortfolio,
+  listPortfolios,
+  getPortfolio,
+  updatePortfolio,
+  deletePortfolio,
+  addTransaction,
+  listTransactions,
+  deleteTransaction,
+  getPositions,
+  getEquityCurve,
+} from "../controllers/portfolioController.js";
+import {
+  validatePortfolioId,
+  validateTransactionId,
+  validatePortfolioBody,
+  validateTransactionBody,
+  validateCostBasisMethod,
+  validateEquityQuery,
+} from "../middlewares/portfolioMiddleware.js";
+import { requireClient } from "../middlewares/clientMiddleware.js";
+import { rateLimiter } from "../middlewares/stockMiddleware.js";
+
+const router = express.Router();
+
+router.use(rateLimiter, requireClient);
+
+// Create a portfolio
+router.post("/", validatePortfolioBody, createPortfolio);
+
+// List the client's portfolios
+router.get("/", listPortfolios);
+
+// Get a single portfolio
+router.get("/:id", validatePortfolioId, getPortfolio);
+
+// Rename a portfolio or change its defaults
+router.patch("/:id", validatePortfolioId, validatePortfolioBody, updatePortfolio);
+
+// Delete a portfolio and its transactions
+router.delete("/:id", validatePortfolioId, deletePortfolio);
+
+// Record a buy, sell or dividend
+router.post(
+  "/:id/transactions",
+  validatePortfolioId,
+  validateTransactionBody,
+  addTransaction
+);
+
+// List transactions (optionally ?symbol=)
+router.get("/:id/transactions", validatePortfolioId, listTransactions);
+
+// Delete a transaction
+router.delete(
+  "/:id/transactions/:transactionId",
+  validatePortfolioId,
+  validateTransactionId,
+  deleteTransaction
+);
+
+// Positions, cost basis and P&L (?method=fifo|average)
+router.get(
+  "/:id/positions",
+  validatePortfolioId,
+  validateCostBasisMethod,
+  getPositions
+);
+
+// Daily equity curve (?startDate=&endDate=&method=)
+router.get(
+  "/:id/equity",
+  validatePortfolioId,
+  validateCostBasisMethod,
+  validateEquityQuery,
+  getEquityCurve
+);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { getQuotaStatus } from "../controllers/quotaController.js";
+
+const router = express.Router();
+
+// Remaining upstream budget and queue depth
+router.get("/", getQuotaStatus);
+
+export default router;
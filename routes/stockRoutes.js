@@ -3,43 +3,148 @@ import {
   getIntradayData,
   getDailyData,
   getHistoricalData,
+  getWeeklyData,
+  getMonthlyData,
+  getQuote,
+  searchSymbols,
   listAvailableSymbols,
+  getBatchData,
 } from "../controllers/stockController.js";
+import { getIndicators } from "../controllers/indicatorController.js";
+import { getDataQuality } from "../controllers/qualityController.js";
+import { streamIntradayBars } from "../controllers/streamController.js";
 import {
   validateSymbol,
   validateInterval,
-  validateDateRange,
   validateOutputSize,
+  validateSource,
+  checkCache,
+  rateLimiter,
+  validateIndicators,
+  validateResample,
+  validateAdjusted,
+  validateKnownSymbol,
+  validateCatalogueQuery,
+  validateFormat,
+  validateBatchQuery,
+  validateQualityQuery,
+  validateHistoricalQuery,
+  validateTimeZone,
 } from "../middlewares/stockMiddleware.js";
 
 const router = express.Router();
 
+// Per-client token bucket limiting for every stock endpoint
+router.use(rateLimiter);
+
 // Get intraday stock data
 router.get(
   "/:symbol/intraday",
   validateSymbol,
+  validateKnownSymbol,
   validateInterval,
+  validateResample,
+  validateTimeZone,
+  validateSource,
+  validateFormat,
+  checkCache("intraday"),
   getIntradayData
 );
 
+// Daily or intraday series for many symbols at once
+router.get(
+  "/batch",
+  validateBatchQuery,
+  validateAdjusted,
+  validateResample,
+  validateTimeZone,
+  validateSource,
+  getBatchData
+);
+
+// Live intraday bars over Server-Sent Events
+router.get(
+  "/:symbol/stream",
+  validateSymbol,
+  validateKnownSymbol,
+  streamIntradayBars
+);
+
 // Get daily stock data
 router.get(
   "/:symbol/daily",
   validateSymbol,
+  validateKnownSymbol,
   validateOutputSize,
+  validateAdjusted,
+  validateTimeZone,
+  validateSource,
+  validateFormat,
+  checkCache("daily"),
   getDailyData
 );
 
+// Get weekly stock data, resampled from daily bars
+router.get(
+  "/:symbol/weekly",
+  validateSymbol,
+  validateKnownSymbol,
+  validateAdjusted,
+  validateSource,
+  getWeeklyData
+);
+
+// Get monthly stock data, resampled from daily bars
+router.get(
+  "/:symbol/monthly",
+  validateSymbol,
+  validateKnownSymbol,
+  validateAdjusted,
+  validateSource,
+  getMonthlyData
+);
+
 // Get historical stock data (deprecated, use daily instead)
 router.get(
   "/:symbol/historical",
   validateSymbol,
-  validateInterval,
-  validateDateRange,
+  validateKnownSymbol,
+  validateHistoricalQuery,
+  validateSource,
+  validateFormat,
   getHistoricalData
 );
 
-// List available stock symbols
-router.get("/", listAvailableSymbols);
+// Get the latest quote for a symbol
+router.get(
+  "/:symbol/quote",
+  validateSymbol,
+  validateKnownSymbol,
+  validateSource,
+  getQuote
+);
+
+// Technical indicators computed from stored bars
+router.get(
+  "/:symbol/indicators",
+  validateSymbol,
+  validateIndicators,
+  getIndicators
+);
+
+// Missing sessions, invalid bars, outliers and quarantined bars of a stored
+// series (daily, or intraday with ?interval=)
+router.get(
+  "/:symbol/quality",
+  validateSymbol,
+  validateQualityQuery,
+  getDataQuality
+);
+
+// Search symbols by keyword
+router.get("/search", validateSource, searchSymbols);
+
+// Search the symbol catalogue (?search=&exchange=&type=&page=&limit=)
+router.get("/", validateCatalogueQuery, listAvailableSymbols);
 
 export default router;
@@ -0,0 +1,17 @@
+import express from "express";
+import { importSymbols, refreshSymbols } from "../controllers/symbolController.js";
+import { validateSource } from "../middlewares/stockMiddleware.js";
+
+const router = express.Router();
+
+// Import a bulk CSV listing (symbol,name,exchange,assetType,...,status)
+router.post(
+  "/import",
+  express.text({ type: ["text/csv", "text/plain"], limit: "20mb" }),
+  importSymbols
+);
+
+// Refresh the catalogue from the provider's listing
+router.post("/refresh", validateSource, refreshSymbols);
+
+export default router;
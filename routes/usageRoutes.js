@@ -0,0 +1,14 @@
+import express from "express";
+import { getClientUsage } from "../controllers/usageController.js";
+import { validateUsageQuery } from "../middlewares/usageMiddleware.js";
+import { requireClient } from "../middlewares/clientMiddleware.js";
+import { rateLimiter } from "../middlewares/stockMiddleware.js";
+
+const router = express.Router();
+
+router.use(rateLimiter, requireClient);
+
+// The calling client's usage (?from=&to=&groupBy=day|endpoint)
+router.get("/", validateUsageQuery(), getClientUsage);
+
+export default router;
@@ -0,0 +1,74 @@
+import express from "express";
+import {
+  getDailyBars,
+  getIntradayBars,
+  getWeeklyBars,
+  getMonthlyBars,
+} from "../controllers/v2StockController.js";
+import {
+  validateSymbol,
+  validateKnownSymbol,
+  validateInterval,
+  validateOutputSize,
+  validateAdjusted,
+  validateResample,
+  validateSource,
+  validateTimeZone,
+  rateLimiter,
+} from "../middlewares/stockMiddleware.js";
+import { validateBarQuery } from "../middlewares/v2Middleware.js";
+
+// v2: every series as a sorted array of typed bars with cursor pagination
+const router = express.Router();
+
+router.use(rateLimiter);
+
+// Daily bars
+router.get(
+  "/:symbol/daily",
+  validateSymbol,
+  validateKnownSymbol,
+  validateOutputSize,
+  validateAdjusted,
+  validateTimeZone,
+  validateSource,
+  validateBarQuery,
+  getDailyBars
+);
+
+// Intraday bars (?interval=, optionally ?resample= and ?tz=)
+router.get(
+  "/:symbol/intraday",
+  validateSymbol,
+  validateKnownSymbol,
+  validateInterval,
+  validateResample,
+  validateTimeZone,
+  validateSource,
+  validateBarQuery,
+  getIntradayBars
+);
+
+// Weekly bars, resampled from daily bars
+router.get(
+  "/:symbol/weekly",
+  validateSymbol,
+  validateKnownSymbol,
+  validateAdjusted,
+  validateSource,
+  validateBarQuery,
+  getWeeklyBars
+);
+
+// Monthly bars, resampled from daily bars
+router.get(
+  "/:symbol/monthly",
+  validateSymbol,
+  validateKnownSymbol,
+  validateAdjusted,
+  validateSource,
+  validateBarQuery,
+  getMonthlyBars
+);
+
+export default router;
@@ -0,0 +1,39 @@
+import express from "express";
+import {
+  createWatchlist,
+  listWatchlists,
+  getWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  getWatchlistQuotes,
+} from "../controllers/watchlistController.js";
+import {
+  validateWatchlistId,
+  validateWatchlistBody,
+} from "../middlewares/watchlistMiddleware.js";
+import { requireClient } from "../middlewares/clientMiddleware.js";
+import { rateLimiter } from "../middlewares/stockMiddleware.js";
+
+const router = express.Router();
+
+router.use(rateLimiter, requireClient);
+
+// Create a watchlist
+router.post("/", validateWatchlistBody, createWatchlist);
+
+// List the client's watchlists
+router.get("/", listWatchlists);
+
+// Get a single watchlist
+router.get("/:id", validateWatchlistId, getWatchlist);
+
+// Rename, reorder or change the members of a watchlist
+router.patch("/:id", validateWatchlistId, validateWatchlistBody, updateWatchlist);
+
+// Delete a watchlist
+router.delete("/:id", validateWatchlistId, deleteWatchlist);
+
+// Latest stored daily and intraday bars for every member
+router.get("/:id/quotes", validateWatchlistId, getWatchlistQuotes);
+
+export default router;
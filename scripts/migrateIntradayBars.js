@@ -0,0 +1,79 @@
+// One-off migration to per-bar intraday storage. Moves the bars held in
+// StockData.timeSeries and in the old per-month intradayhistories collection
+// into the IntradayBar time-series collection. Safe to re-run: bars that are
+// already stored are skipped.
+//
+//   npm run migrate:intraday-bars
+import 'dotenv/config';
+import mongoose from "mongoose";
+import StockData from "../models/StockDataModel.js";
+import IntradayBar from "../models/IntradayBarModel.js";
+import { storeIntradayBars } from "../services/IntradayBarService.js";
+import logger from "../config/logger.js";
+
+const LEGACY_HISTORY_COLLECTION = 'intradayhistories';
+
+// StockData documents become per-series headers pointing at their window of bars
+const migrateStockData = async () => {
+  let documents = 0;
+  let inserted = 0;
+
+  const cursor = StockData.collection.find({ timeSeries: { $exists: true } });
+  for await (const doc of cursor) {
+    const { symbol, interval, timeZone } = doc.metaData || {};
+    const timeSeries = doc.timeSeries || {};
+    if (!symbol || !interval) {
+      logger.warn(`Skipping StockData ${doc._id}: no symbol or interval`);
+      continue;
+    }
+
+    inserted += await storeIntradayBars(symbol, interval, timeSeries, timeZone || undefined);
+    await StockData.collection.updateOne(
+      { _id: doc._id },
+      {
+        $set: { windowStart: Object.keys(timeSeries).sort()[0] },
+        $unset: { timeSeries: '' }
+      }
+    );
+    documents += 1;
+  }
+
+  logger.info(`Migrated ${documents} StockData documents (${inserted} new bars)`);
+};
+
+const migrateIntradayHistory = async () => {
+  const { db } = mongoose.connection;
+  const [existing] = await db.listCollections({ name: LEGACY_HISTORY_COLLECTION }).toArray();
+  if (!existing) {
+    logger.info(`No ${LEGACY_HISTORY_COLLECTION} collection to migrate`);
+    return;
+  }
+
+  let months = 0;
+  let inserted = 0;
+  for await (const doc of db.collection(LEGACY_HISTORY_COLLECTION).find()) {
+    inserted += await storeIntradayBars(doc.symbol, doc.interval, doc.timeSeries || {});
+    months += 1;
+  }
+
+  // Only dropped once every month has been copied, so a failed run can resume
+  await db.dropCollection(LEGACY_HISTORY_COLLECTION);
+  logger.info(`Migrated ${months} backfilled months (${inserted} new bars) and dropped ${LEGACY_HISTORY_COLLECTION}`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    // Creates the time-series collection and its index before the first insert
+    await IntradayBar.init();
+    await migrateStockData();
+    await migrateIntradayHistory();
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  logger.error(`Intraday bar migration failed: ${error.message}`, { error });
+  process.exitCode = 1;
+});
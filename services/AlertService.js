@@ -0,0 +1,168 @@
+import mongoose from "mongoose";
+import AlertRule from "../models/AlertRuleModel.js";
+import { loadDailyBars, loadIntradayBars } from "./StockSeriesService.js";
+import { enqueueDelivery } from "./WebhookService.js";
+import { marketEvents, BARS_STORED } from "./MarketEvents.js";
+import logger from "../config/logger.js";
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+let listening = false;
+
+// Which series each condition depends on
+const watchesSeries = (rule, dataType) => {
+  switch (rule.condition) {
+    case 'close_above':
+    case 'close_below':
+      return rule.timeframe === dataType;
+    case 'intraday_move':
+      return dataType === 'intraday';
+    case 'volume_spike':
+      return dataType === 'daily';
+    default:
+      return false;
+  }
+};
+
+// Check one rule against the latest bars (oldest first). Returns null, or the
+// trigger with `key` identifying the bar/day that fired it.
+const evaluateRule = (rule, { dailyBars = [], intradayBars = [] }) => {
+  switch (rule.condition) {
+    case 'close_above':
+    case 'close_below': {
+      const bars = rule.timeframe === 'intraday' ? intradayBars : dailyBars;
+      if (bars.length < 2) {
+        return null;
+      }
+      const previous = bars[bars.length - 2];
+      const current = bars[bars.length - 1];
+      const crossed = rule.condition === 'close_above'
+        ? previous.close <= rule.threshold && current.close > rule.threshold
+        : previous.close >= rule.threshold && current.close < rule.threshold;
+
+      return crossed ? {
+        key: current.timestamp,
+        barTimestamp: current.timestamp,
+        value: current.close,
+        previousValue: previous.close,
+        message: `${rule.symbol} closed ${rule.condition === 'close_above' ? 'above' : 'below'} ${rule.threshold} at ${current.close}`
+      } : null;
+    }
+
+    case 'intraday_move': {
+      const latest = intradayBars[intradayBars.length - 1];
+      if (!latest) {
+        return null;
+      }
+      const tradingDay = latest.timestamp.slice(0, 10);
+      const previousDaily = [...dailyBars].reverse().find(bar => bar.timestamp < tradingDay);
+      if (!previousDaily || !previousDaily.close) {
+        return null;
+      }
+      const movePercent = (latest.close / previousDaily.close - 1) * 100;
+
+      // Fires at most once per trading day
+      return Math.abs(movePercent) > rule.threshold ? {
+        key: tradingDay,
+        barTimestamp: latest.timestamp,
+        value: round(movePercent),
+        previousValue: previousDaily.close,
+        message: `${rule.symbol} moved ${round(movePercent)}% from the previous close of ${previousDaily.close}`
+      } : null;
+    }
+
+    case 'volume_spike': {
+      if (dailyBars.length < rule.period + 1) {
+        return null;
+      }
+      const current = dailyBars[dailyBars.length - 1];
+      const window = dailyBars.slice(-rule.period - 1, -1);
+      const averageVolume = window.reduce((sum, bar) => sum + bar.volume, 0) / window.length;
+
+      return averageVolume > 0 && current.volume > rule.threshold * averageVolume ? {
+        key: current.timestamp,
+        barTimestamp: current.timestamp,
+        value: current.volume,
+        previousValue: round(averageVolume),
+        message: `${rule.symbol} volume ${current.volume} is ${round(current.volume / averageVolume)}x its ${rule.period}-day average`
+      } : null;
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Evaluate the active rules for a symbol after new bars of `dataType` were stored
+const evaluateAlertsForSymbol = async (symbol, dataType, interval) => {
+  const rules = (await AlertRule.find({ symbol, active: true }))
+    .filter(rule => watchesSeries(rule, dataType));
+
+  if (rules.length === 0) {
+    return [];
+  }
+
+  const longestPeriod = Math.max(2, ...rules.map(rule => rule.period + 1));
+  const needsIntraday = rules.some(rule => rule.condition === 'intraday_move' || rule.timeframe === 'intraday');
+  const [dailyBars, intradayBars] = await Promise.all([
+    loadDailyBars(symbol, { limit: longestPeriod + 1 }),
+    // Intraday rules only look at the last two bars
+    needsIntraday && interval ? loadIntradayBars(symbol, interval, { limit: 2 }) : []
+  ]);
+
+  const triggered = [];
+  for (const rule of rules) {
+    const trigger = evaluateRule(rule, { dailyBars, intradayBars });
+    if (!trigger) {
+      continue;
+    }
+
+    // Claim the trigger atomically so concurrent evaluations fire only once
+    const claimed = await AlertRule.findOneAndUpdate(
+      { _id: rule._id, active: true, lastTriggeredBar: { $ne: trigger.key } },
+      { $set: { lastTriggeredBar: trigger.key, lastTriggeredAt: new Date() }, $inc: { triggerCount: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      continue;
+    }
+
+    logger.info(`Alert ${rule.id} triggered: ${trigger.message}`);
+    const { key, ...details } = trigger;
+    await enqueueDelivery(claimed, {
+      alertId: rule.id,
+      symbol: rule.symbol,
+      condition: rule.condition,
+      threshold: rule.threshold,
+      ...(dataType === 'intraday' && { interval }),
+      ...details
+    });
+    triggered.push(rule.id);
+  }
+
+  return triggered;
+};
+
+// Re-evaluate alerts whenever bars land in DailyStockData or StockData
+const startAlertEvaluator = () => {
+  if (listening) {
+    return;
+  }
+
+  marketEvents.on(BARS_STORED, ({ symbol, dataType, interval }) => {
+    if (mongoose.connection.readyState !== 1) {
+      return;
+    }
+    evaluateAlertsForSymbol(symbol, dataType, interval).catch(error => {
+      logger.error(`Alert evaluation failed for ${symbol}: ${error.message}`);
+    });
+  });
+  listening = true;
+  logger.info('Alert evaluator started');
+};
+
+export {
+  evaluateRule,
+  evaluateAlertsForSymbol,
+  startAlertEvaluator
+};
@@ -1,5 +1,8 @@
 import axios from "axios";
-import StockData from "../models/StockDataModel.js";
+import ApiError from "../utils/ApiError.js";
+import { scheduleUpstreamCall, reportThrottled } from "./QuotaGovernor.js";
+import { startUpstreamTimer, recordUpstreamRejection } from "./MetricsService.js";
+import { adjustedCloses } from "../utils/adjustment.js";
 import logger from "../config/logger.js";
 
 // Configuration
@@ -23,8 +26,55 @@ const validateApiKey = (apiKey) => {
   }
 };
 
-// Helper function to make API requests
-const makeApiRequest = async (params, apiKey) => {
+// Alpha Vantage signals throttling with a 200 response carrying a Note/Information message
+const isThrottleNotice = (data) => {
+  const notice = data && (data["Note"] || data["Information"]);
+  return typeof notice === 'string' && /call frequency|rate limit|requests per/i.test(notice);
+};
+
+// Outcome class of an upstream call, for the upstream_requests_total metric
+const responseOutcome = (response) => {
+  if (response.status === 429 || isThrottleNotice(response.data)) {
+    return 'throttled';
+  }
+  if (response.status >= 400) {
+    return 'client_error';
+  }
+  return response.data && response.data["Error Message"] ? 'api_error' : 'success';
+};
+
+const errorOutcome = (error) => {
+  if (['ECONNABORTED', 'ETIMEDOUT'].includes(error.code)) {
+    return 'timeout';
+  }
+  return error.response ? 'server_error' : 'network_error';
+};
+
+// Results of recent calls, for the readiness check. Calls refused by the
+// quota governor never reached Alpha Vantage and are not counted.
+const upstreamHealth = {
+  lastSuccessAt: null,
+  lastFailureAt: null,
+  lastFailure: null,
+  consecutiveFailures: 0
+};
+
+const trackUpstreamResult = (outcome) => {
+  if (outcome === 'success') {
+    upstreamHealth.lastSuccessAt = new Date();
+    upstreamHealth.consecutiveFailures = 0;
+  } else {
+    upstreamHealth.lastFailureAt = new Date();
+    upstreamHealth.lastFailure = outcome;
+    upstreamHealth.consecutiveFailures += 1;
+  }
+};
+
+const getUpstreamHealth = () => ({ ...upstreamHealth });
+
+// Helper function to make API requests. Calls go through the quota governor so
+// they never exceed the per-minute and per-day budgets.
+const makeApiRequest = async (params, apiKey, { priority = 'interactive' } = {}) => {
   const requestParams = {
     ...params,
     apikey: apiKey,
@@ -35,36 +85,61 @@ const makeApiRequest = async (params, apiKey) => {
   const safeApiUrl = apiUrl.replace(/apikey=[^&]*/, 'apikey=***');
   logger.debug(`API Request: ${safeApiUrl}`);
   
-  const response = await axios.get(BASE_URL, { 
-    params: requestParams,
-    timeout: 15000,
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-      'Accept': 'application/json',
-      'Content-Type': 'application/json'
-    },
-    validateStatus: (status) => status >= 200 && status < 500
-  });
+  // Timed from when the governor releases the call, so queueing is excluded
+  let recordOutcome = null;
+  let response;
+  try {
+    response = await scheduleUpstreamCall(() => {
+      recordOutcome = startUpstreamTimer('alphavantage', params.function);
+      return axios.get(BASE_URL, { 
+        params: requestParams,
+        timeout: 15000,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+          'Accept': 'application/json',
+          'Content-Type': 'application/json'
+        },
+        validateStatus: (status) => status >= 200 && status < 500
+      });
+    }, { priority });
+  } catch (error) {
+    if (recordOutcome) {
+      const outcome = errorOutcome(error);
+      recordOutcome(outcome);
+      trackUpstreamResult(outcome);
+    } else {
+      recordUpstreamRejection('alphavantage', params.function);
+    }
+    throw error;
+  }
 
+  const outcome = responseOutcome(response);
+  recordOutcome(outcome);
+  trackUpstreamResult(outcome);
   logger.debug('API Response Status: %d', response.status);
+
+  if (response.status === 429 || isThrottleNotice(response.data)) {
+    reportThrottled();
+  }
   const responseDataStr = JSON.stringify(response.data);
   logger.debug('API Response Data (first 500 chars): %s', responseDataStr.substring(0, 500));
 
   return response;
 };
 
-const getDailyData = async (apiKey, symbol, outputSize = "compact") => {
+const getDailyData = async (apiKey, symbol, outputSize = "compact", requestOptions = {}) => {
   try {
     validateApiKey(apiKey);
     
+    // The adjusted series carries split and dividend fields (premium endpoint)
     const params = {
-      function: "TIME_SERIES_DAILY",
+      function: process.env.ALPHA_VANTAGE_DAILY_ADJUSTED === 'true' ? "TIME_SERIES_DAILY_ADJUSTED" : "TIME_SERIES_DAILY",
       symbol: symbol.toUpperCase(),
       outputsize: outputSize.toLowerCase()
     };
 
     logger.info(`Fetching daily data for ${symbol}`);
-    const response = await makeApiRequest(params, apiKey);
+    const response = await makeApiRequest(params, apiKey, requestOptions);
     
     // Check for rate limiting or other API notices
     if (response.data && response.data["Note"]) {
@@ -117,6 +192,10 @@ const getDailyData = async (apiKey, symbol, outputSize = "compact") => {
       throw new Error('Error transforming API response');
     }
   } catch (error) {
+    if (error instanceof ApiError) {
+      // Quota rejections keep their status so callers can answer 429
+      throw error;
+    }
     logger.error('Error in getDailyData: %s', error.message);
     if (error.response) {
       logger.error('Error response data: %j', error.response.data);
@@ -129,28 +208,31 @@ const getDailyData = async (apiKey, symbol, outputSize = "compact") => {
   }
 };
 
-const getIntradayData = async (apiKey, symbol, interval = "5min") => {
+// `month` (YYYY-MM) fetches that whole calendar month instead of the latest window
+const getIntradayData = async (apiKey, symbol, interval = "5min", outputSize = "compact", requestOptions = {}) => {
   try {
     validateApiKey(apiKey);
+    const { month, ...callOptions } = requestOptions;
     
     const params = {
       function: "TIME_SERIES_INTRADAY",
       symbol: symbol.toUpperCase(),
       interval: interval.toLowerCase(),
-      outputsize: "compact"
+      outputsize: month ? "full" : outputSize.toLowerCase(),
+      ...(month && { month })
     };
 
-    logger.info(`Fetching intraday data for ${symbol} with interval ${interval}`);
-    const response = await makeApiRequest(params, apiKey);
+    logger.info(`Fetching intraday data for ${symbol} with interval ${interval}${month ? ` for ${month}` : ''}`);
+    const response = await makeApiRequest(params, apiKey, callOptions);
     
-    // Check for rate limiting or other API notices
+    // Check for rate limiting or other API notices. Failures are thrown so the
+    // provider chain can fail over (e.g. MARKET_DATA_FALLBACK=synthetic).
     if (response.data && response.data["Note"]) {
       const note = response.data["Note"];
       logger.warn('Alpha Vantage API Note: %s', note);
       
       if (note.includes('demo') || note.includes('rate limit')) {
-        logger.info('Falling back to mock data due to API limitations');
-        return getMockIntradayData(symbol, interval);
+        throw new Error('Rate limit exceeded');
       }
     }
     
@@ -161,23 +243,17 @@ const getIntradayData = async (apiKey, symbol, interval = "5min") => {
         : `API request failed with status ${response.status}: ${response.statusText}`;
         
       logger.error('API Error: %s', errorMsg);
-      
-      if (response.status >= 400 && response.status < 500) {
-        logger.info('Attempting to return mock data due to client error');
-        return getMockIntradayData(symbol, interval);
-      }
-      
       throw new Error(errorMsg);
     }
 
     if (!response.data) {
-      logger.warn('No data received from Alpha Vantage API, falling back to mock data');
-      return getMockIntradayData(symbol, interval);
+      logger.warn('No data received from Alpha Vantage API');
+      throw new Error('No data received from Alpha Vantage API');
     }
 
     if (Object.keys(response.data).length === 0) {
-      logger.warn('Empty response from Alpha Vantage API, falling back to mock data');
-      return getMockIntradayData(symbol, interval);
+      logger.warn('Empty response from Alpha Vantage API');
+      throw new Error('Empty response from Alpha Vantage API');
     }
 
     // Transform the data
@@ -185,18 +261,21 @@ const getIntradayData = async (apiKey, symbol, interval = "5min") => {
       const transformedData = transformData(response.data);
       
       if (!transformedData.metaData || !transformedData.timeSeries) {
-        logger.warn('Transformed data is missing required fields, falling back to mock data');
-        return getMockIntradayData(symbol, interval);
+        logger.warn('Transformed data is missing required fields');
+        throw new Error('Transformed data is missing required fields');
       }
       
       return transformedData;
     } catch (transformError) {
       logger.error('Error transforming API response: %s', transformError.message);
       logger.debug('Original response data: %j', response.data);
-      logger.info('Falling back to mock data due to transformation error');
-      return getMockIntradayData(symbol, interval);
+      throw new Error('Error transforming API response');
     }
   } catch (error) {
+    if (error instanceof ApiError) {
+      // Quota rejections keep their status so callers can answer 429
+      throw error;
+    }
     logger.error('Error in getIntradayData: %s', error.message);
     if (error.response) {
       logger.error('Error response data: %j', error.response.data);
@@ -211,7 +290,7 @@ const getIntradayData = async (apiKey, symbol, interval = "5min") => {
   }
 };
 
-const getHistoricalData = async (apiKey, symbol, startDate, endDate, interval = "5min") => {
+const getHistoricalData = async (apiKey, symbol, startDate, endDate, interval = "5min", requestOptions = {}) => {
   try {
     validateApiKey(apiKey);
     
@@ -224,7 +303,7 @@ const getHistoricalData = async (apiKey, symbol, startDate, endDate, interval =
 
     logger.debug(`Fetching historical data for ${symbol} from ${startDate} to ${endDate}`);
     
-    const response = await makeApiRequest(params, apiKey);
+    const response = await makeApiRequest(params, apiKey, requestOptions);
 
     if (response.status !== 200) {
       throw new Error(`API request failed with status ${response.status}: ${response.statusText}`);
@@ -241,23 +320,15 @@ const getHistoricalData = async (apiKey, symbol, startDate, endDate, interval =
     const transformedData = transformData(data);
     
     // Filter data by date range if provided
-    if (startDate || endDate) {
-      const start = startDate ? new Date(startDate) : new Date(0);
-      const end = endDate ? new Date(endDate) : new Date();
-      
-      const filteredTimeSeries = {};
-      for (const [timestamp, values] of Object.entries(transformedData.timeSeries)) {
-        const entryDate = new Date(timestamp);
-        if (entryDate >= start && entryDate <= end) {
-          filteredTimeSeries[timestamp] = values;
-        }
-      }
-      transformedData.timeSeries = filteredTimeSeries;
-    }
+    transformedData.timeSeries = filterTimeSeries(transformedData.timeSeries, startDate, endDate);
 
     return transformedData;
     
   } catch (error) {
+    if (error instanceof ApiError) {
+      // Quota rejections keep their status so callers can answer 429
+      throw error;
+    }
     logger.error('Error in getHistoricalData: %s', error.message);
     if (error.response) {
       logger.error('Error response data: %j', error.response.data);
@@ -271,6 +342,164 @@ const getHistoricalData = async (apiKey, symbol, startDate, endDate, interval =
 };
 
 
+const getQuote = async (apiKey, symbol, requestOptions = {}) => {
+  try {
+    validateApiKey(apiKey);
+
+    const params = {
+      function: "GLOBAL_QUOTE",
+      symbol: symbol.toUpperCase()
+    };
+
+    logger.info(`Fetching quote for ${symbol}`);
+    const response = await makeApiRequest(params, apiKey, requestOptions);
+
+    if (response.status !== 200) {
+      throw new Error(`API request failed with status ${response.status}: ${response.statusText}`);
+    }
+
+    const data = response.data || {};
+
+    if (data['Error Message']) {
+      throw new Error(data['Error Message']);
+    }
+
+    if (data.Note) {
+      logger.warn('Alpha Vantage API Note: %s', data.Note);
+      throw new Error('Rate limit exceeded');
+    }
+
+    const quote = data['Global Quote'];
+    if (!quote || Object.keys(quote).length === 0) {
+      throw new Error(`No quote data found for ${symbol}`);
+    }
+
+    return transformQuote(quote);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      // Quota rejections keep their status so callers can answer 429
+      throw error;
+    }
+    logger.error('Error in getQuote: %s', error.message);
+    throw new Error(`Failed to get quote: ${error.message}`);
+  }
+};
+
+const searchSymbols = async (apiKey, keywords, requestOptions = {}) => {
+  try {
+    validateApiKey(apiKey);
+
+    const params = {
+      function: "SYMBOL_SEARCH",
+      keywords
+    };
+
+    logger.info(`Searching symbols for "${keywords}"`);
+    const response = await makeApiRequest(params, apiKey, requestOptions);
+
+    if (response.status !== 200) {
+      throw new Error(`API request failed with status ${response.status}: ${response.statusText}`);
+    }
+
+    const data = response.data || {};
+
+    if (data['Error Message']) {
+      throw new Error(data['Error Message']);
+    }
+
+    if (data.Note) {
+      logger.warn('Alpha Vantage API Note: %s', data.Note);
+      throw new Error('Rate limit exceeded');
+    }
+
+    return (data.bestMatches || []).map(match => ({
+      symbol: match['1. symbol'],
+      name: match['2. name'],
+      type: match['3. type'],
+      region: match['4. region'],
+      marketOpen: match['5. marketOpen'],
+      marketClose: match['6. marketClose'],
+      timeZone: match['7. timezone'],
+      currency: match['8. currency'],
+      matchScore: parseFloat(match['9. matchScore'] || 0)
+    }));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      // Quota rejections keep their status so callers can answer 429
+      throw error;
+    }
+    logger.error('Error in searchSymbols: %s', error.message);
+    throw new Error(`Failed to search symbols: ${error.message}`);
+  }
+};
+
+// Bulk listing of every symbol, returned by Alpha Vantage as CSV text
+// (symbol,name,exchange,assetType,ipoDate,delistingDate,status)
+const getListingStatus = async (apiKey, state = "active", requestOptions = {}) => {
+  try {
+    validateApiKey(apiKey);
+
+    const params = {
+      function: "LISTING_STATUS",
+      state
+    };
+
+    logger.info(`Fetching ${state} listing status`);
+    const response = await makeApiRequest(params, apiKey, requestOptions);
+
+    if (response.status !== 200) {
+      throw new Error(`API request failed with status ${response.status}: ${response.statusText}`);
+    }
+
+    if (typeof response.data !== 'string' || !response.data.trim()) {
+      throw new Error('Unexpected listing status response');
+    }
+
+    return response.data;
+  } catch (error) {
+    if (error instanceof ApiError) {
+      // Quota rejections keep their status so callers can answer 429
+      throw error;
+    }
+    logger.error('Error in getListingStatus: %s', error.message);
+    throw new Error(`Failed to get listing status: ${error.message}`);
+  }
+};
+
+// Keep only the entries whose timestamp falls inside the (inclusive) range
+const filterTimeSeries = (timeSeries, startDate, endDate) => {
+  if (!startDate && !endDate) {
+    return timeSeries;
+  }
+
+  const start = startDate ? new Date(startDate) : new Date(0);
+  // A date without a time covers that whole day, as for stored bars
+  const end = endDate
+    ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(endDate) ? `${endDate} 23:59:59` : endDate)
+    : new Date();
+
+  const filteredTimeSeries = {};
+  for (const [timestamp, values] of Object.entries(timeSeries || {})) {
+    const entryDate = new Date(timestamp);
+    if (entryDate >= start && entryDate <= end) {
+      filteredTimeSeries[timestamp] = values;
+    }
+  }
+  return filteredTimeSeries;
+};
+
+const transformQuote = (quote) => ({
+  symbol: quote['01. symbol'] || quote['symbol'],
+  open: parseFloat(quote['02. open'] || quote['open'] || 0),
+  high: parseFloat(quote['03. high'] || quote['high'] || 0),
+  low: parseFloat(quote['04. low'] || quote['low'] || 0),
+  price: parseFloat(quote['05. price'] || quote['price'] || 0),
+  volume: parseInt(quote['06. volume'] || quote['volume'] || 0, 10),
+  latestTradingDay: quote['07. latest trading day'] || quote['latestTradingDay'] || '',
+  previousClose: parseFloat(quote['08. previous close'] || quote['previousClose'] || 0),
+  change: parseFloat(quote['09. change'] || quote['change'] || 0),
+  changePercent: quote['10. change percent'] || quote['changePercent'] || ''
+});
 
 const transformDailyData = (data, symbol) => {
   logger.debug('Starting daily data transformation');
@@ -325,8 +554,9 @@ const transformDailyData = (data, symbol) => {
         high: parseFloat(values['2. high'] || values['high'] || 0),
         low: parseFloat(values['3. low'] || values['low'] || 0),
         close: parseFloat(values['4. close'] || values['close'] || 0),
-        volume: parseInt(values['5. volume'] || values['volume'] || 0, 10),
-        adjustedClose: parseFloat(values['5. adjusted close'] || values['adjusted close'] || values['4. close'] || values['close'] || 0),
+        // TIME_SERIES_DAILY_ADJUSTED moves volume to "6. volume"
+        volume: parseInt(values['6. volume'] || values['5. volume'] || values['volume'] || 0, 10),
+        adjustedClose: parseFloat(values['5. adjusted close'] || values['adjusted close'] || NaN),
         dividendAmount: parseFloat(values['7. dividend amount'] || values['dividend amount'] || 0),
         splitCoefficient: parseFloat(values['8. split coefficient'] || values['split coefficient'] || 1)
       };
@@ -336,6 +566,16 @@ const transformDailyData = (data, symbol) => {
     }
   }
 
+  // Without an upstream adjusted close, derive it from the split and dividend
+  // fields instead of copying the raw close
+  const dates = Object.keys(transformedTimeSeries).sort();
+  if (dates.some(date => isNaN(transformedTimeSeries[date].adjustedClose))) {
+    const bars = dates.map(date => transformedTimeSeries[date]);
+    adjustedCloses(bars).forEach((adjustedClose, i) => {
+      bars[i].adjustedClose = adjustedClose;
+    });
+  }
+
   // Extract and transform metadata
   const transformedMetadata = {
     information: metadata['1. Information'] || metadata['Information'] || 'Daily Time Series',
@@ -462,49 +702,19 @@ const transformData = (data) => {
   }
 };
 
-const saveStockData = async (apiKey, symbol, interval = "5min") => {
-  try {
-    const latestData = await StockData.findOne({
-      "metaData.symbol": symbol,
-      "metaData.interval": interval,
-    }).sort({ "metaData.lastRefreshed": -1 });
-
-    const rawData = await getIntradayData(apiKey, symbol, interval);
-
-    if (
-      latestData &&
-      new Date(latestData.metaData.lastRefreshed).getTime() ===
-        new Date(rawData.metaData.lastRefreshed).getTime()
-    ) {
-      logger.info(`Data for ${symbol} (${interval}) is already up to date.`);
-      return latestData;
-    }
-
-    const stockData = new StockData({
-      metaData: rawData.metaData,
-      timeSeries: rawData.timeSeries,
-    });
-
-    const savedData = await stockData.save();
-    logger.info(`Successfully saved data for ${symbol} (${interval})`);
-    return savedData;
-  } catch (error) {
-    logger.error("Error saving stock data: %s", error.message);
-    if (error.stack) {
-      logger.error('Stack trace: %s', error.stack);
-    }
-    throw new Error(`Failed to save stock data: ${error.message}`);
-  }
-};
-
 // Export all functions
 export {
   getDailyData,
   getIntradayData,
   getHistoricalData,
+  getQuote,
+  searchSymbols,
+  getListingStatus,
+  filterTimeSeries,
   transformDailyData,
+  transformQuote,
   transformData,
-  saveStockData,
   validateApiKey,
-  makeApiRequest
+  makeApiRequest,
+  getUpstreamHealth
 };
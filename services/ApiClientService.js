@@ -0,0 +1,195 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import ApiClient from "../models/ApiClientModel.js";
+import LruCache from "../utils/LruCache.js";
+import ApiError from "../utils/ApiError.js";
+import {
+  API_KEY_PREFIX,
+  API_KEY_CACHE_TTL_SECONDS,
+  LAST_USED_WRITE_INTERVAL_MS
+} from "../constants/auth.js";
+import logger from "../config/logger.js";
+
+// Issued keys carry 256 random bits, so a plain SHA-256 is enough to store
+// them safely and keeps the per-request lookup cheap
+const hashApiKey = (apiKey) => crypto.createHash("sha256").update(apiKey).digest("hex");
+
+const generateApiKey = () => `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+// Verified (and unknown) key hashes, so most requests skip the database
+const keyCache = new LruCache(1000);
+const lastUsedWrites = new Map();
+
+const isAuthRequired = () => process.env.AUTH_REQUIRED === "true";
+
+const ensureConnected = () => {
+  if (mongoose.connection.readyState !== 1) {
+    throw new ApiError(503, 'API clients are unavailable: database is not connected');
+  }
+};
+
+// What the rest of the app sees as req.client. `id` is the owner identity
+// used for watchlists, portfolios, alerts and rate limiting.
+const toRequestClient = (client) => ({
+  id: client.ownerId,
+  clientId: String(client._id),
+  name: client.name,
+  tier: client.tier,
+  scopes: client.scopes
+});
+
+// ADMIN_API_KEY is accepted without a database lookup, so the first clients
+// can be issued on a fresh deployment
+const matchesBootstrapKey = (apiKey) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey || adminKey.length !== apiKey.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(adminKey), Buffer.from(apiKey));
+};
+
+const BOOTSTRAP_ADMIN = { id: 'admin', clientId: null, name: 'ADMIN_API_KEY', tier: 'premium', scopes: ['admin'] };
+
+const recordUse = (client) => {
+  const last = lastUsedWrites.get(client.clientId) ?? 0;
+  if (Date.now() - last < LAST_USED_WRITE_INTERVAL_MS) {
+    return;
+  }
+  lastUsedWrites.set(client.clientId, Date.now());
+  ApiClient.updateOne({ _id: client.clientId }, { lastUsedAt: new Date() })
+    .catch(error => logger.warn(`Failed to record API key use: ${error.message}`));
+};
+
+// The active client holding `apiKey`, or null when the key is unknown or revoked
+const findClientByKey = async (apiKey) => {
+  if (matchesBootstrapKey(apiKey)) {
+    return BOOTSTRAP_ADMIN;
+  }
+
+  const keyHash = hashApiKey(apiKey);
+  const cached = keyCache.get(keyHash);
+  if (cached) {
+    if (cached.value) {
+      recordUse(cached.value);
+    }
+    return cached.value;
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    throw new ApiError(503, 'API keys cannot be verified: database is not connected');
+  }
+
+  const client = await ApiClient.findOne({ keyHash, active: true }).lean();
+  const requestClient = client ? toRequestClient(client) : null;
+  keyCache.set(keyHash, requestClient, API_KEY_CACHE_TTL_SECONDS);
+  if (requestClient) {
+    recordUse(requestClient);
+  }
+  return requestClient;
+};
+
+const hasScope = (client, scope) =>
+  Boolean(client?.scopes?.includes(scope) || client?.scopes?.includes('admin'));
+
+// Issue a key for a new client. `key` registers a key the caller already
+// uses instead of generating one, so existing data stays with its owner.
+const issueClient = async ({ name, scopes, tier, key }) => {
+  ensureConnected();
+
+  const apiKey = key || generateApiKey();
+  const keyHash = hashApiKey(apiKey);
+  try {
+    const client = await ApiClient.create({
+      name,
+      keyHash,
+      keyPrefix: apiKey.slice(0, 8),
+      // Same identity an unregistered X-API-Key was given (see utils/clientIdentity.js)
+      ownerId: keyHash,
+      ...(scopes && { scopes }),
+      ...(tier && { tier })
+    });
+    keyCache.delete(keyHash);
+    logger.info(`Issued API key ${client.keyPrefix}… for ${client.name}`);
+    return { client, apiKey };
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(409, 'That API key is already registered');
+    }
+    throw error;
+  }
+};
+
+const listClients = ({ active } = {}) => {
+  ensureConnected();
+  return ApiClient.find(active === undefined ? {} : { active }).sort({ createdAt: -1 });
+};
+
+const getClient = async (id) => {
+  ensureConnected();
+  const client = await ApiClient.findById(id);
+  if (!client) {
+    throw new ApiError(404, 'API client not found');
+  }
+  return client;
+};
+
+const updateClient = async (id, { name, scopes, tier }) => {
+  const client = await getClient(id);
+  if (name !== undefined) {
+    client.name = name;
+  }
+  if (scopes !== undefined) {
+    client.scopes = scopes;
+  }
+  if (tier !== undefined) {
+    client.tier = tier;
+  }
+  await client.save();
+  keyCache.delete(client.keyHash);
+  return client;
+};
+
+// Replace the client's key. The old key stops working at once on this
+// instance, and within API_KEY_CACHE_TTL_SECONDS everywhere else.
+const rotateClientKey = async (id) => {
+  const client = await getClient(id);
+  if (!client.active) {
+    throw new ApiError(409, 'A revoked API client cannot be rotated');
+  }
+
+  const previousHash = client.keyHash;
+  const apiKey = generateApiKey();
+  client.keyHash = hashApiKey(apiKey);
+  client.keyPrefix = apiKey.slice(0, 8);
+  client.rotatedAt = new Date();
+  await client.save();
+
+  keyCache.delete(previousHash);
+  logger.info(`Rotated API key for ${client.name}, now ${client.keyPrefix}…`);
+  return { client, apiKey };
+};
+
+const revokeClient = async (id) => {
+  const client = await getClient(id);
+  if (client.active) {
+    client.active = false;
+    client.revokedAt = new Date();
+    await client.save();
+    logger.info(`Revoked API key ${client.keyPrefix}… for ${client.name}`);
+  }
+  keyCache.delete(client.keyHash);
+  return client;
+};
+
+export {
+  hashApiKey,
+  isAuthRequired,
+  findClientByKey,
+  hasScope,
+  issueClient,
+  listClients,
+  getClient,
+  updateClient,
+  rotateClientKey,
+  revokeClient
+};
@@ -0,0 +1,332 @@
+import mongoose from "mongoose";
+import Backfill from "../models/BackfillModel.js";
+import { fetchIntradayData, getProvider } from "./MarketDataService.js";
+import { storeIntradayBars } from "./IntradayBarService.js";
+import ApiError from "../utils/ApiError.js";
+import { runOutsideRequestContext } from "../utils/requestContext.js";
+import {
+  BACKFILL_MONTH_ATTEMPTS,
+  BACKFILL_RETRY_DELAY_MS
+} from "../constants/backfills.js";
+import logger from "../config/logger.js";
+
+let started = false;
+let draining = false;
+let wakeRequested = false;
+let wakeTimer = null;
+
+const ensureConnected = () => {
+  if (mongoose.connection.readyState !== 1) {
+    throw new ApiError(503, 'Backfills are unavailable: database is not connected');
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every YYYY-MM from startMonth to endMonth inclusive
+const monthRange = (startMonth, endMonth) => {
+  const months = [];
+  let [year, month] = startMonth.split('-').map(Number);
+  const [endYear, endMonthNumber] = endMonth.split('-').map(Number);
+
+  while (year < endYear || (year === endYear && month <= endMonthNumber)) {
+    months.push(`${year}-${String(month).padStart(2, '0')}`);
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+};
+
+// The month `count - 1` months before `endMonth`
+const monthsBefore = (endMonth, count) => {
+  const [year, month] = endMonth.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1 - (count - 1), 1));
+  return date.toISOString().slice(0, 7);
+};
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+// Queue a backfill, or return the unfinished one already covering the same range
+const createBackfill = async ({ symbol, interval, startMonth, endMonth, source }) => {
+  ensureConnected();
+  if (getProvider(source || undefined).name === 'synthetic') {
+    throw new ApiError(400, 'Synthetic data is never stored, so it cannot be backfilled');
+  }
+  const upperSymbol = symbol.toUpperCase();
+
+  const existing = await Backfill.findOne({
+    symbol: upperSymbol,
+    interval,
+    startMonth,
+    endMonth,
+    status: { $in: ['queued', 'running'] }
+  });
+  if (existing) {
+    return { backfill: existing, created: false };
+  }
+
+  const backfill = await Backfill.create({
+    symbol: upperSymbol,
+    interval,
+    startMonth,
+    endMonth,
+    source: source || null,
+    months: monthRange(startMonth, endMonth).map(month => ({ month }))
+  });
+
+  logger.info(`Queued ${interval} backfill for ${upperSymbol} from ${startMonth} to ${endMonth}`);
+  wakeBackfillWorker();
+  return { backfill, created: true };
+};
+
+const getBackfill = async (id) => {
+  ensureConnected();
+  const backfill = await Backfill.findById(id);
+  if (!backfill) {
+    throw new ApiError(404, "Backfill not found");
+  }
+  return backfill;
+};
+
+const listBackfills = async ({ symbol, status } = {}) => {
+  ensureConnected();
+  const filter = {};
+  if (symbol) {
+    filter.symbol = symbol.toUpperCase();
+  }
+  if (status) {
+    filter.status = status;
+  }
+  return Backfill.find(filter).sort({ createdAt: -1 }).limit(100);
+};
+
+// Put failed months back in the queue
+const retryBackfill = async (id) => {
+  const backfill = await getBackfill(id);
+  if (backfill.status === 'queued' || backfill.status === 'running') {
+    return backfill;
+  }
+
+  for (const month of backfill.months) {
+    if (month.status === 'failed') {
+      month.status = 'pending';
+      month.attempts = 0;
+      month.error = null;
+    }
+  }
+  backfill.status = 'queued';
+  backfill.error = null;
+  backfill.finishedAt = null;
+  backfill.nextAttemptAt = null;
+  await backfill.save();
+
+  wakeBackfillWorker();
+  return backfill;
+};
+
+const cancelBackfill = async (id) => {
+  const backfill = await getBackfill(id);
+  if (backfill.status === 'queued' || backfill.status === 'running') {
+    backfill.status = 'cancelled';
+    backfill.finishedAt = new Date();
+    await backfill.save();
+  }
+  return backfill;
+};
+
+// Bars already stored for the month (e.g. by live refreshes) are kept, so the
+// count is the month's bars rather than the number inserted
+const storeMonth = async (symbol, interval, timeSeries) => {
+  await storeIntradayBars(symbol, interval, timeSeries);
+  return Object.keys(timeSeries).length;
+};
+
+// Fetch and store one month. Quota rejections are rethrown so the whole backfill pauses.
+const backfillMonth = async (backfill, entry) => {
+  while (entry.attempts < BACKFILL_MONTH_ATTEMPTS) {
+    entry.attempts += 1;
+    try {
+      const { data } = await fetchIntradayData(backfill.source || undefined, backfill.symbol, backfill.interval, {
+        month: entry.month,
+        priority: 'background'
+      });
+
+      // Providers without month support return their latest window instead
+      const timeSeries = Object.fromEntries(
+        Object.entries(data.timeSeries || {}).filter(([timestamp]) => timestamp.startsWith(entry.month))
+      );
+
+      entry.bars = await storeMonth(backfill.symbol, backfill.interval, timeSeries);
+      entry.status = 'done';
+      entry.error = null;
+      entry.completedAt = new Date();
+      backfill.barsStored += entry.bars;
+      return;
+    } catch (error) {
+      if (error instanceof ApiError && error.statusCode === 429) {
+        entry.attempts -= 1;
+        throw error;
+      }
+      entry.error = error.message;
+      logger.warn(`Backfill ${backfill.id} failed to fetch ${entry.month} (attempt ${entry.attempts}): ${error.message}`);
+      if (entry.attempts < BACKFILL_MONTH_ATTEMPTS) {
+        await sleep(BACKFILL_RETRY_DELAY_MS);
+      }
+    }
+  }
+
+  entry.status = 'failed';
+};
+
+// Save the run's progress, then move it to its next status unless it was
+// cancelled meanwhile. Returns false when it was cancelled.
+const endRun = async (backfill, update) => {
+  await backfill.save();
+  const { modifiedCount } = await Backfill.updateOne({ _id: backfill._id, status: 'running' }, { $set: update });
+  if (modifiedCount === 0) {
+    logger.info(`Backfill ${backfill.id} was cancelled while running`);
+    return false;
+  }
+  backfill.set(update);
+  return true;
+};
+
+const processBackfill = async (backfill) => {
+  for (const entry of backfill.months) {
+    if (entry.status !== 'pending') {
+      continue;
+    }
+    if (!started || await Backfill.exists({ _id: backfill._id, status: 'cancelled' })) {
+      return;
+    }
+
+    try {
+      await backfillMonth(backfill, entry);
+    } catch (error) {
+      // Out of upstream quota: wait for the budget to refill and resume from this month
+      const nextAttemptAt = new Date(Date.now() + (error.retryAfter || 60) * 1000);
+      if (await endRun(backfill, { status: 'queued', nextAttemptAt })) {
+        logger.warn(`Backfill ${backfill.id} paused until ${nextAttemptAt.toISOString()}: ${error.message}`);
+      }
+      return;
+    }
+    await backfill.save();
+  }
+
+  const failedMonths = backfill.months.filter(entry => entry.status === 'failed').length;
+  const finished = await endRun(backfill, {
+    status: failedMonths > 0 ? 'failed' : 'completed',
+    error: failedMonths > 0 ? `${failedMonths} month(s) could not be fetched` : null,
+    finishedAt: new Date()
+  });
+  if (finished) {
+    logger.info(`Backfill ${backfill.id} for ${backfill.symbol} ${backfill.status} with ${backfill.barsStored} bars`);
+  }
+};
+
+// Wake again when the earliest paused backfill becomes due
+const scheduleWake = async () => {
+  const next = await Backfill.findOne({ status: 'queued', nextAttemptAt: { $ne: null } })
+    .sort({ nextAttemptAt: 1 })
+    .select('nextAttemptAt')
+    .lean();
+
+  clearTimeout(wakeTimer);
+  if (next) {
+    wakeTimer = setTimeout(wakeBackfillWorker, Math.max(next.nextAttemptAt.getTime() - Date.now(), 0));
+    wakeTimer.unref?.();
+  }
+};
+
+// Work through queued backfills one at a time, oldest first
+const drainQueue = async () => {
+  while (started && mongoose.connection.readyState === 1) {
+    wakeRequested = false;
+    const backfill = await Backfill.findOneAndUpdate(
+      {
+        status: 'queued',
+        $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: new Date() } }]
+      },
+      { status: 'running', nextAttemptAt: null },
+      { sort: { createdAt: 1 }, new: true }
+    );
+
+    if (!backfill) {
+      await scheduleWake();
+      if (!wakeRequested) {
+        return;
+      }
+      continue;
+    }
+
+    if (!backfill.startedAt) {
+      backfill.startedAt = new Date();
+    }
+    // One broken backfill must neither stop the queue nor stay running forever
+    try {
+      await processBackfill(backfill);
+    } catch (error) {
+      logger.error(`Backfill ${backfill.id} failed: ${error.message}`);
+      await Backfill.updateOne(
+        { _id: backfill._id, status: 'running' },
+        { $set: { status: 'failed', error: error.message, finishedAt: new Date() } }
+      ).catch(updateError => logger.error(`Failed to mark backfill ${backfill.id} as failed: ${updateError.message}`));
+    }
+  }
+};
+
+const wakeBackfillWorker = () => {
+  wakeRequested = true;
+  if (!started || draining) {
+    return;
+  }
+
+  // The worker outlives the request that woke it, so its upstream calls are
+  // not charged to that client
+  draining = true;
+  runOutsideRequestContext(drainQueue)
+    .catch(error => logger.error(`Backfill worker failed: ${error.message}`))
+    .finally(() => {
+      draining = false;
+    });
+};
+
+// Resume backfills interrupted by a restart and start processing the queue
+const startBackfillWorker = async () => {
+  if (started) {
+    return;
+  }
+  if (mongoose.connection.readyState !== 1) {
+    logger.warn('MongoDB is not connected, backfill worker not started');
+    return;
+  }
+  started = true;
+
+  const { modifiedCount } = await Backfill.updateMany({ status: 'running' }, { status: 'queued' });
+  if (modifiedCount > 0) {
+    logger.info(`Resuming ${modifiedCount} interrupted backfill(s)`);
+  }
+  wakeBackfillWorker();
+};
+
+const stopBackfillWorker = () => {
+  started = false;
+  clearTimeout(wakeTimer);
+  wakeTimer = null;
+};
+
+export {
+  monthRange,
+  monthsBefore,
+  currentMonth,
+  createBackfill,
+  getBackfill,
+  listBackfills,
+  retryBackfill,
+  cancelBackfill,
+  startBackfillWorker,
+  stopBackfillWorker
+};
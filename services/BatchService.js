@@ -0,0 +1,47 @@
+import { getSeries } from "./SeriesService.js";
+import { isKnownSymbol } from "./SymbolService.js";
+import { transformSeriesForRequest } from "./SeriesTransformService.js";
+import ApiError from "../utils/ApiError.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { SYMBOL_PATTERN } from "../constants/symbols.js";
+import { BATCH_CONCURRENCY } from "../constants/batch.js";
+import logger from "../config/logger.js";
+
+const checkSymbol = async (symbol) => {
+  if (!SYMBOL_PATTERN.test(symbol)) {
+    throw new ApiError(400, `Invalid symbol: ${symbol}`);
+  }
+  if (process.env.REJECT_UNKNOWN_SYMBOLS === 'true' && await isKnownSymbol(symbol) === false) {
+    throw new ApiError(404, `Unknown or inactive symbol: ${symbol}`);
+  }
+};
+
+// Daily or intraday series for many symbols. Fetches run with bounded
+// concurrency and each symbol succeeds or fails on its own, so one bad ticker
+// never fails the batch.
+const getBatchSeries = async (symbols, { type = 'daily', interval = '5min', outputSize = 'compact', source, query = {} } = {}) => {
+  const results = await mapWithConcurrency(symbols, BATCH_CONCURRENCY, async (symbol) => {
+    await checkSymbol(symbol);
+    const series = await getSeries(symbol, { type, interval, outputSize, source });
+    return { ...series, data: transformSeriesForRequest(type, series.data, query) };
+  });
+
+  const data = {};
+  const errors = {};
+  results.forEach(({ value, error }, index) => {
+    const symbol = symbols[index];
+    if (error) {
+      logger.warn(`Batch fetch failed for ${symbol}: ${error.message}`);
+      errors[symbol] = {
+        statusCode: error instanceof ApiError ? error.statusCode : 502,
+        message: error.message
+      };
+    } else {
+      data[symbol] = value;
+    }
+  });
+
+  return { data, errors };
+};
+
+export { getBatchSeries };
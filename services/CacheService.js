@@ -0,0 +1,326 @@
+import mongoose from "mongoose";
+import DailyStockData from "../models/DailyStockDataModel.js";
+import StockData from "../models/StockDataModel.js";
+import { storeIntradayBars } from "./IntradayBarService.js";
+import { loadIntradayBars, barsToIntradayTimeSeries } from "./StockSeriesService.js";
+import { marketEvents, BARS_STORED } from "./MarketEvents.js";
+import { recordCacheLookup, recordDbWriteFailure } from "./MetricsService.js";
+import LruCache from "../utils/LruCache.js";
+import {
+  ENDPOINT_CACHE_TTL,
+  MEMORY_CACHE_MAX_ENTRIES,
+  COMPACT_OUTPUT_SIZE
+} from "../constants/cache.js";
+import logger from "../config/logger.js";
+
+// In-process fallback used whenever MongoDB is unavailable
+const memoryCache = new LruCache(MEMORY_CACHE_MAX_ENTRIES);
+
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+const dailyKey = (symbol, outputSize) => `daily:${symbol}:${outputSize}`;
+const intradayKey = (symbol, interval) => `intraday:${symbol}:${interval}`;
+
+const ageInSeconds = (since) => Math.floor((Date.now() - new Date(since).getTime()) / 1000);
+
+// Datasets refreshed by the ingestion scheduler stay fresh until its next run,
+// even past the endpoint TTL (e.g. daily bars overnight)
+const scheduledRefreshes = new Map();
+
+const setScheduledRefresh = (key, until) => {
+  if (until) {
+    scheduledRefreshes.set(key, new Date(until).getTime());
+  } else {
+    scheduledRefreshes.delete(key);
+  }
+};
+
+const isFresh = (key, cacheAge, ttl) =>
+  cacheAge <= ttl || (scheduledRefreshes.get(key) ?? 0) > Date.now();
+
+// Memory entries live until the later of the TTL and the scheduled refresh
+const memoryTtl = (key, ttl) =>
+  Math.max(ttl, Math.ceil(((scheduledRefreshes.get(key) ?? 0) - Date.now()) / 1000));
+
+const fromMemory = (key) => {
+  const entry = memoryCache.get(key);
+  if (!entry) {
+    return null;
+  }
+
+  return {
+    data: entry.value,
+    cacheStore: 'memory',
+    cacheAge: ageInSeconds(entry.storedAt)
+  };
+};
+
+// Rebuild the transformDailyData response shape from stored daily bars
+const buildDailyResponse = (symbol, docs, outputSize) => {
+  const timeSeries = {};
+  for (const doc of docs) {
+    timeSeries[doc.date.toISOString().slice(0, 10)] = {
+      open: doc.open,
+      high: doc.high,
+      low: doc.low,
+      close: doc.close,
+      volume: doc.volume,
+      adjustedClose: doc.adjustedClose ?? doc.close,
+      dividendAmount: doc.dividendAmount,
+      splitCoefficient: doc.splitCoefficient
+    };
+  }
+
+  return {
+    metaData: {
+      information: 'Daily Prices (open, high, low, close) and Volumes',
+      symbol,
+      lastRefreshed: Object.keys(timeSeries)[0],
+      outputSize: outputSize === 'full' ? 'Full size' : 'Compact',
+      timeZone: 'US/Eastern',
+      dataType: 'daily'
+    },
+    timeSeries
+  };
+};
+
+// Counts hits and misses for the cache hit ratio metrics
+const withLookupMetric = (dataset, lookup) => async (...args) => {
+  const result = await lookup(...args);
+  recordCacheLookup(dataset, result);
+  return result;
+};
+
+const lookupDailyData = async (symbol, outputSize = 'compact') => {
+  const upperSymbol = symbol.toUpperCase();
+
+  if (isMongoConnected()) {
+    try {
+      const query = DailyStockData.find({ symbol: upperSymbol }).sort({ date: -1 });
+      if (outputSize !== 'full') {
+        query.limit(COMPACT_OUTPUT_SIZE);
+      }
+      const docs = await query.lean();
+
+      // A compact fetch only ever stores 100 bars, so it cannot answer a full request
+      const hasEnoughBars = outputSize !== 'full' || docs.length > COMPACT_OUTPUT_SIZE;
+
+      if (docs.length > 0 && hasEnoughBars) {
+        const cacheAge = ageInSeconds(docs[0].lastRefreshed);
+        if (isFresh(dailyKey(upperSymbol, outputSize), cacheAge, ENDPOINT_CACHE_TTL.daily)) {
+          return {
+            data: buildDailyResponse(upperSymbol, docs, outputSize),
+            cacheStore: 'mongodb',
+            cacheAge
+          };
+        }
+      }
+      return null;
+    } catch (error) {
+      logger.warn(`Daily cache lookup in MongoDB failed, using memory cache: ${error.message}`);
+    }
+  }
+
+  return fromMemory(dailyKey(upperSymbol, outputSize));
+};
+
+const getCachedDailyData = withLookupMetric('daily', lookupDailyData);
+
+// Freshness of the stored daily series without loading its bars, for callers
+// that stream them from a cursor. Null when MongoDB cannot answer the request.
+const getStoredDailyStatus = async (symbol, outputSize = 'compact') => {
+  if (!isMongoConnected()) {
+    return null;
+  }
+
+  const upperSymbol = symbol.toUpperCase();
+  try {
+    const latest = await DailyStockData.findOne({ symbol: upperSymbol })
+      .sort({ date: -1 })
+      .select('lastRefreshed')
+      .lean();
+    if (!latest) {
+      return null;
+    }
+    if (outputSize === 'full' && await DailyStockData.countDocuments({ symbol: upperSymbol }) <= COMPACT_OUTPUT_SIZE) {
+      return null;
+    }
+
+    const cacheAge = ageInSeconds(latest.lastRefreshed);
+    return isFresh(dailyKey(upperSymbol, outputSize), cacheAge, ENDPOINT_CACHE_TTL.daily)
+      ? { cacheStore: 'mongodb', cacheAge }
+      : null;
+  } catch (error) {
+    logger.warn(`Daily cache status lookup in MongoDB failed: ${error.message}`);
+    return null;
+  }
+};
+
+const findIntradayHeader = (symbol, interval) =>
+  StockData.findOne({
+    "metaData.symbol": symbol,
+    "metaData.dataType": 'intraday',
+    "metaData.interval": interval
+  }).lean();
+
+// The StockData document is a header for the series; the bars of the last
+// provider response are read back from IntradayBar
+const intradayResponseFromHeader = async (doc, interval) => {
+  if (doc.timeSeries && !doc.windowStart) {
+    // Not migrated to IntradayBar yet
+    return { metaData: doc.metaData, timeSeries: doc.timeSeries };
+  }
+  const bars = await loadIntradayBars(doc.metaData.symbol, interval, { startDate: doc.windowStart });
+  return { metaData: doc.metaData, timeSeries: barsToIntradayTimeSeries(bars) };
+};
+
+const lookupIntradayData = async (symbol, interval = '5min') => {
+  const upperSymbol = symbol.toUpperCase();
+
+  if (isMongoConnected()) {
+    try {
+      const doc = await findIntradayHeader(upperSymbol, interval);
+
+      // metaData.lastRefreshed is the exchange timestamp of the latest bar,
+      // so freshness is measured from when the document was last written
+      if (doc && doc.lastUpdated) {
+        const cacheAge = ageInSeconds(doc.lastUpdated);
+        if (isFresh(intradayKey(upperSymbol, interval), cacheAge, ENDPOINT_CACHE_TTL.intraday)) {
+          return {
+            data: await intradayResponseFromHeader(doc, interval),
+            cacheStore: 'mongodb',
+            cacheAge
+          };
+        }
+      }
+      return null;
+    } catch (error) {
+      logger.warn(`Intraday cache lookup in MongoDB failed, using memory cache: ${error.message}`);
+    }
+  }
+
+  return fromMemory(intradayKey(upperSymbol, interval));
+};
+
+const getCachedIntradayData = withLookupMetric('intraday', lookupIntradayData);
+
+// Whether stored intraday bars for the series were refreshed within the TTL
+// (or are held fresh by the ingestion scheduler)
+const isStoredIntradayDataFresh = async (symbol, interval) => {
+  const upperSymbol = symbol.toUpperCase();
+  if (!isMongoConnected()) {
+    return false;
+  }
+
+  try {
+    const doc = await findIntradayHeader(upperSymbol, interval);
+    return Boolean(doc?.lastUpdated) &&
+      isFresh(intradayKey(upperSymbol, interval), ageInSeconds(doc.lastUpdated), ENDPOINT_CACHE_TTL.intraday);
+  } catch (error) {
+    logger.warn(`Intraday freshness lookup in MongoDB failed: ${error.message}`);
+    return false;
+  }
+};
+
+// Generated data is never cached or stored, so it cannot be mistaken for real bars
+const isSyntheticData = (data) => Boolean(data?.metaData?.synthetic);
+
+const storeDailyData = async (symbol, outputSize, data) => {
+  if (isSyntheticData(data)) {
+    return;
+  }
+
+  const upperSymbol = symbol.toUpperCase();
+  const key = dailyKey(upperSymbol, outputSize);
+  memoryCache.set(key, data, memoryTtl(key, ENDPOINT_CACHE_TTL.daily));
+
+  if (!isMongoConnected()) {
+    logger.warn(`MongoDB is not connected, daily data for ${upperSymbol} kept in memory only`);
+    return;
+  }
+
+  try {
+    await DailyStockData.saveBulkDailyData(upperSymbol, data.timeSeries);
+    logger.info(`Successfully saved/updated daily data for ${upperSymbol} in MongoDB`);
+    marketEvents.emit(BARS_STORED, { symbol: upperSymbol, dataType: 'daily' });
+  } catch (error) {
+    logger.error(`Error saving daily data to MongoDB: ${error.message}`, { error });
+    recordDbWriteFailure('daily_bars');
+    // Don't throw the error, just log it as we still want to return the data
+  }
+};
+
+const storeIntradayData = async (symbol, interval, data) => {
+  if (isSyntheticData(data)) {
+    return;
+  }
+
+  const upperSymbol = symbol.toUpperCase();
+  const key = intradayKey(upperSymbol, interval);
+  memoryCache.set(key, data, memoryTtl(key, ENDPOINT_CACHE_TTL.intraday));
+
+  if (!isMongoConnected()) {
+    logger.warn(`MongoDB is not connected, intraday data for ${upperSymbol} kept in memory only`);
+    return;
+  }
+
+  try {
+    const timeZone = data.metaData.timeZone || 'US/Eastern';
+    await storeIntradayBars(upperSymbol, interval, data.timeSeries || {}, timeZone);
+
+    const timestamps = Object.keys(data.timeSeries || {}).sort();
+    await StockData.findOneAndUpdate(
+      { 
+        "metaData.symbol": upperSymbol,
+        "metaData.dataType": 'intraday',
+        "metaData.interval": interval
+      },
+      {
+        metaData: {
+          information: data.metaData.information || '',
+          symbol: data.metaData.symbol || upperSymbol,
+          lastRefreshed: data.metaData.lastRefreshed || new Date().toISOString(),
+          interval: data.metaData.interval || interval,
+          outputSize: data.metaData.outputSize || 'Compact',
+          timeZone,
+          dataType: 'intraday'
+        },
+        windowStart: timestamps[0],
+        lastUpdated: new Date(),
+        $unset: { timeSeries: 1 }
+      },
+      { 
+        upsert: true, 
+        new: true, 
+        setDefaultsOnInsert: true
+      }
+    );
+    marketEvents.emit(BARS_STORED, { symbol: upperSymbol, dataType: 'intraday', interval, timeSeries: data.timeSeries || {} });
+  } catch (dbError) {
+    logger.error('Error saving to MongoDB: %s', dbError.message);
+    recordDbWriteFailure('intraday_bars');
+    // Continue even if there's a DB error
+  }
+};
+
+const clearMemoryCache = () => memoryCache.clear();
+
+const holdDailyDataFresh = (symbol, outputSize, until) =>
+  setScheduledRefresh(dailyKey(symbol.toUpperCase(), outputSize), until);
+
+const holdIntradayDataFresh = (symbol, interval, until) =>
+  setScheduledRefresh(intradayKey(symbol.toUpperCase(), interval), until);
+
+export {
+  isMongoConnected,
+  isSyntheticData,
+  getCachedDailyData,
+  getStoredDailyStatus,
+  getCachedIntradayData,
+  isStoredIntradayDataFresh,
+  storeDailyData,
+  storeIntradayData,
+  clearMemoryCache,
+  holdDailyDataFresh,
+  holdIntradayDataFresh
+};
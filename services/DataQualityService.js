@@ -0,0 +1,198 @@
+import mongoose from "mongoose";
+import QuarantinedBar from "../models/QuarantinedBarModel.js";
+import { loadDailyBars, loadIntradayBars, parseBar } from "./StockSeriesService.js";
+import ApiError from "../utils/ApiError.js";
+import { barIssues, findOutliers } from "../utils/barQuality.js";
+import { parseIntervalMinutes } from "../utils/resample.js";
+import {
+  getSession,
+  tradingDaysBetween,
+  isRegularSessionClosed,
+  timeToMinutes
+} from "../utils/marketCalendar.js";
+import { QUALITY_MAX_LISTED, QUALITY_MIN_SESSION_COVERAGE } from "../constants/quality.js";
+import logger from "../config/logger.js";
+
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+// Record rejected bars, counting repeat deliveries of the same bar
+const quarantineBars = async (symbol, dataType, interval, source, rejected) => {
+  if (!isMongoConnected()) {
+    logger.warn(`MongoDB is not connected, ${rejected.length} quarantined ${symbol} bars were not recorded`);
+    return;
+  }
+
+  const now = new Date();
+  await QuarantinedBar.bulkWrite(rejected.map(({ timestamp, raw, issues }) => ({
+    updateOne: {
+      filter: { symbol, dataType, interval, timestamp },
+      update: {
+        $set: { raw, issues, source, lastSeenAt: now },
+        $setOnInsert: { firstSeenAt: now },
+        $inc: { occurrences: 1 }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+// Validate the bars of a provider response before anything caches, stores or
+// serves them. Bars with impossible values (unparseable or non-positive
+// prices, high below low, ...) are dropped from the series and quarantined.
+// Returns the response, with metaData.quarantinedBars when bars were dropped.
+const screenSeries = async (data, { symbol, dataType, interval = null, source = null }) => {
+  if (!data?.timeSeries || data.metaData?.synthetic) {
+    return data;
+  }
+
+  const timeSeries = {};
+  const rejected = [];
+  for (const [timestamp, values] of Object.entries(data.timeSeries)) {
+    const issues = barIssues(parseBar(timestamp, values));
+    if (issues.length > 0) {
+      rejected.push({ timestamp, raw: values, issues });
+    } else {
+      timeSeries[timestamp] = values;
+    }
+  }
+
+  if (rejected.length === 0) {
+    return data;
+  }
+
+  const upperSymbol = symbol.toUpperCase();
+  logger.warn(`Quarantined ${rejected.length} ${dataType} bars for ${upperSymbol} from ${source}: ` +
+    rejected.slice(0, 5).map(({ timestamp, issues }) => `${timestamp} (${issues.join(', ')})`).join('; '));
+
+  try {
+    await quarantineBars(upperSymbol, dataType, interval, source, rejected);
+  } catch (error) {
+    logger.error(`Failed to record quarantined bars for ${upperSymbol}: ${error.message}`);
+  }
+
+  return {
+    ...data,
+    metaData: { ...data.metaData, quarantinedBars: rejected.length },
+    timeSeries
+  };
+};
+
+// Bounds on the provider's timestamp keys; a date-only end covers the whole day
+const timestampFilter = (startDate, endDate) => {
+  if (!startDate && !endDate) {
+    return {};
+  }
+  const end = endDate && String(endDate).replace('T', ' ');
+  return {
+    timestamp: {
+      ...(startDate && { $gte: String(startDate).replace('T', ' ') }),
+      ...(end && { $lte: end.length === 10 ? `${end} 23:59:59` : end })
+    }
+  };
+};
+
+const listed = (items) => ({ count: items.length, items: items.slice(0, QUALITY_MAX_LISTED) });
+
+// Closed sessions holding too few regular-hours bars. Bars sit on the clock
+// grid, so the first one of a session may start before the 09:30 open.
+const findIncompleteSessions = (bars, interval, sessionDates) => {
+  const minutes = parseIntervalMinutes(interval);
+  const timesByDate = new Map();
+  for (const bar of bars) {
+    const date = bar.timestamp.slice(0, 10);
+    if (!timesByDate.has(date)) {
+      timesByDate.set(date, []);
+    }
+    timesByDate.get(date).push(timeToMinutes(bar.timestamp.slice(11, 16)));
+  }
+
+  const incomplete = [];
+  for (const date of sessionDates) {
+    const { regular, earlyClose } = getSession(date);
+    const firstStart = Math.floor(timeToMinutes(regular.open) / minutes) * minutes;
+    const close = timeToMinutes(regular.close);
+    const expected = Math.ceil((close - firstStart) / minutes);
+    const stored = (timesByDate.get(date) || []).filter(time => time >= firstStart && time < close).length;
+
+    if (stored < expected * QUALITY_MIN_SESSION_COVERAGE) {
+      incomplete.push({ date, bars: stored, expected, ...(earlyClose && { earlyClose }) });
+    }
+  }
+  return incomplete;
+};
+
+// Quality of a stored daily (or, with `interval`, intraday) series: trading
+// sessions with no bars (or, intraday, too few), stored bars that fail
+// validation (e.g. zeros written before bars were screened), outlier moves and
+// quarantined deliveries. Sessions still trading are not judged.
+const getQualityReport = async (symbol, { interval, startDate, endDate } = {}) => {
+  if (!isMongoConnected()) {
+    throw new ApiError(503, 'Data quality reports are unavailable: database is not connected');
+  }
+
+  const upperSymbol = symbol.toUpperCase();
+  const dataType = interval ? 'intraday' : 'daily';
+  const range = { startDate, endDate };
+
+  const [bars, quarantinedCount, quarantined] = await Promise.all([
+    interval ? loadIntradayBars(upperSymbol, interval, range) : loadDailyBars(upperSymbol, range),
+    QuarantinedBar.countDocuments({
+      symbol: upperSymbol,
+      dataType,
+      interval: interval || null,
+      ...timestampFilter(startDate, endDate)
+    }),
+    QuarantinedBar.find({
+      symbol: upperSymbol,
+      dataType,
+      interval: interval || null,
+      ...timestampFilter(startDate, endDate)
+    })
+      .sort({ timestamp: -1 })
+      .limit(QUALITY_MAX_LISTED)
+      .select('-_id -symbol -dataType -interval')
+      .lean()
+  ]);
+
+  if (bars.length === 0 && quarantinedCount === 0) {
+    throw new ApiError(404, `No stored ${interval || 'daily'} data found for ${upperSymbol}`);
+  }
+
+  const sessions = new Set(bars.map(bar => bar.timestamp.slice(0, 10)));
+  const from = (startDate ? String(startDate) : bars[0]?.timestamp || '').slice(0, 10);
+  const to = (endDate ? String(endDate) : bars[bars.length - 1]?.timestamp || '').slice(0, 10);
+  const expectedSessions = from && to ? tradingDaysBetween(from, to).filter(date => isRegularSessionClosed(date)) : [];
+
+  const invalidBars = [];
+  const validBars = [];
+  for (const bar of bars) {
+    const issues = barIssues(bar);
+    if (issues.length > 0) {
+      invalidBars.push({ timestamp: bar.timestamp, issues });
+    } else {
+      validBars.push(bar);
+    }
+  }
+
+  return {
+    symbol: upperSymbol,
+    type: dataType,
+    ...(interval && { interval }),
+    range: { startDate: from || null, endDate: to || null },
+    bars: bars.length,
+    expectedSessions: expectedSessions.length,
+    missingSessions: listed(expectedSessions.filter(date => !sessions.has(date))),
+    ...(interval && {
+      incompleteSessions: listed(findIncompleteSessions(
+        bars,
+        interval,
+        expectedSessions.filter(date => sessions.has(date))
+      ))
+    }),
+    invalidBars: listed(invalidBars),
+    outliers: listed(findOutliers(validBars)),
+    quarantined: { count: quarantinedCount, items: quarantined }
+  };
+};
+
+export { screenSeries, getQualityReport };
@@ -0,0 +1,189 @@
+import { once } from "events";
+import DailyStockData from "../models/DailyStockDataModel.js";
+import IntradayBar from "../models/IntradayBarModel.js";
+import { timeSeriesToBars, intradayBarFilter } from "./StockSeriesService.js";
+import { transformSeriesForRequest } from "./SeriesTransformService.js";
+import { COMPACT_OUTPUT_SIZE } from "../constants/cache.js";
+
+// Flat CSV / NDJSON downloads of daily and intraday series
+
+export const EXPORT_FORMATS = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+const COLUMNS = {
+  daily: ['date', 'open', 'high', 'low', 'close', 'volume', 'adjustedClose'],
+  intraday: ['timestamp', 'open', 'high', 'low', 'close', 'volume']
+};
+
+// ?format= wins over the Accept header; null means the usual JSON envelope
+const resolveExportFormat = (req) => {
+  const { format } = req.query;
+  if (format) {
+    return format.toLowerCase() === 'json' ? null : format.toLowerCase();
+  }
+
+  const accepted = req.accepts(['application/json', 'text/csv', 'application/x-ndjson', 'application/ndjson']);
+  if (accepted === 'text/csv') {
+    return 'csv';
+  }
+  if (accepted === 'application/x-ndjson' || accepted === 'application/ndjson') {
+    return 'ndjson';
+  }
+  return null;
+};
+
+const csvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toRow = (type, bar) => {
+  const row = {};
+  for (const column of COLUMNS[type]) {
+    const value = column === 'date' || column === 'timestamp' ? bar.timestamp : bar[column];
+    row[column] = column === 'adjustedClose' ? value ?? bar.close : value;
+  }
+  return row;
+};
+
+// Writes rows with backpressure: waits for `drain` whenever the socket buffer
+// is full, or until the response closes, since a client that disconnects
+// never drains
+const createRowWriter = (res, format, type) => {
+  const columns = COLUMNS[type];
+  const closed = new AbortController();
+  let wroteHeader = false;
+
+  res.once('close', () => closed.abort());
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      // Aborted on close; writeBars then sees the destroyed response and stops
+      await once(res, 'drain', { signal: closed.signal }).catch(() => {});
+    }
+  };
+
+  return {
+    async writeRow(bar) {
+      if (format === 'csv' && !wroteHeader) {
+        wroteHeader = true;
+        await write(`${columns.join(',')}\n`);
+      }
+      const row = toRow(type, bar);
+      await write(format === 'csv'
+        ? `${columns.map(column => csvValue(row[column])).join(',')}\n`
+        : `${JSON.stringify(row)}\n`);
+    },
+    end() {
+      if (format === 'csv' && !wroteHeader) {
+        res.write(`${columns.join(',')}\n`);
+      }
+      res.end();
+    }
+  };
+};
+
+const dailyDocToBar = (doc) => ({
+  timestamp: doc.date.toISOString().slice(0, 10),
+  open: doc.open,
+  high: doc.high,
+  low: doc.low,
+  close: doc.close,
+  volume: doc.volume,
+  adjustedClose: doc.adjustedClose ?? doc.close
+});
+
+// Stored daily bars oldest first, read through a cursor
+async function* storedDailyBars(symbol, { outputSize = 'compact' } = {}) {
+  const filter = { symbol: symbol.toUpperCase() };
+
+  if (outputSize !== 'full') {
+    // Compact is the latest 100 bars, small enough to read in one go
+    const docs = await DailyStockData.find(filter).sort({ date: -1 }).limit(COMPACT_OUTPUT_SIZE).lean();
+    for (const doc of docs.reverse()) {
+      yield dailyDocToBar(doc);
+    }
+    return;
+  }
+
+  for await (const doc of DailyStockData.find(filter).sort({ date: 1 }).lean().cursor()) {
+    yield dailyDocToBar(doc);
+  }
+}
+
+// Stored intraday bars oldest first, read through a cursor. Bars stored twice
+// by overlapping fetches are skipped.
+async function* storedIntradayBars(symbol, interval, { startDate, endDate } = {}) {
+  let lastTimestamp = '';
+  const docs = IntradayBar.find(intradayBarFilter(symbol, interval, { startDate, endDate }))
+    .sort({ timestamp: 1 })
+    .lean()
+    .cursor();
+
+  for await (const doc of docs) {
+    if (doc.localTime === lastTimestamp) {
+      continue;
+    }
+    lastTimestamp = doc.localTime;
+    yield {
+      timestamp: doc.localTime,
+      open: doc.open,
+      high: doc.high,
+      low: doc.low,
+      close: doc.close,
+      volume: doc.volume
+    };
+  }
+}
+
+const setDownloadHeaders = (res, format, filename, source) => {
+  res.status(200).set({
+    'Content-Type': `${EXPORT_FORMATS[format]}; charset=utf-8`,
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+    'X-Data-Source': source
+  });
+};
+
+const writeBars = async (res, format, type, bars) => {
+  const writer = createRowWriter(res, format, type);
+  for await (const bar of bars) {
+    if (res.destroyed) {
+      break;
+    }
+    await writer.writeRow(bar);
+  }
+  writer.end();
+};
+
+// Send a daily or intraday payload as CSV/NDJSON rows, after the same
+// per-request transformations as the JSON response
+const exportSeries = (req, res, { type, format, data, source, filename }) => {
+  setDownloadHeaders(res, format, filename, source);
+  const payload = transformSeriesForRequest(type, data, req.query);
+  return writeBars(res, format, type, timeSeriesToBars(payload?.timeSeries));
+};
+
+// Stream stored daily bars from a cursor without loading the series into memory.
+// Only for requests without ?adjusted=, which needs the whole series at once.
+const exportStoredDaily = (req, res, { format, symbol, outputSize, filename }) => {
+  setDownloadHeaders(res, format, filename, 'cache');
+  return writeBars(res, format, 'daily', storedDailyBars(symbol, { outputSize }));
+};
+
+// Stream stored intraday bars in a date range
+const exportStoredIntradayRange = (req, res, { format, symbol, interval, startDate, endDate, filename }) => {
+  setDownloadHeaders(res, format, filename, 'database');
+  return writeBars(res, format, 'intraday', storedIntradayBars(symbol, interval, { startDate, endDate }));
+};
+
+export {
+  resolveExportFormat,
+  exportSeries,
+  exportStoredDaily,
+  exportStoredIntradayRange
+};
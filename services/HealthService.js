@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+import { getProviderChain } from "./MarketDataService.js";
+import { getUpstreamHealth } from "./AlphaVantageService.js";
+import { getQuotaStatus } from "./QuotaGovernor.js";
+import { getSchedulerStatus } from "./IngestionScheduler.js";
+import {
+  HEALTH_CHECK_TIMEOUT_MS,
+  UPSTREAM_FAILURES_BEFORE_DOWN
+} from "../constants/health.js";
+
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// readyState lags a dropped connection, so a connected database is also pinged
+const checkDatabase = async () => {
+  const state = CONNECTION_STATES[mongoose.connection.readyState] || 'unknown';
+  if (state !== 'connected') {
+    return { status: 'down', state };
+  }
+
+  const startedAt = Date.now();
+  try {
+    await withTimeout(mongoose.connection.db.admin().ping(), HEALTH_CHECK_TIMEOUT_MS);
+    return { status: 'up', state, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { status: 'down', state, error: `ping failed: ${error.message}` };
+  }
+};
+
+const checkUpstream = () => {
+  const providers = getProviderChain().map(provider => provider.name);
+  if (!providers.includes('alphavantage')) {
+    return { status: 'up', providers };
+  }
+
+  const health = getUpstreamHealth();
+  const status = health.consecutiveFailures >= UPSTREAM_FAILURES_BEFORE_DOWN
+    ? 'down'
+    : health.consecutiveFailures > 0 ? 'degraded' : 'up';
+  return { status, providers, ...health };
+};
+
+const checkQuota = () => {
+  const { perMinute, perDay, queue } = getQuotaStatus();
+  const status = perDay.remaining === 0
+    ? 'down'
+    : perMinute.remaining === 0 ? 'degraded' : 'up';
+  return {
+    status,
+    remainingPerMinute: perMinute.remaining,
+    remainingPerDay: perDay.remaining,
+    queueDepth: queue.depth
+  };
+};
+
+// A stopped scheduler is down. Overdue or stuck jobs only degrade the report:
+// one lagging symbol does not stop the instance serving requests.
+const checkScheduler = () => {
+  const { started, jobs, stuckJobs } = getSchedulerStatus();
+  let status = 'down';
+  if (started) {
+    status = stuckJobs.length === 0 ? 'up' : 'degraded';
+  }
+  return { status, started, jobs, stuckJobs };
+};
+
+// Components that take the instance out of rotation when down. The upstream
+// key and its quota are shared by every instance, so by default they only
+// degrade the report; HEALTH_REQUIRE_UPSTREAM=true makes them count.
+const criticalComponents = () =>
+  process.env.HEALTH_REQUIRE_UPSTREAM === 'true'
+    ? ['database', 'scheduler', 'upstream', 'quota']
+    : ['database', 'scheduler'];
+
+const getReadiness = async () => {
+  const components = {
+    database: await checkDatabase(),
+    upstream: checkUpstream(),
+    quota: checkQuota(),
+    scheduler: checkScheduler()
+  };
+
+  const ready = criticalComponents().every(name => components[name].status !== 'down');
+  const healthy = Object.values(components).every(component => component.status === 'up');
+
+  return {
+    ready,
+    status: !ready ? 'DOWN' : healthy ? 'UP' : 'DEGRADED',
+    components
+  };
+};
+
+export { getReadiness };
@@ -0,0 +1,39 @@
+import { sma, ema, rsi, macd, bbands, DEFAULT_PERIODS } from "../utils/indicators.js";
+
+// Compute the requested indicators over `bars` (oldest first) and return one
+// row per bar with the indicator values alongside the bar's timestamp and close
+const computeIndicators = (bars, types, options = {}) => {
+  const closes = bars.map(bar => bar.close);
+  const period = (type) => options.period || DEFAULT_PERIODS[type];
+
+  const series = {};
+  for (const type of types) {
+    switch (type) {
+      case 'sma':
+        series.sma = sma(closes, period('sma'));
+        break;
+      case 'ema':
+        series.ema = ema(closes, period('ema'));
+        break;
+      case 'rsi':
+        series.rsi = rsi(closes, period('rsi'));
+        break;
+      case 'macd':
+        series.macd = macd(closes, options.fastPeriod, options.slowPeriod, options.signalPeriod);
+        break;
+      case 'bbands':
+        series.bbands = bbands(closes, period('bbands'), options.stdDev);
+        break;
+      default:
+        throw new Error(`Unsupported indicator: ${type}`);
+    }
+  }
+
+  return bars.map((bar, i) => ({
+    timestamp: bar.timestamp,
+    close: bar.close,
+    ...Object.fromEntries(Object.entries(series).map(([type, values]) => [type, values[i]]))
+  }));
+};
+
+export { computeIndicators };
@@ -0,0 +1,250 @@
+import { fetchDailyData, fetchIntradayData } from "./MarketDataService.js";
+import {
+  storeDailyData,
+  storeIntradayData,
+  holdDailyDataFresh,
+  holdIntradayDataFresh
+} from "./CacheService.js";
+import { parseCron, nextCronRun } from "../utils/cron.js";
+import { getMarketPhase, getHoliday } from "../utils/marketCalendar.js";
+import { zonedTimeToDate } from "../utils/time.js";
+import { EXCHANGE_TIME_ZONE } from "../constants/market.js";
+import {
+  INGESTION_SYMBOLS,
+  INGESTION_INTRADAY_INTERVALS,
+  INGESTION_INTRADAY_SCHEDULE,
+  INGESTION_DAILY_SCHEDULE,
+  INGESTION_TIMEZONE,
+  INGESTION_FRESHNESS_GRACE_MS,
+  INGESTION_SESSION_GRACE_MS,
+  SCHEDULER_OVERDUE_GRACE_MS,
+  SCHEDULER_STUCK_AFTER_MS
+} from "../constants/jobs.js";
+import logger from "../config/logger.js";
+
+// Longest setTimeout delay Node accepts; later runs re-arm when it fires
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const jobs = new Map();
+let started = false;
+
+const freshUntil = (job) =>
+  job.nextRunAt ? new Date(job.nextRunAt.getTime() + INGESTION_FRESHNESS_GRACE_MS) : null;
+
+const refreshDaily = async (job) => {
+  const { data } = await fetchDailyData(undefined, job.symbol, { outputSize: 'compact', priority: 'background' });
+  holdDailyDataFresh(job.symbol, 'compact', freshUntil(job));
+  await storeDailyData(job.symbol, 'compact', data);
+  return Object.keys(data.timeSeries || {}).length;
+};
+
+const refreshIntraday = async (job) => {
+  const { data } = await fetchIntradayData(undefined, job.symbol, job.interval, { priority: 'background' });
+  holdIntradayDataFresh(job.symbol, job.interval, freshUntil(job));
+  await storeIntradayData(job.symbol, job.interval, data);
+  return Object.keys(data.timeSeries || {}).length;
+};
+
+const releaseFreshness = (job) => {
+  if (job.type === 'daily') {
+    holdDailyDataFresh(job.symbol, 'compact', null);
+  } else {
+    holdIntradayDataFresh(job.symbol, job.interval, null);
+  }
+};
+
+const createJob = ({ type, symbol, interval, schedule }) => ({
+  name: type === 'daily' ? `daily:${symbol}` : `intraday:${symbol}:${interval}`,
+  type,
+  symbol,
+  interval: interval || null,
+  schedule,
+  timeZone: INGESTION_TIMEZONE,
+  cron: parseCron(schedule),
+  running: false,
+  lastRunAt: null,
+  lastSuccessAt: null,
+  lastDurationMs: null,
+  lastError: null,
+  lastBarCount: null,
+  nextRunAt: null,
+  runs: 0,
+  failures: 0,
+  consecutiveFailures: 0,
+  skips: 0,
+  lastSkippedAt: null,
+  lastSkipReason: null,
+  timer: null
+});
+
+// Why a scheduled run has nothing new to fetch, or null when it should go ahead:
+// daily jobs skip days the exchange is closed, and intraday jobs also skip the
+// hours outside the regular session (early closes included)
+const marketClosedReason = (job, now = new Date()) => {
+  const { wallClock, date, session } = getMarketPhase(now);
+  if (!session) {
+    return `market closed on ${date} (${getHoliday(date) || 'weekend'})`;
+  }
+  if (job.type === 'daily') {
+    return null;
+  }
+
+  if (wallClock.slice(11, 16) < session.regular.open) {
+    return 'before the regular session';
+  }
+  const closedAt = zonedTimeToDate(`${date} ${session.regular.close}:00`, EXCHANGE_TIME_ZONE);
+  if (now.getTime() > closedAt.getTime() + INGESTION_SESSION_GRACE_MS) {
+    return `after the ${session.regular.close} close`;
+  }
+  return null;
+};
+
+const scheduleNextRun = (job) => {
+  clearTimeout(job.timer);
+  job.nextRunAt = nextCronRun(job.cron, new Date(), job.timeZone);
+  if (!job.nextRunAt || !started) {
+    return;
+  }
+
+  const delay = job.nextRunAt.getTime() - Date.now();
+  job.timer = setTimeout(() => {
+    if (Date.now() < job.nextRunAt.getTime()) {
+      scheduleNextRun(job);
+      return;
+    }
+    runJob(job.name, { scheduled: true }).catch(() => {});
+  }, Math.min(Math.max(delay, 0), MAX_TIMER_MS));
+  job.timer.unref?.();
+};
+
+// Run a job now. Overlapping runs of the same job are skipped, and so are
+// scheduled runs while the market is closed.
+const runJob = async (name, { scheduled = false } = {}) => {
+  const job = jobs.get(name);
+  if (!job) {
+    return;
+  }
+
+  // A scheduled tick always re-arms the timer, even when it does not run
+  const skipReason = job.running ? 'previous run still in progress' : scheduled && marketClosedReason(job);
+  if (skipReason) {
+    if (scheduled) {
+      job.skips += 1;
+      job.lastSkippedAt = new Date();
+      job.lastSkipReason = skipReason;
+      scheduleNextRun(job);
+      logger.debug(`Ingestion job ${job.name} skipped: ${skipReason}`);
+    }
+    return;
+  }
+
+  job.running = true;
+  job.lastRunAt = new Date();
+  job.runs += 1;
+  // Work out the next run first so a successful refresh knows how long it stays fresh
+  scheduleNextRun(job);
+
+  const startedAt = Date.now();
+  try {
+    job.lastBarCount = job.type === 'daily' ? await refreshDaily(job) : await refreshIntraday(job);
+    job.lastSuccessAt = new Date();
+    job.lastError = null;
+    job.consecutiveFailures = 0;
+    logger.info(`Ingestion job ${job.name} stored ${job.lastBarCount} bars`);
+  } catch (error) {
+    job.failures += 1;
+    job.consecutiveFailures += 1;
+    job.lastError = error.message;
+    // Stale data must not outlive its TTL when a refresh fails
+    releaseFreshness(job);
+    logger.error(`Ingestion job ${job.name} failed: ${error.message}`);
+  } finally {
+    job.lastDurationMs = Date.now() - startedAt;
+    job.running = false;
+  }
+};
+
+const buildJobs = () => {
+  const definitions = [];
+  for (const symbol of INGESTION_SYMBOLS) {
+    definitions.push({ type: 'daily', symbol, schedule: INGESTION_DAILY_SCHEDULE });
+    for (const interval of INGESTION_INTRADAY_INTERVALS) {
+      definitions.push({ type: 'intraday', symbol, interval, schedule: INGESTION_INTRADAY_SCHEDULE });
+    }
+  }
+
+  for (const definition of definitions) {
+    try {
+      const job = createJob(definition);
+      jobs.set(job.name, job);
+    } catch (error) {
+      logger.error(`Skipping ingestion job for ${definition.symbol}: ${error.message}`);
+    }
+  }
+};
+
+const startIngestionScheduler = () => {
+  if (started) {
+    return;
+  }
+  started = true;
+
+  buildJobs();
+  for (const job of jobs.values()) {
+    scheduleNextRun(job);
+  }
+
+  if (jobs.size > 0) {
+    logger.info(`Ingestion scheduler started with ${jobs.size} jobs`);
+  }
+};
+
+const stopIngestionScheduler = () => {
+  started = false;
+  for (const job of jobs.values()) {
+    clearTimeout(job.timer);
+    job.timer = null;
+  }
+};
+
+// Liveness of the scheduler: jobs whose timer should have fired by now, or
+// whose run has outlasted the longest a background call may queue, are stuck
+const getSchedulerStatus = (now = Date.now()) => {
+  const stuckJobs = [...jobs.values()]
+    .filter(job => job.running
+      ? now - job.lastRunAt.getTime() > SCHEDULER_STUCK_AFTER_MS
+      : Boolean(job.nextRunAt) && now - job.nextRunAt.getTime() > SCHEDULER_OVERDUE_GRACE_MS)
+    .map(job => job.name);
+
+  return { started, jobs: jobs.size, stuckJobs };
+};
+
+const listJobs = () => [...jobs.values()].map(job => ({
+  name: job.name,
+  type: job.type,
+  symbol: job.symbol,
+  interval: job.interval,
+  schedule: job.schedule,
+  timeZone: job.timeZone,
+  running: job.running,
+  lastRunAt: job.lastRunAt,
+  lastSuccessAt: job.lastSuccessAt,
+  lastDurationMs: job.lastDurationMs,
+  lastBarCount: job.lastBarCount,
+  lastError: job.lastError,
+  nextRunAt: job.nextRunAt,
+  runs: job.runs,
+  failures: job.failures,
+  consecutiveFailures: job.consecutiveFailures,
+  skips: job.skips,
+  lastSkippedAt: job.lastSkippedAt,
+  lastSkipReason: job.lastSkipReason
+}));
+
+export {
+  startIngestionScheduler,
+  stopIngestionScheduler,
+  runJob,
+  listJobs,
+  getSchedulerStatus
+};
@@ -0,0 +1,47 @@
+import IntradayBar from "../models/IntradayBarModel.js";
+import { EXCHANGE_TIME_ZONE } from "../constants/market.js";
+import { zonedTimeToDate } from "../utils/time.js";
+import { barIssues } from "../utils/barQuality.js";
+import { timeSeriesToBars } from "./StockSeriesService.js";
+
+// Writes to the per-bar intraday collection; reads live in StockSeriesService
+
+// Store the bars of a provider time series (Alpha Vantage layout) that are not
+// stored yet. Bars already in the collection are kept as they are, so refetching
+// an overlapping window only adds the new bars. Bars that fail validation are
+// skipped. Returns how many were inserted.
+const storeIntradayBars = async (symbol, interval, timeSeries, timeZone = EXCHANGE_TIME_ZONE) => {
+  const upperSymbol = symbol.toUpperCase();
+  const bars = timeSeriesToBars(timeSeries)
+    .filter(bar => barIssues(bar).length === 0);
+  if (!bars.length) {
+    return 0;
+  }
+
+  const meta = { symbol: upperSymbol, interval };
+  const docs = bars.map(bar => ({
+    timestamp: zonedTimeToDate(bar.timestamp, timeZone),
+    meta,
+    localTime: bar.timestamp,
+    open: bar.open,
+    high: bar.high,
+    low: bar.low,
+    close: bar.close,
+    volume: bar.volume
+  }));
+
+  const existing = await IntradayBar.find({
+    'meta.symbol': upperSymbol,
+    'meta.interval': interval,
+    timestamp: { $gte: docs[0].timestamp, $lte: docs[docs.length - 1].timestamp }
+  }, { timestamp: 1 }).lean();
+  const stored = new Set(existing.map(doc => doc.timestamp.getTime()));
+
+  const missing = docs.filter(doc => !stored.has(doc.timestamp.getTime()));
+  if (missing.length) {
+    await IntradayBar.insertMany(missing, { ordered: false });
+  }
+  return missing.length;
+};
+
+export { storeIntradayBars };
@@ -0,0 +1,70 @@
+import {
+  getSession,
+  getHoliday,
+  getMarketPhase,
+  nextTradingDay,
+  tradingDaysBetween,
+  holidaysBetween
+} from "../utils/marketCalendar.js";
+import { toZonedIso } from "../utils/time.js";
+import { EXCHANGE_TIME_ZONE, DEFAULT_EXCHANGE } from "../constants/market.js";
+
+// Market status and calendar responses. Every exchange covered shares the
+// NYSE calendar, so `exchange` only labels the response.
+
+const instant = (date, time) => toZonedIso(`${date} ${time}:00`, EXCHANGE_TIME_ZONE);
+
+const sessionWindow = (date, { open, close }) => ({ start: instant(date, open), end: instant(date, close) });
+
+// A trading day's sessions as ISO 8601 times carrying their UTC offsets
+const describeSession = (session) => ({
+  date: session.date,
+  earlyClose: session.earlyClose,
+  preMarket: sessionWindow(session.date, session.preMarket),
+  regular: sessionWindow(session.date, session.regular),
+  afterHours: sessionWindow(session.date, session.afterHours)
+});
+
+// Whether the market is open now, and when it next opens and closes
+const getMarketStatus = ({ exchange = DEFAULT_EXCHANGE, now = new Date() } = {}) => {
+  const { wallClock, date, phase, session } = getMarketPhase(now);
+  const time = wallClock.slice(11, 16);
+
+  // Today's regular session counts while it is still ahead
+  const openSession = session && time < session.regular.open ? session : getSession(nextTradingDay(date));
+  const closeSession = session && time < session.regular.close ? session : openSession;
+
+  return {
+    exchange,
+    timeZone: EXCHANGE_TIME_ZONE,
+    now: toZonedIso(wallClock, EXCHANGE_TIME_ZONE),
+    date,
+    phase,
+    isOpen: phase === 'open',
+    holiday: getHoliday(date),
+    earlyClose: session?.earlyClose || null,
+    session: session ? describeSession(session) : null,
+    nextOpen: instant(openSession.date, openSession.regular.open),
+    nextClose: instant(closeSession.date, closeSession.regular.close)
+  };
+};
+
+// Trading sessions, holidays and early closes from `from` through `to`
+const getMarketCalendar = ({ exchange = DEFAULT_EXCHANGE, from, to }) => {
+  const sessions = tradingDaysBetween(from, to).map(date => describeSession(getSession(date)));
+
+  return {
+    exchange,
+    timeZone: EXCHANGE_TIME_ZONE,
+    from,
+    to,
+    tradingDays: sessions.length,
+    holidays: holidaysBetween(from, to),
+    earlyCloses: sessions
+      .filter(session => session.earlyClose)
+      .map(session => ({ date: session.date, name: session.earlyClose, close: session.regular.end })),
+    sessions
+  };
+};
+
+export { getMarketStatus, getMarketCalendar };
@@ -0,0 +1,126 @@
+import AlphaVantageProvider from "./providers/AlphaVantageProvider.js";
+import FileProvider from "./providers/FileProvider.js";
+import SyntheticProvider from "./providers/SyntheticProvider.js";
+import { filterTimeSeries } from "./AlphaVantageService.js";
+import { screenSeries } from "./DataQualityService.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../config/logger.js";
+
+// Every provider implements getDailyData, getIntradayData, getQuote and
+// searchSymbols. getListing (a CSV symbol listing) is optional.
+const providers = new Map([
+  [AlphaVantageProvider.name, AlphaVantageProvider],
+  [FileProvider.name, FileProvider],
+  [SyntheticProvider.name, SyntheticProvider]
+]);
+
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+const listProviders = () => [...providers.keys()];
+
+// DATA_MODE=synthetic serves generated data only, whatever provider is configured
+const isSyntheticMode = () => (process.env.DATA_MODE || '').toLowerCase() === SyntheticProvider.name;
+
+const getDefaultProviderName = () =>
+  isSyntheticMode()
+    ? SyntheticProvider.name
+    : (process.env.MARKET_DATA_PROVIDER || AlphaVantageProvider.name).toLowerCase();
+
+const getProvider = (name = getDefaultProviderName()) => {
+  const provider = providers.get(name.toLowerCase());
+  if (!provider) {
+    throw new ApiError(400, `Unknown data source "${name}". Must be one of: ${listProviders().join(', ')}`);
+  }
+  return provider;
+};
+
+// Requested (or default) provider followed by the configured fallbacks.
+// An explicitly requested source is never failed over.
+const getProviderChain = (requestedName) => {
+  const primary = getProvider(requestedName || getDefaultProviderName());
+  if (requestedName || isSyntheticMode()) {
+    return [primary];
+  }
+
+  const fallbacks = (process.env.MARKET_DATA_FALLBACK || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name && name.toLowerCase() !== primary.name)
+    .map(name => getProvider(name));
+
+  return [primary, ...fallbacks];
+};
+
+// Call a provider method, failing over to the next provider in the chain on error.
+// Resolves to { source, data } so callers can report where the data came from.
+const fetchFromProviders = async (requestedName, method, ...args) => {
+  const chain = getProviderChain(requestedName);
+  let lastError;
+
+  for (const provider of chain) {
+    if (typeof provider[method] !== 'function') {
+      lastError = new Error(`Provider ${provider.name} does not support ${method}`);
+      continue;
+    }
+
+    try {
+      const data = await provider[method](...args);
+      return { source: provider.name, data };
+    } catch (error) {
+      lastError = error;
+      logger.warn(`Provider ${provider.name} failed for ${method}: ${error.message}`);
+    }
+  }
+
+  throw lastError;
+};
+
+// Series are screened as they arrive, so invalid bars never reach the cache,
+// MongoDB or a response
+const fetchDailyData = async (source, symbol, options) => {
+  const result = await fetchFromProviders(source, 'getDailyData', symbol, options);
+  return {
+    ...result,
+    data: await screenSeries(result.data, { symbol, dataType: 'daily', source: result.source })
+  };
+};
+
+const fetchIntradayData = async (source, symbol, interval, options) => {
+  const result = await fetchFromProviders(source, 'getIntradayData', symbol, interval, options);
+  return {
+    ...result,
+    data: await screenSeries(result.data, { symbol, dataType: 'intraday', interval, source: result.source })
+  };
+};
+
+const fetchHistoricalData = async (source, symbol, startDate, endDate, interval, options = {}) => {
+  const result = await fetchIntradayData(source, symbol, interval, { ...options, outputSize: 'full' });
+  result.data.timeSeries = filterTimeSeries(result.data.timeSeries, startDate, endDate);
+  return result;
+};
+
+const fetchQuote = (source, symbol, options) =>
+  fetchFromProviders(source, 'getQuote', symbol, options);
+
+const searchSymbols = (source, keywords, options) =>
+  fetchFromProviders(source, 'searchSymbols', keywords, options);
+
+const fetchListing = (source, options) =>
+  fetchFromProviders(source, 'getListing', options);
+
+export {
+  registerProvider,
+  listProviders,
+  getProvider,
+  getProviderChain,
+  getDefaultProviderName,
+  isSyntheticMode,
+  fetchDailyData,
+  fetchIntradayData,
+  fetchHistoricalData,
+  fetchQuote,
+  fetchListing,
+  searchSymbols
+};
@@ -0,0 +1,14 @@
+import { EventEmitter } from "events";
+
+// In-process notifications about stored market data. Emitted after bars have
+// been written to MongoDB so listeners can read them back.
+//
+//   marketEvents.on(BARS_STORED, ({ symbol, dataType, interval, timeSeries }) => { ... })
+//
+// Intraday events also carry the stored `timeSeries` (Alpha Vantage layout).
+export const BARS_STORED = 'bars:stored';
+
+export const marketEvents = new EventEmitter();
+
+// Listeners are independent subsystems (alerts, streaming, ...)
+marketEvents.setMaxListeners(50);
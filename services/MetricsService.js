@@ -0,0 +1,119 @@
+import client from "prom-client";
+import { getQuotaStatus } from "./QuotaGovernor.js";
+
+// Prometheus metrics, served as text from GET /metrics
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route pattern and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method and route pattern',
+  labelNames: ['method', 'route'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const upstreamRequests = new client.Counter({
+  name: 'upstream_requests_total',
+  help: 'Market data provider calls by provider, API function and outcome',
+  labelNames: ['provider', 'function', 'outcome'],
+  registers: [register]
+});
+
+const upstreamRequestDuration = new client.Histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Market data provider call latency, excluding time queued for quota',
+  labelNames: ['provider', 'function'],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 15],
+  registers: [register]
+});
+
+const cacheLookups = new client.Counter({
+  name: 'cache_lookups_total',
+  help: 'Series cache lookups by dataset, result and store',
+  labelNames: ['dataset', 'result', 'store'],
+  registers: [register]
+});
+
+const dbWriteFailures = new client.Counter({
+  name: 'mongodb_write_failures_total',
+  help: 'Failed MongoDB writes of market data by operation',
+  labelNames: ['operation'],
+  registers: [register]
+});
+
+// Quota gauges are read from the governor at scrape time
+new client.Gauge({
+  name: 'upstream_quota_remaining',
+  help: 'Upstream calls left in the current window',
+  labelNames: ['window'],
+  registers: [register],
+  collect() {
+    const { perMinute, perDay } = getQuotaStatus();
+    this.set({ window: 'minute' }, perMinute.remaining);
+    this.set({ window: 'day' }, perDay.remaining);
+  }
+});
+
+new client.Gauge({
+  name: 'upstream_queue_depth',
+  help: 'Upstream calls waiting for quota by priority',
+  labelNames: ['priority'],
+  registers: [register],
+  collect() {
+    const { queue } = getQuotaStatus();
+    for (const [priority, depth] of Object.entries(queue)) {
+      if (!['depth', 'estimatedWaitSeconds'].includes(priority)) {
+        this.set({ priority }, depth);
+      }
+    }
+  }
+});
+
+const observeHttpRequest = ({ method, route, statusCode, durationSeconds }) => {
+  httpRequests.inc({ method, route, status_code: statusCode });
+  httpRequestDuration.observe({ method, route }, durationSeconds);
+};
+
+// Start timing an upstream call; the returned function records its outcome
+const startUpstreamTimer = (provider, apiFunction) => {
+  const end = upstreamRequestDuration.startTimer({ provider, function: apiFunction });
+  return (outcome) => {
+    end();
+    upstreamRequests.inc({ provider, function: apiFunction, outcome });
+  };
+};
+
+// Calls refused by the quota governor never reach the provider
+const recordUpstreamRejection = (provider, apiFunction) => {
+  upstreamRequests.inc({ provider, function: apiFunction, outcome: 'quota_rejected' });
+};
+
+const recordCacheLookup = (dataset, result) => {
+  cacheLookups.inc({ dataset, result: result ? 'hit' : 'miss', store: result?.cacheStore || 'none' });
+};
+
+const recordDbWriteFailure = (operation) => {
+  dbWriteFailures.inc({ operation });
+};
+
+const getMetrics = () => register.metrics();
+
+const METRICS_CONTENT_TYPE = register.contentType;
+
+export {
+  observeHttpRequest,
+  startUpstreamTimer,
+  recordUpstreamRejection,
+  recordCacheLookup,
+  recordDbWriteFailure,
+  getMetrics,
+  METRICS_CONTENT_TYPE
+};
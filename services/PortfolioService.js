@@ -0,0 +1,272 @@
+import PortfolioTransaction from "../models/PortfolioTransactionModel.js";
+import { loadDailyBars } from "./StockSeriesService.js";
+import ApiError from "../utils/ApiError.js";
+
+// Quantities below this are treated as zero to absorb floating point noise
+const EPSILON = 1e-9;
+
+// Dividends are paid up to this many days after their ex-date
+const DIVIDEND_PAY_WINDOW_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const newHolding = () => ({
+  lots: [], // { quantity, cost } where cost is the total cost of the lot
+  realizedPnl: 0,
+  dividendIncome: 0,
+  fees: 0,
+  lastPrice: null,
+  lastPriceDate: null
+});
+
+const heldQuantity = (holding) => holding.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+const heldCost = (holding) => holding.lots.reduce((sum, lot) => sum + lot.cost, 0);
+
+const applyBuy = (holding, { quantity, price, fees = 0 }, method) => {
+  const cost = quantity * price + fees;
+  holding.fees += fees;
+
+  if (method === 'average' && holding.lots.length > 0) {
+    holding.lots[0].quantity += quantity;
+    holding.lots[0].cost += cost;
+  } else {
+    holding.lots.push({ quantity, cost });
+  }
+  return -cost;
+};
+
+// Sells consume lots oldest first. With the average method there is only ever
+// one lot, so this also yields average-cost accounting.
+const applySell = (holding, transaction) => {
+  const { quantity, price, fees = 0, symbol, date } = transaction;
+  const available = heldQuantity(holding);
+
+  if (quantity > available + EPSILON) {
+    throw new ApiError(400, `Sell of ${quantity} ${symbol} on ${toDateKey(date)} exceeds the ${round(available)} shares held`);
+  }
+
+  let remaining = quantity;
+  let costRemoved = 0;
+  while (remaining > EPSILON && holding.lots.length > 0) {
+    const lot = holding.lots[0];
+    const taken = Math.min(lot.quantity, remaining);
+    const lotCost = lot.cost * (taken / lot.quantity);
+
+    costRemoved += lotCost;
+    lot.quantity -= taken;
+    lot.cost -= lotCost;
+    remaining -= taken;
+
+    if (lot.quantity <= EPSILON) {
+      holding.lots.shift();
+    }
+  }
+
+  const proceeds = quantity * price - fees;
+  holding.realizedPnl += proceeds - costRemoved;
+  holding.fees += fees;
+  return proceeds;
+};
+
+// A split multiplies the share count and leaves the cost untouched
+const applySplit = (holding, coefficient) => {
+  for (const lot of holding.lots) {
+    lot.quantity *= coefficient;
+  }
+};
+
+const describePosition = (symbol, holding) => {
+  const quantity = heldQuantity(holding);
+  const costBasis = heldCost(holding);
+  const marketValue = holding.lastPrice === null ? null : quantity * holding.lastPrice;
+  const unrealizedPnl = marketValue === null ? null : marketValue - costBasis;
+
+  return {
+    symbol,
+    quantity: round(quantity),
+    costBasis: round(costBasis),
+    averageCost: quantity > EPSILON ? round(costBasis / quantity) : null,
+    lastPrice: holding.lastPrice,
+    lastPriceDate: holding.lastPriceDate,
+    marketValue: marketValue === null ? null : round(marketValue),
+    unrealizedPnl: unrealizedPnl === null ? null : round(unrealizedPnl),
+    realizedPnl: round(holding.realizedPnl),
+    dividendIncome: round(holding.dividendIncome),
+    fees: round(holding.fees),
+    totalPnl: round((unrealizedPnl || 0) + holding.realizedPnl + holding.dividendIncome)
+  };
+};
+
+const summarize = (positions, cash) => {
+  const sum = (field) => round(positions.reduce((total, position) => total + (position[field] || 0), 0));
+  return {
+    marketValue: sum('marketValue'),
+    costBasis: sum('costBasis'),
+    unrealizedPnl: sum('unrealizedPnl'),
+    realizedPnl: sum('realizedPnl'),
+    dividendIncome: sum('dividendIncome'),
+    fees: sum('fees'),
+    totalPnl: sum('totalPnl'),
+    // Net cash flow from trades and income (negative means net invested)
+    cash: round(cash)
+  };
+};
+
+// Ex-dates ("SYMBOL|YYYY-MM-DD") whose dividend was recorded by hand. A manual
+// dividend is dated when it was paid, so it stands in for the latest dividend
+// of its symbol that went ex in the DIVIDEND_PAY_WINDOW_DAYS before (and not
+// already claimed by another manual dividend).
+const manuallyRecordedDividends = (transactions, barsBySymbol) => {
+  const claimed = new Set();
+  const manual = transactions
+    .filter(transaction => transaction.type === 'dividend')
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  for (const transaction of manual) {
+    const payDate = toDateKey(transaction.date);
+    const earliest = toDateKey(new Date(transaction.date).getTime() - DIVIDEND_PAY_WINDOW_DAYS * DAY_MS);
+    const exDate = (barsBySymbol[transaction.symbol] || [])
+      .filter(bar => bar.dividendAmount > 0 && bar.timestamp >= earliest && bar.timestamp <= payDate)
+      .map(bar => bar.timestamp)
+      .filter(date => !claimed.has(`${transaction.symbol}|${date}`))
+      .sort()
+      .pop();
+    if (exDate) {
+      claimed.add(`${transaction.symbol}|${exDate}`);
+    }
+  }
+  return claimed;
+};
+
+// Replay transactions day by day against the stored daily bars.
+//
+// On each day, corporate actions from the bars are applied first: splits adjust
+// share counts, and a dividendAmount on its ex-date pays out on the shares held
+// at the previous close (unless that dividend was recorded by hand). Then the
+// day's transactions apply in order, and holdings are marked to that day's close.
+const replayPortfolio = (transactions, barsBySymbol, { method = 'fifo', from, to, includeCurve = false } = {}) => {
+  const sorted = [...transactions].sort((a, b) =>
+    new Date(a.date) - new Date(b.date) || new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+
+  const transactionsByDate = new Map();
+  for (const transaction of sorted) {
+    const dateKey = toDateKey(transaction.date);
+    if (!transactionsByDate.has(dateKey)) {
+      transactionsByDate.set(dateKey, []);
+    }
+    transactionsByDate.get(dateKey).push(transaction);
+  }
+  const manualDividends = manuallyRecordedDividends(sorted, barsBySymbol);
+
+  const barsByDate = {};
+  for (const [symbol, bars] of Object.entries(barsBySymbol)) {
+    barsByDate[symbol] = new Map(bars.map(bar => [bar.timestamp, bar]));
+  }
+
+  const firstDate = sorted.length ? toDateKey(sorted[0].date) : null;
+  const lastDate = to ? toDateKey(to) : toDateKey(new Date());
+  const dates = [...new Set([
+    ...transactionsByDate.keys(),
+    ...Object.values(barsBySymbol).flatMap(bars => bars.map(bar => bar.timestamp))
+  ])]
+    .filter(date => firstDate && date >= firstDate && date <= lastDate)
+    .sort();
+
+  const holdings = {};
+  const curve = [];
+  let cash = 0;
+
+  for (const date of dates) {
+    for (const [symbol, holding] of Object.entries(holdings)) {
+      const bar = barsByDate[symbol]?.get(date);
+      const quantity = heldQuantity(holding);
+      if (!bar || quantity <= EPSILON) {
+        continue;
+      }
+      if (bar.splitCoefficient && bar.splitCoefficient !== 1) {
+        applySplit(holding, bar.splitCoefficient);
+      }
+      if (bar.dividendAmount > 0 && !manualDividends.has(`${symbol}|${date}`)) {
+        const income = heldQuantity(holding) * bar.dividendAmount;
+        holding.dividendIncome += income;
+        cash += income;
+      }
+    }
+
+    for (const transaction of transactionsByDate.get(date) || []) {
+      const holding = holdings[transaction.symbol] || (holdings[transaction.symbol] = newHolding());
+
+      if (transaction.type === 'buy') {
+        cash += applyBuy(holding, transaction, method);
+      } else if (transaction.type === 'sell') {
+        cash += applySell(holding, transaction);
+      } else if (transaction.type === 'dividend') {
+        holding.dividendIncome += transaction.amount;
+        cash += transaction.amount;
+      }
+
+      // Until a bar is available, the last trade price is the best mark
+      if (transaction.price && holding.lastPriceDate === null) {
+        holding.lastPrice = transaction.price;
+      }
+    }
+
+    for (const [symbol, holding] of Object.entries(holdings)) {
+      const bar = barsByDate[symbol]?.get(date);
+      if (bar) {
+        holding.lastPrice = bar.close;
+        holding.lastPriceDate = date;
+      }
+    }
+
+    if (includeCurve && (!from || date >= toDateKey(from))) {
+      const positions = Object.entries(holdings).map(([symbol, holding]) => describePosition(symbol, holding));
+      const { marketValue, costBasis, unrealizedPnl, realizedPnl, dividendIncome, totalPnl } = summarize(positions, cash);
+      curve.push({ date, marketValue, costBasis, unrealizedPnl, realizedPnl, dividendIncome, totalPnl, cash: round(cash) });
+    }
+  }
+
+  const positions = Object.entries(holdings)
+    .map(([symbol, holding]) => describePosition(symbol, holding))
+    .sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+  return {
+    positions,
+    totals: summarize(positions, cash),
+    ...(includeCurve && { curve })
+  };
+};
+
+// Load a portfolio's transactions and the daily bars needed to value them.
+// `extraTransaction` adds an unsaved transaction and `excludeId` leaves one
+// out, to check a change before it is made.
+const loadPortfolioLedger = async (portfolioId, { extraTransaction = null, excludeId = null } = {}) => {
+  const filter = { portfolio: portfolioId, ...(excludeId && { _id: { $ne: excludeId } }) };
+  const transactions = await PortfolioTransaction.find(filter).sort({ date: 1, createdAt: 1 }).lean();
+  if (extraTransaction) {
+    transactions.push(extraTransaction);
+  }
+
+  const firstDates = {};
+  for (const transaction of transactions) {
+    const dateKey = toDateKey(transaction.date);
+    if (!firstDates[transaction.symbol] || dateKey < firstDates[transaction.symbol]) {
+      firstDates[transaction.symbol] = dateKey;
+    }
+  }
+
+  const barsBySymbol = {};
+  await Promise.all(Object.entries(firstDates).map(async ([symbol, startDate]) => {
+    barsBySymbol[symbol] = await loadDailyBars(symbol, { startDate });
+  }));
+
+  return { transactions, barsBySymbol };
+};
+
+export {
+  replayPortfolio,
+  loadPortfolioLedger
+};
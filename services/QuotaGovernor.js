@@ -0,0 +1,157 @@
+import ApiError from "../utils/ApiError.js";
+import {
+  UPSTREAM_CALLS_PER_MINUTE,
+  UPSTREAM_CALLS_PER_DAY,
+  UPSTREAM_MAX_WAIT_MS,
+  BACKGROUND_MAX_WAIT_MS,
+  PRIORITY
+} from "../constants/quota.js";
+import { getRequestContext } from "../utils/requestContext.js";
+import logger from "../config/logger.js";
+
+const MINUTE_MS = 60 * 1000;
+
+// Timestamps of calls made in the last minute, oldest first
+let recentCalls = [];
+let dailyCount = 0;
+let dailyWindowStart = new Date().setUTCHours(0, 0, 0, 0);
+
+// Pending calls, kept ordered by priority then arrival
+const queue = [];
+let timer = null;
+
+const startOfNextUtcDay = () => dailyWindowStart + 24 * 60 * MINUTE_MS;
+
+const pruneWindows = (now = Date.now()) => {
+  recentCalls = recentCalls.filter(timestamp => now - timestamp < MINUTE_MS);
+
+  if (now >= startOfNextUtcDay()) {
+    dailyWindowStart = new Date(now).setUTCHours(0, 0, 0, 0);
+    dailyCount = 0;
+  }
+};
+
+const remainingPerMinute = () => Math.max(0, UPSTREAM_CALLS_PER_MINUTE - recentCalls.length);
+const remainingPerDay = () => Math.max(0, UPSTREAM_CALLS_PER_DAY - dailyCount);
+
+// Estimated milliseconds until a call with `callsAhead` queued calls before it can run
+const estimateWait = (callsAhead, now = Date.now()) => {
+  pruneWindows(now);
+
+  if (callsAhead >= remainingPerDay()) {
+    return startOfNextUtcDay() - now;
+  }
+
+  const available = remainingPerMinute();
+  if (callsAhead < available) {
+    return 0;
+  }
+
+  // Calls beyond the free slots run in later one-minute windows
+  const overflow = callsAhead - available;
+  const slotIndex = overflow % UPSTREAM_CALLS_PER_MINUTE;
+  const windows = Math.floor(overflow / UPSTREAM_CALLS_PER_MINUTE);
+  const slotFreesAt = (recentCalls[slotIndex] ?? now) + MINUTE_MS;
+  return Math.max(0, slotFreesAt - now) + windows * MINUTE_MS;
+};
+
+const processQueue = () => {
+  timer = null;
+  const now = Date.now();
+  pruneWindows(now);
+
+  while (queue.length > 0 && remainingPerMinute() > 0 && remainingPerDay() > 0) {
+    const { task, resolve, reject, context } = queue.shift();
+    recentCalls.push(Date.now());
+    dailyCount += 1;
+    // Charge the call to the request that asked for it (see usage metering)
+    if (context) {
+      context.upstreamCalls += 1;
+    }
+    Promise.resolve().then(task).then(resolve, reject);
+  }
+
+  if (queue.length > 0) {
+    const wait = remainingPerDay() === 0
+      ? startOfNextUtcDay() - now
+      : recentCalls[0] + MINUTE_MS - now;
+    timer = setTimeout(processQueue, Math.max(wait, 0));
+    timer.unref?.();
+  }
+};
+
+// Run `task` once the upstream budget allows it. Interactive calls jump ahead of
+// background ones; calls that would wait longer than maxWaitMs are rejected
+// with a 429 ApiError carrying retryAfter (seconds).
+const scheduleUpstreamCall = (task, {
+  priority = 'interactive',
+  maxWaitMs = priority === 'background' ? BACKGROUND_MAX_WAIT_MS : UPSTREAM_MAX_WAIT_MS
+} = {}) => {
+  const rank = PRIORITY[priority] ?? PRIORITY.interactive;
+  const position = queue.filter(entry => entry.rank <= rank).length;
+  const wait = estimateWait(position);
+
+  if (wait > maxWaitMs) {
+    const retryAfter = Math.ceil(wait / 1000);
+    logger.warn(`Upstream quota exhausted, rejecting ${priority} call (retry after ${retryAfter}s)`);
+    const error = new ApiError(429, 'Upstream API quota exceeded. Please try again later.');
+    error.retryAfter = retryAfter;
+    return Promise.reject(error);
+  }
+
+  return new Promise((resolve, reject) => {
+    queue.splice(position, 0, { task, rank, resolve, reject, context: getRequestContext() });
+    if (wait > 0) {
+      logger.debug(`Queued ${priority} upstream call, estimated wait ${wait}ms (queue depth ${queue.length})`);
+    }
+    if (!timer) {
+      processQueue();
+    }
+  });
+};
+
+// Called when the upstream reports throttling despite our accounting, e.g. when
+// the key is shared with another client. Treats the current minute as spent.
+const reportThrottled = () => {
+  const now = Date.now();
+  pruneWindows(now);
+  while (recentCalls.length < UPSTREAM_CALLS_PER_MINUTE) {
+    recentCalls.push(now);
+  }
+  recentCalls.sort((a, b) => a - b);
+  logger.warn('Upstream reported throttling, pausing calls for the current minute');
+};
+
+const getQuotaStatus = () => {
+  const now = Date.now();
+  pruneWindows(now);
+
+  const byPriority = Object.fromEntries(
+    Object.entries(PRIORITY).map(([name, rank]) => [name, queue.filter(entry => entry.rank === rank).length])
+  );
+
+  return {
+    perMinute: {
+      limit: UPSTREAM_CALLS_PER_MINUTE,
+      remaining: remainingPerMinute(),
+      resetsInSeconds: recentCalls.length ? Math.ceil((recentCalls[0] + MINUTE_MS - now) / 1000) : 0
+    },
+    perDay: {
+      limit: UPSTREAM_CALLS_PER_DAY,
+      remaining: remainingPerDay(),
+      resetsInSeconds: Math.ceil((startOfNextUtcDay() - now) / 1000)
+    },
+    queue: {
+      depth: queue.length,
+      ...byPriority,
+      estimatedWaitSeconds: Math.ceil(estimateWait(queue.length, now) / 1000)
+    },
+    maxWaitSeconds: Math.ceil(UPSTREAM_MAX_WAIT_MS / 1000)
+  };
+};
+
+export {
+  scheduleUpstreamCall,
+  reportThrottled,
+  getQuotaStatus
+};
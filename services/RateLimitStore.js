@@ -0,0 +1,135 @@
+import mongoose from "mongoose";
+import RateLimitBucket from "../models/RateLimitBucketModel.js";
+import logger from "../config/logger.js";
+
+// Sweep idle buckets from the memory store every this many operations
+const SWEEP_INTERVAL = 1000;
+
+const secondsUntil = (tokensNeeded, refillPerSecond) =>
+  tokensNeeded <= 0 ? 0 : Math.ceil(tokensNeeded / refillPerSecond);
+
+// Shape the result of a consume() call the same way for every store
+const toResult = (tokens, allowed, { capacity, refillPerSecond }, cost) => ({
+  allowed,
+  limit: capacity,
+  remaining: Math.max(0, Math.floor(tokens)),
+  resetSeconds: secondsUntil(capacity - tokens, refillPerSecond),
+  retryAfter: allowed ? 0 : secondsUntil(cost - tokens, refillPerSecond)
+});
+
+// Token buckets kept in process memory. Suitable for a single instance.
+class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.buckets = new Map();
+    this.operations = 0;
+  }
+
+  async consume(key, tier, cost = 1, now = Date.now()) {
+    const { capacity, refillPerSecond } = tier;
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+    const elapsedSeconds = Math.max(0, now - bucket.updatedAt) / 1000;
+    const tokens = Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond);
+    const allowed = tokens >= cost;
+    const remaining = allowed ? tokens - cost : tokens;
+
+    this.buckets.set(key, {
+      tokens: remaining,
+      updatedAt: now,
+      fullAt: now + secondsUntil(capacity - remaining, refillPerSecond) * 1000
+    });
+
+    if (++this.operations % SWEEP_INTERVAL === 0) {
+      this.sweep(now);
+    }
+
+    return toResult(remaining, allowed, tier, cost);
+  }
+
+  // Full buckets carry no state worth keeping
+  sweep(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.fullAt <= now) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+// Token buckets shared between instances through MongoDB. The refill and the
+// deduction happen in one pipeline update so concurrent requests stay atomic.
+class MongoRateLimitStore {
+  constructor(fallbackStore = new MemoryRateLimitStore()) {
+    this.name = 'mongodb';
+    this.fallbackStore = fallbackStore;
+  }
+
+  async consume(key, tier, cost = 1, now = Date.now()) {
+    if (mongoose.connection.readyState !== 1) {
+      return this.fallbackStore.consume(key, tier, cost, now);
+    }
+
+    const { capacity, refillPerSecond } = tier;
+    const nowDate = new Date(now);
+
+    try {
+      const bucket = await RateLimitBucket.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              tokens: {
+                $min: [
+                  capacity,
+                  {
+                    $add: [
+                      { $ifNull: ['$tokens', capacity] },
+                      {
+                        $multiply: [
+                          { $divide: [{ $max: [0, { $subtract: [nowDate, { $ifNull: ['$updatedAt', nowDate] }] }] }, 1000] },
+                          refillPerSecond
+                        ]
+                      }
+                    ]
+                  }
+                ]
+              },
+              updatedAt: nowDate
+            }
+          },
+          { $set: { allowed: { $gte: ['$tokens', cost] } } },
+          {
+            $set: {
+              tokens: { $cond: ['$allowed', { $subtract: ['$tokens', cost] }, '$tokens'] },
+              expiresAt: new Date(now + Math.ceil(capacity / refillPerSecond) * 1000)
+            }
+          }
+        ],
+        { upsert: true, new: true, lean: true, strict: false }
+      );
+
+      return toResult(bucket.tokens, bucket.allowed, tier, cost);
+    } catch (error) {
+      logger.warn(`Rate limit store unavailable, using memory buckets: ${error.message}`);
+      return this.fallbackStore.consume(key, tier, cost, now);
+    }
+  }
+}
+
+const createRateLimitStore = (type = 'memory') => {
+  switch (type) {
+    case 'mongodb':
+      return new MongoRateLimitStore();
+    case 'memory':
+      return new MemoryRateLimitStore();
+    default:
+      throw new Error(`Unknown rate limit store "${type}". Must be one of: memory, mongodb`);
+  }
+};
+
+export {
+  MemoryRateLimitStore,
+  MongoRateLimitStore,
+  createRateLimitStore
+};
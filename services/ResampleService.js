@@ -0,0 +1,112 @@
+import { fetchDailyData, isSyntheticMode } from "./MarketDataService.js";
+import { isMongoConnected, storeDailyData } from "./CacheService.js";
+import {
+  loadDailyBars,
+  timeSeriesToBars,
+  barsToDailyTimeSeries,
+  barsToIntradayTimeSeries
+} from "./StockSeriesService.js";
+import {
+  weekKey,
+  monthKey,
+  toWeeklyBars,
+  toMonthlyBars,
+  toIntradayBars,
+  parseIntervalMinutes
+} from "../utils/resample.js";
+import { adjustBars } from "../utils/adjustment.js";
+import {
+  getSession,
+  nextTradingDay,
+  exchangeTime,
+  isRegularSessionClosed
+} from "../utils/marketCalendar.js";
+import logger from "../config/logger.js";
+
+const PERIODS = {
+  weekly: { label: 'Weekly', resample: toWeeklyBars, periodKey: weekKey },
+  monthly: { label: 'Monthly', resample: toMonthlyBars, periodKey: monthKey }
+};
+
+// A weekly or monthly candle (labelled by its last bar) is complete once the
+// last trading day of its week or month has closed
+const isPeriodCandleComplete = (candle, periodKey) =>
+  periodKey(nextTradingDay(candle.timestamp)) !== periodKey(candle.timestamp) &&
+  isRegularSessionClosed(candle.timestamp);
+
+// An intraday candle is complete once its bucket has ended or the day's
+// trading (extended hours included) has, e.g. a 4h candle from 16:00 is
+// complete at 17:00 on an early-close day
+const isIntradayCandleComplete = (candle, minutes) => {
+  const bucketEnd = new Date(Date.parse(`${candle.timestamp.replace(' ', 'T')}Z`) + minutes * 60 * 1000)
+    .toISOString()
+    .slice(0, 19)
+    .replace('T', ' ');
+  const session = getSession(candle.timestamp);
+  const tradingEnds = `${candle.timestamp.slice(0, 10)} ${session ? session.afterHours.close : '00:00'}:00`;
+  return exchangeTime() >= (bucketEnd < tradingEnds ? bucketEnd : tradingEnds);
+};
+
+// Daily bars for a symbol, preferring what is already stored. Falls back to a
+// single full-history upstream fetch (which is then stored) when nothing is.
+const getDailyBars = async (symbol, source) => {
+  if (!source && !isSyntheticMode() && isMongoConnected()) {
+    const storedBars = await loadDailyBars(symbol);
+    if (storedBars.length > 0) {
+      return { bars: storedBars, source: 'database' };
+    }
+  }
+
+  logger.info(`No stored daily data for ${symbol}, fetching full history`);
+  const { data, source: dataSource } = await fetchDailyData(source, symbol, { outputSize: 'full' });
+  await storeDailyData(symbol, 'full', data);
+  return { bars: timeSeriesToBars(data.timeSeries), source: dataSource };
+};
+
+// Weekly or monthly candles built from daily bars, in the daily response layout.
+// Bars are adjusted before aggregation so candles never straddle a split.
+const getResampledDailyData = async (symbol, period, { source, adjusted = 'none' } = {}) => {
+  const { label, resample, periodKey } = PERIODS[period];
+  const { bars, source: dataSource } = await getDailyBars(symbol, source);
+  const candles = resample(adjustBars(bars, adjusted));
+  const lastCandle = candles[candles.length - 1];
+
+  return {
+    source: dataSource,
+    data: {
+      metaData: {
+        information: `${label} Prices (open, high, low, close) and Volumes`,
+        symbol: symbol.toUpperCase(),
+        lastRefreshed: lastCandle ? lastCandle.timestamp : null,
+        timeZone: 'US/Eastern',
+        dataType: period,
+        ...(lastCandle && { lastCandleComplete: isPeriodCandleComplete(lastCandle, periodKey) }),
+        ...(adjusted !== 'none' && { adjusted }),
+        ...(dataSource === 'synthetic' && { synthetic: true })
+      },
+      timeSeries: barsToDailyTimeSeries(candles)
+    }
+  };
+};
+
+// Resample an intraday response (transformData layout) to a coarser interval
+const resampleIntradayData = (data, resample) => {
+  const minutes = parseIntervalMinutes(resample);
+  const candles = toIntradayBars(timeSeriesToBars(data.timeSeries), minutes);
+  const lastCandle = candles[candles.length - 1];
+
+  return {
+    metaData: {
+      ...data.metaData,
+      information: `Intraday (${resample}) open, high, low, close prices and volume, resampled from ${data.metaData.interval}`,
+      interval: resample,
+      ...(lastCandle && { lastCandleComplete: isIntradayCandleComplete(lastCandle, minutes) })
+    },
+    timeSeries: barsToIntradayTimeSeries(candles)
+  };
+};
+
+export {
+  getResampledDailyData,
+  resampleIntradayData
+};
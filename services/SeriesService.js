@@ -0,0 +1,147 @@
+import {
+  fetchDailyData,
+  fetchIntradayData,
+  fetchHistoricalData,
+  isSyntheticMode
+} from "./MarketDataService.js";
+import {
+  isMongoConnected,
+  isSyntheticData,
+  isStoredIntradayDataFresh,
+  getCachedDailyData,
+  getCachedIntradayData,
+  storeDailyData,
+  storeIntradayData
+} from "./CacheService.js";
+import { storeIntradayBars } from "./IntradayBarService.js";
+import {
+  loadIntradayBars,
+  getStoredIntradayExtent,
+  getStoredIntradaySessions,
+  barsToIntradayTimeSeries
+} from "./StockSeriesService.js";
+import { tradingDaysBetween, isRegularSessionClosed, exchangeTime } from "../utils/marketCalendar.js";
+import logger from "../config/logger.js";
+
+// Read-through access to a daily or intraday series: fresh cached data when
+// there is some, otherwise a provider fetch that is stored for next time.
+// An explicit `source` (or synthetic mode) always goes to the provider.
+const getSeries = async (symbol, { type = 'daily', interval = '5min', outputSize = 'compact', source } = {}) => {
+  if (!source && !isSyntheticMode()) {
+    const cached = type === 'daily'
+      ? await getCachedDailyData(symbol, outputSize)
+      : await getCachedIntradayData(symbol, interval);
+
+    if (cached) {
+      return {
+        source: 'cache',
+        fromCache: true,
+        cacheStore: cached.cacheStore,
+        cacheAge: cached.cacheAge,
+        data: cached.data
+      };
+    }
+  }
+
+  if (type === 'daily') {
+    const { data, source: dataSource } = await fetchDailyData(source, symbol, { outputSize });
+    await storeDailyData(symbol, outputSize, data);
+    return { source: dataSource, fromCache: false, data };
+  }
+
+  const { data, source: dataSource } = await fetchIntradayData(source, symbol, interval);
+  await storeIntradayData(symbol, interval, data);
+  return { source: dataSource, fromCache: false, data };
+};
+
+// "2024-01-03T10:00" -> "2024-01-03 10:00", comparable with stored bar keys
+const toWallClock = (value) => String(value).trim().replace('T', ' ');
+
+// Every trading session in the range whose regular hours are over has stored
+// bars, so months that were never backfilled count as gaps. Days the range
+// only partly covers (bounds with a time of day) are left to the extent checks.
+const storedSessionsComplete = async (symbol, interval, { startDate, endDate }, extent) => {
+  const today = exchangeTime().slice(0, 10);
+  const start = startDate ? toWallClock(startDate) : extent.first.slice(0, 10);
+  const end = endDate ? toWallClock(endDate) : today;
+  const expected = tradingDaysBetween(start, end < today ? end : today)
+    .filter(date => isRegularSessionClosed(date))
+    .filter(date => !(start.length > 10 && date === start.slice(0, 10)) && !(end.length > 10 && date === end.slice(0, 10)));
+  if (expected.length === 0) {
+    return true;
+  }
+
+  const stored = await getStoredIntradaySessions(symbol, interval, { startDate, endDate });
+  return expected.every(date => stored.has(date));
+};
+
+// Stored bars cover a range when the series reaches back to its start, has
+// bars for every closed trading session inside it, and either continues past
+// its end or was refreshed recently enough to count as current
+const storedBarsCoverRange = async (symbol, interval, { startDate, endDate }) => {
+  const extent = await getStoredIntradayExtent(symbol, interval);
+  if (!extent) {
+    return false;
+  }
+
+  const start = startDate && toWallClock(startDate);
+  if (start && extent.first.slice(0, start.length) > start) {
+    return false;
+  }
+
+  if (!await storedSessionsComplete(symbol, interval, { startDate, endDate }, extent)) {
+    return false;
+  }
+
+  const end = endDate && toWallClock(endDate);
+  if (end && extent.last.slice(0, end.length) > end) {
+    return true;
+  }
+  return isStoredIntradayDataFresh(symbol, interval);
+};
+
+const storedRangeResponse = async (symbol, interval, range) => {
+  const bars = await loadIntradayBars(symbol, interval, range);
+  return {
+    metaData: {
+      information: `Intraday (${interval}) open, high, low, close prices and volume`,
+      symbol: symbol.toUpperCase(),
+      lastRefreshed: bars.length ? bars[bars.length - 1].timestamp : '',
+      interval,
+      outputSize: 'Full size',
+      timeZone: 'US/Eastern',
+      dataType: 'intraday'
+    },
+    timeSeries: barsToIntradayTimeSeries(bars)
+  };
+};
+
+// Intraday bars between two dates, answered from stored bars when they cover
+// the range. Otherwise the provider's full window is fetched and stored, and
+// the range is read back so older (e.g. backfilled) bars are included too.
+// An explicit `source` always goes to that provider and returns its response.
+const getIntradayRange = async (symbol, interval = '5min', { startDate, endDate, source } = {}) => {
+  const range = { startDate, endDate };
+
+  if (!source && !isSyntheticMode() && isMongoConnected() && await storedBarsCoverRange(symbol, interval, range)) {
+    return { source: 'database', fromCache: true, data: await storedRangeResponse(symbol, interval, range) };
+  }
+
+  const { data, source: dataSource } = await fetchHistoricalData(source, symbol, startDate, endDate, interval);
+  if (!isMongoConnected() || !data?.timeSeries || isSyntheticData(data)) {
+    return { source: dataSource, fromCache: false, data };
+  }
+
+  try {
+    await storeIntradayBars(symbol, interval, data.timeSeries, data.metaData?.timeZone);
+  } catch (error) {
+    logger.error(`Error saving historical bars for ${symbol.toUpperCase()} to MongoDB: ${error.message}`);
+    return { source: dataSource, fromCache: false, data };
+  }
+
+  return source
+    ? { source: dataSource, fromCache: false, data }
+    : { source: dataSource, fromCache: false, data: await storedRangeResponse(symbol, interval, range) };
+};
+
+export { getSeries, getIntradayRange, storedBarsCoverRange };
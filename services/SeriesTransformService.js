@@ -0,0 +1,66 @@
+import { resampleIntradayData } from "./ResampleService.js";
+import {
+  timeSeriesToBars,
+  barsToDailyTimeSeries
+} from "./StockSeriesService.js";
+import { adjustBars } from "../utils/adjustment.js";
+import { canonicalTimeZone, convertWallClock } from "../utils/time.js";
+import { EXCHANGE_TIME_ZONE } from "../constants/market.js";
+
+// Back-adjust a daily-layout response (daily, weekly or monthly)
+const adjustDailyData = (data, mode) => {
+  if (!mode || mode === 'none') {
+    return data;
+  }
+
+  return {
+    metaData: { ...data.metaData, adjusted: mode },
+    timeSeries: barsToDailyTimeSeries(adjustBars(timeSeriesToBars(data.timeSeries), mode))
+  };
+};
+
+// Re-key an intraday response from exchange time to `timeZone`. Daily bars
+// are keyed by session date, which is the same wherever the caller is, so
+// only their metadata names the zone.
+const renderInTimeZone = (type, data, timeZone) => {
+  const metaData = { ...data.metaData, timeZone };
+  if (type !== 'intraday') {
+    return { ...data, metaData };
+  }
+
+  const sourceTimeZone = data.metaData?.timeZone || EXCHANGE_TIME_ZONE;
+  const convert = (timestamp) => convertWallClock(timestamp, sourceTimeZone, timeZone);
+
+  const timeSeries = {};
+  for (const [timestamp, values] of Object.entries(data.timeSeries)) {
+    timeSeries[convert(timestamp)] = values;
+  }
+  if (metaData.lastRefreshed && metaData.lastRefreshed.length > 10) {
+    metaData.lastRefreshed = convert(metaData.lastRefreshed);
+  }
+  return { ...data, metaData, timeSeries };
+};
+
+// Apply the per-request series options (?resample=, ?adjusted=, ?tz=) to a
+// response payload, whether it came from the cache or straight from a
+// provider. Resampling runs first, so candles follow exchange hours.
+const transformSeriesForRequest = (type, data, query = {}) => {
+  if (!data || !data.timeSeries) {
+    return data;
+  }
+
+  let payload = data;
+  if (type === 'intraday' && query.resample) {
+    payload = resampleIntradayData(payload, query.resample);
+  }
+  if (type === 'daily') {
+    payload = adjustDailyData(payload, query.adjusted);
+  }
+
+  return query.tz ? renderInTimeZone(type, payload, canonicalTimeZone(String(query.tz))) : payload;
+};
+
+export {
+  adjustDailyData,
+  transformSeriesForRequest
+};
@@ -0,0 +1,222 @@
+import mongoose from "mongoose";
+import DailyStockData from "../models/DailyStockDataModel.js";
+import IntradayBar from "../models/IntradayBarModel.js";
+import ApiError from "../utils/ApiError.js";
+import { EXCHANGE_TIME_ZONE } from "../constants/market.js";
+import { zonedTimeToDate } from "../utils/time.js";
+
+// Reads stored bars back out of MongoDB as plain arrays ordered oldest first
+
+const ensureConnected = () => {
+  if (mongoose.connection.readyState !== 1) {
+    throw new ApiError(503, 'Stored market data is unavailable: database is not connected');
+  }
+};
+
+// `limit` keeps only the most recent bars
+const loadDailyBars = async (symbol, { startDate, endDate, limit } = {}) => {
+  ensureConnected();
+
+  const filter = { symbol: symbol.toUpperCase() };
+  if (startDate || endDate) {
+    filter.date = {
+      ...(startDate && { $gte: new Date(startDate) }),
+      ...(endDate && { $lte: new Date(endDate) })
+    };
+  }
+
+  const docs = limit
+    ? (await DailyStockData.find(filter).sort({ date: -1 }).limit(limit).lean()).reverse()
+    : await DailyStockData.find(filter).sort({ date: 1 }).lean();
+
+  return docs.map(doc => ({
+    timestamp: doc.date.toISOString().slice(0, 10),
+    open: doc.open,
+    high: doc.high,
+    low: doc.low,
+    close: doc.close,
+    volume: doc.volume,
+    adjustedClose: doc.adjustedClose ?? doc.close,
+    dividendAmount: doc.dividendAmount || 0,
+    splitCoefficient: doc.splitCoefficient || 1
+  }));
+};
+
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim());
+
+// IntradayBar filter for one series, optionally bounded by exchange wall-clock
+// dates or timestamps. A date-only end covers that whole trading day.
+const intradayBarFilter = (symbol, interval, { startDate, endDate } = {}) => {
+  const filter = { 'meta.symbol': symbol.toUpperCase(), 'meta.interval': interval };
+  if (startDate || endDate) {
+    const end = endDate && (isDateOnly(endDate) ? `${String(endDate).trim()} 23:59:59` : String(endDate));
+    filter.timestamp = {
+      ...(startDate && { $gte: zonedTimeToDate(String(startDate), EXCHANGE_TIME_ZONE) }),
+      ...(end && { $lte: zonedTimeToDate(end, EXCHANGE_TIME_ZONE) })
+    };
+  }
+  return filter;
+};
+
+// IntradayBar documents -> bars keyed by exchange wall-clock time. Time-series
+// collections have no unique indexes, so a bar written twice by overlapping
+// fetches is dropped here; `docs` must be ordered by timestamp.
+const intradayDocsToBars = (docs) => {
+  const bars = [];
+  for (const doc of docs) {
+    if (bars.length && bars[bars.length - 1].timestamp === doc.localTime) {
+      continue;
+    }
+    bars.push({
+      timestamp: doc.localTime,
+      open: doc.open,
+      high: doc.high,
+      low: doc.low,
+      close: doc.close,
+      volume: doc.volume
+    });
+  }
+  return bars;
+};
+
+// `limit` keeps only the most recent bars
+const loadIntradayBars = async (symbol, interval = '5min', { startDate, endDate, limit } = {}) => {
+  ensureConnected();
+
+  const filter = intradayBarFilter(symbol, interval, { startDate, endDate });
+  if (!limit) {
+    return intradayDocsToBars(await IntradayBar.find(filter).sort({ timestamp: 1 }).lean());
+  }
+
+  // Over-fetch slightly so duplicates do not shrink the page below `limit`
+  const docs = (await IntradayBar.find(filter).sort({ timestamp: -1 }).limit(limit * 2).lean()).reverse();
+  return intradayDocsToBars(docs).slice(-limit);
+};
+
+// Oldest and newest stored bar of a series, or null when nothing is stored
+const getStoredIntradayExtent = async (symbol, interval) => {
+  ensureConnected();
+
+  const filter = intradayBarFilter(symbol, interval);
+  const [first, last] = await Promise.all([
+    IntradayBar.findOne(filter).sort({ timestamp: 1 }).lean(),
+    IntradayBar.findOne(filter).sort({ timestamp: -1 }).lean()
+  ]);
+  return first && last ? { first: first.localTime, last: last.localTime } : null;
+};
+
+// Exchange dates ("YYYY-MM-DD") with at least one stored bar in the range
+const getStoredIntradaySessions = async (symbol, interval, range = {}) => {
+  ensureConnected();
+
+  const sessions = await IntradayBar.aggregate([
+    { $match: intradayBarFilter(symbol, interval, range) },
+    { $group: { _id: { $substrCP: ['$localTime', 0, 10] } } }
+  ]);
+  return new Set(sessions.map(session => session._id));
+};
+
+// Latest stored daily bar and latest stored intraday bar for each symbol, in
+// two queries regardless of how many symbols are asked for
+const loadLatestBars = async (symbols) => {
+  ensureConnected();
+
+  const tickers = [...new Set(symbols.map(symbol => symbol.toUpperCase()))];
+
+  const [dailyDocs, intradayDocs] = await Promise.all([
+    DailyStockData.aggregate([
+      { $match: { symbol: { $in: tickers } } },
+      { $sort: { date: -1 } },
+      { $group: { _id: '$symbol', bar: { $first: '$$ROOT' } } }
+    ]),
+    IntradayBar.aggregate([
+      { $match: { 'meta.symbol': { $in: tickers } } },
+      { $sort: { timestamp: -1 } },
+      { $group: { _id: '$meta.symbol', bar: { $first: '$$ROOT' } } }
+    ])
+  ]);
+
+  const latest = Object.fromEntries(tickers.map(ticker => [ticker, { daily: null, intraday: null }]));
+
+  for (const { _id: ticker, bar } of dailyDocs) {
+    latest[ticker].daily = {
+      timestamp: bar.date.toISOString().slice(0, 10),
+      open: bar.open,
+      high: bar.high,
+      low: bar.low,
+      close: bar.close,
+      volume: bar.volume,
+      adjustedClose: bar.adjustedClose ?? bar.close
+    };
+  }
+
+  for (const { _id: ticker, bar } of intradayDocs) {
+    const [latestBar] = intradayDocsToBars([bar]);
+    latest[ticker].intraday = { interval: bar.meta.interval, ...latestBar };
+  }
+
+  return latest;
+};
+
+// One provider bar (transformed daily fields or Alpha Vantage '1. open' style
+// keys) as numbers, NaN where a value cannot be parsed
+const parseBar = (timestamp, values) => {
+  const bar = {
+    timestamp,
+    open: parseFloat(values.open ?? values['1. open']),
+    high: parseFloat(values.high ?? values['2. high']),
+    low: parseFloat(values.low ?? values['3. low']),
+    close: parseFloat(values.close ?? values['4. close']),
+    volume: parseInt(values.volume ?? values['5. volume'], 10)
+  };
+  if (values.adjustedClose !== undefined) {
+    bar.adjustedClose = parseFloat(values.adjustedClose);
+    bar.dividendAmount = parseFloat(values.dividendAmount || 0);
+    bar.splitCoefficient = parseFloat(values.splitCoefficient || 1);
+  }
+  return bar;
+};
+
+// A provider time series as bars ordered oldest first
+const timeSeriesToBars = (timeSeries = {}) =>
+  Object.entries(timeSeries)
+    .map(([timestamp, values]) => parseBar(timestamp, values))
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+// Back to the transformDailyData layout: keyed by date, newest first
+const barsToDailyTimeSeries = (bars) => {
+  const timeSeries = {};
+  for (const { timestamp, ...values } of [...bars].reverse()) {
+    timeSeries[timestamp] = values;
+  }
+  return timeSeries;
+};
+
+// Back to the transformData (intraday) layout: Alpha Vantage keys, newest first
+const barsToIntradayTimeSeries = (bars) => {
+  const timeSeries = {};
+  for (const bar of [...bars].reverse()) {
+    timeSeries[bar.timestamp] = {
+      '1. open': String(bar.open),
+      '2. high': String(bar.high),
+      '3. low': String(bar.low),
+      '4. close': String(bar.close),
+      '5. volume': String(bar.volume)
+    };
+  }
+  return timeSeries;
+};
+
+export {
+  loadDailyBars,
+  loadIntradayBars,
+  loadLatestBars,
+  intradayBarFilter,
+  intradayDocsToBars,
+  getStoredIntradayExtent,
+  getStoredIntradaySessions,
+  parseBar,
+  timeSeriesToBars,
+  barsToDailyTimeSeries,
+  barsToIntradayTimeSeries
+};
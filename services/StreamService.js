@@ -0,0 +1,238 @@
+import mongoose from "mongoose";
+import { marketEvents, BARS_STORED } from "./MarketEvents.js";
+import { fetchIntradayData } from "./MarketDataService.js";
+import { getCachedIntradayData, storeIntradayData } from "./CacheService.js";
+import { loadIntradayBars, timeSeriesToBars } from "./StockSeriesService.js";
+import { isKnownSymbol } from "./SymbolService.js";
+import ApiError from "../utils/ApiError.js";
+import { runOutsideRequestContext } from "../utils/requestContext.js";
+import { getMarketPhase } from "../utils/marketCalendar.js";
+import {
+  STREAM_POLL_INTERVAL_MS,
+  STREAM_BUFFER_SIZE,
+  STREAM_MAX_CHANNELS
+} from "../constants/stream.js";
+import logger from "../config/logger.js";
+
+// Live intraday bars fanned out to subscribers. Each symbol/interval pair is a
+// channel polled once, however many SSE or WebSocket clients follow it.
+//
+// A subscriber is { send({ symbol, interval, bar }), close?(), lastTimestamp }.
+
+const channels = new Map();
+let listening = false;
+
+const channelKey = (symbol, interval) => `${symbol}:${interval}`;
+
+const SINCE_PATTERN = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2})?)?$/;
+
+// Resume point in the stored timestamp format ("YYYY-MM-DD HH:MM:SS"), or null
+const parseSince = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || !SINCE_PATTERN.test(value)) {
+    throw new ApiError(400, 'since must be a bar timestamp such as "2024-01-03 10:00:00"');
+  }
+  return value.replace('T', ' ');
+};
+
+// Send the subscriber everything after its last bar. New subscribers without
+// a resume point just get the latest bar.
+const deliver = (channel, subscriber, bars = channel.bars) => {
+  const pending = subscriber.lastTimestamp
+    ? bars.filter(bar => bar.timestamp > subscriber.lastTimestamp)
+    : bars.slice(-1);
+
+  for (const bar of pending) {
+    subscriber.send({ symbol: channel.symbol, interval: channel.interval, bar });
+  }
+  if (pending.length > 0) {
+    subscriber.lastTimestamp = pending[pending.length - 1].timestamp;
+  }
+};
+
+// Add bars newer than the buffer's latest and push them to every subscriber
+const publish = (symbol, interval, timeSeries) => {
+  const channel = channels.get(channelKey(symbol, interval));
+  if (!channel || !timeSeries) {
+    return;
+  }
+
+  const latest = channel.bars.length ? channel.bars[channel.bars.length - 1].timestamp : null;
+  const fresh = timeSeriesToBars(timeSeries).filter(bar => !latest || bar.timestamp > latest);
+  if (fresh.length === 0) {
+    return;
+  }
+
+  channel.bars.push(...fresh);
+  if (channel.bars.length > STREAM_BUFFER_SIZE) {
+    channel.bars.splice(0, channel.bars.length - STREAM_BUFFER_SIZE);
+  }
+
+  for (const subscriber of channel.subscribers) {
+    try {
+      deliver(channel, subscriber);
+    } catch (error) {
+      logger.warn(`Dropping stream subscriber for ${symbol}: ${error.message}`);
+      channel.subscribers.delete(subscriber);
+    }
+  }
+};
+
+// Serve fresh cached bars when there are any, otherwise make the one upstream call
+const pollChannel = async (channel) => {
+  if (channel.polling) {
+    return;
+  }
+  channel.polling = true;
+
+  try {
+    const cached = await getCachedIntradayData(channel.symbol, channel.interval);
+    if (cached) {
+      publish(channel.symbol, channel.interval, cached.data.timeSeries);
+      return;
+    }
+
+    const { data } = await fetchIntradayData(undefined, channel.symbol, channel.interval, { priority: 'background' });
+    await storeIntradayData(channel.symbol, channel.interval, data);
+    publish(channel.symbol, channel.interval, data.timeSeries);
+  } catch (error) {
+    logger.warn(`Stream poll failed for ${channel.symbol} (${channel.interval}): ${error.message}`);
+  } finally {
+    channel.polling = false;
+  }
+};
+
+const openChannel = (symbol, interval) => {
+  const channel = {
+    symbol,
+    interval,
+    bars: [],
+    subscribers: new Set(),
+    polling: false,
+    timer: null
+  };
+  channels.set(channelKey(symbol, interval), channel);
+
+  // Polls serve every subscriber, so they are not charged to the one that
+  // opened the channel. No bars print while the exchange is closed (extended
+  // hours included), so only the first poll runs then.
+  runOutsideRequestContext(() => {
+    channel.timer = setInterval(() => {
+      if (getMarketPhase().phase !== 'closed') {
+        pollChannel(channel);
+      }
+    }, STREAM_POLL_INTERVAL_MS);
+    channel.timer.unref?.();
+    pollChannel(channel);
+  });
+
+  logger.debug(`Opened stream channel ${channelKey(symbol, interval)}`);
+  return channel;
+};
+
+const closeChannel = (channel) => {
+  clearInterval(channel.timer);
+  channels.delete(channelKey(channel.symbol, channel.interval));
+  logger.debug(`Closed stream channel ${channelKey(channel.symbol, channel.interval)}`);
+};
+
+// Replay stored bars the buffer no longer (or does not yet) hold
+const replayStoredBars = async (channel, subscriber) => {
+  const oldestBuffered = channel.bars[0]?.timestamp;
+  if (oldestBuffered && subscriber.lastTimestamp >= oldestBuffered) {
+    return;
+  }
+  if (mongoose.connection.readyState !== 1) {
+    return;
+  }
+
+  try {
+    const bars = await loadIntradayBars(channel.symbol, channel.interval, { startDate: subscriber.lastTimestamp });
+    deliver(channel, subscriber, oldestBuffered ? bars.filter(bar => bar.timestamp < oldestBuffered) : bars);
+  } catch (error) {
+    logger.warn(`Could not replay stored bars for ${channel.symbol}: ${error.message}`);
+  }
+};
+
+// A new channel polls upstream for as long as it is followed, so it is only
+// opened for symbols the catalogue knows (when it can tell) and while there
+// is room under STREAM_MAX_CHANNELS
+const openKnownChannel = async (symbol, interval) => {
+  if (await isKnownSymbol(symbol) === false) {
+    throw new ApiError(404, `Unknown or inactive symbol: ${symbol}`);
+  }
+  // Another subscriber may have opened it meanwhile
+  const opened = channels.get(channelKey(symbol, interval));
+  if (opened) {
+    return opened;
+  }
+  if (channels.size >= STREAM_MAX_CHANNELS) {
+    throw new ApiError(503, 'Too many symbols are being streamed right now, try again later');
+  }
+  return openChannel(symbol, interval);
+};
+
+// Follow a symbol's intraday bars. `since` resumes after that bar timestamp.
+// Resolves to an unsubscribe function.
+const subscribe = async (symbol, interval, { since = null, send, close } = {}) => {
+  const upperSymbol = symbol.toUpperCase();
+  const channel = channels.get(channelKey(upperSymbol, interval)) || await openKnownChannel(upperSymbol, interval);
+  const subscriber = { send, close, lastTimestamp: since };
+
+  channel.subscribers.add(subscriber);
+  if (since) {
+    await replayStoredBars(channel, subscriber);
+  }
+  deliver(channel, subscriber);
+
+  return () => {
+    channel.subscribers.delete(subscriber);
+    if (channel.subscribers.size === 0 && channels.get(channelKey(upperSymbol, interval)) === channel) {
+      closeChannel(channel);
+    }
+  };
+};
+
+// Bars stored by any path (requests, ingestion jobs, other polls) reach subscribers straight away
+const startStreamFanout = () => {
+  if (listening) {
+    return;
+  }
+
+  marketEvents.on(BARS_STORED, ({ symbol, dataType, interval, timeSeries }) => {
+    if (dataType === 'intraday') {
+      publish(symbol, interval, timeSeries);
+    }
+  });
+  listening = true;
+};
+
+// End every open stream, e.g. on shutdown
+const closeAllStreams = () => {
+  for (const channel of [...channels.values()]) {
+    for (const subscriber of channel.subscribers) {
+      subscriber.close?.();
+    }
+    channel.subscribers.clear();
+    closeChannel(channel);
+  }
+};
+
+const getStreamStats = () => {
+  const stats = { channels: channels.size, subscribers: 0 };
+  for (const channel of channels.values()) {
+    stats.subscribers += channel.subscribers.size;
+  }
+  return stats;
+};
+
+export {
+  parseSince,
+  subscribe,
+  publish,
+  startStreamFanout,
+  closeAllStreams,
+  getStreamStats
+};
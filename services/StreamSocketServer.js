@@ -0,0 +1,209 @@
+import { WebSocketServer, WebSocket } from "ws";
+import { parseSince, subscribe } from "./StreamService.js";
+import { findClientByKey, hasScope, isAuthRequired } from "./ApiClientService.js";
+import { SYMBOL_PATTERN } from "../constants/symbols.js";
+import { INTRADAY_INTERVALS } from "../constants/backfills.js";
+import {
+  STREAM_HEARTBEAT_MS,
+  STREAM_MAX_SUBSCRIPTIONS,
+  STREAM_WEBSOCKET_PATH
+} from "../constants/stream.js";
+import logger from "../config/logger.js";
+
+// WebSocket endpoint for following several symbols over one connection.
+//
+// Client messages:
+//   { "action": "subscribe", "symbols": ["AAPL"], "interval": "5min", "since": "2024-01-03 10:00:00" }
+//   { "action": "unsubscribe", "symbols": ["AAPL"], "interval": "5min" }
+// `since` may also map symbols to their own resume points.
+//
+// Server messages: subscribed, unsubscribed, bar, heartbeat and error, each with a `type`.
+
+let socketServer = null;
+let heartbeatTimer = null;
+
+const sendJson = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const sinceFor = (since, symbol) =>
+  since && typeof since === 'object' ? since[symbol] : since;
+
+const handleSubscribe = async (socket, subscriptions, message) => {
+  const { interval = '5min', since } = message;
+  const symbols = [...new Set((message.symbols || []).map(symbol => String(symbol).toUpperCase()))];
+
+  if (!INTRADAY_INTERVALS.includes(interval)) {
+    throw new Error(`Invalid interval. Must be one of: ${INTRADAY_INTERVALS.join(', ')}`);
+  }
+  if (symbols.length === 0 || symbols.some(symbol => !SYMBOL_PATTERN.test(symbol))) {
+    throw new Error('symbols must be a non-empty array of valid tickers');
+  }
+
+  const added = symbols.filter(symbol => !subscriptions.has(`${symbol}:${interval}`));
+  if (subscriptions.size + added.length > STREAM_MAX_SUBSCRIPTIONS) {
+    throw new Error(`A connection can follow at most ${STREAM_MAX_SUBSCRIPTIONS} symbols`);
+  }
+  const resumeFrom = Object.fromEntries(added.map(symbol => [symbol, parseSince(sinceFor(since, symbol))]));
+
+  // Reserve every slot before the first await, so concurrent subscribe
+  // messages count against the cap and do not double up
+  for (const symbol of added) {
+    subscriptions.set(`${symbol}:${interval}`, null);
+  }
+
+  const subscribed = [];
+  const failed = [];
+  for (const symbol of added) {
+    const key = `${symbol}:${interval}`;
+    let unsubscribe;
+    try {
+      unsubscribe = await subscribe(symbol, interval, {
+        since: resumeFrom[symbol],
+        send: ({ bar }) => sendJson(socket, { type: 'bar', symbol, interval, bar }),
+        close: () => socket.close(1001, 'Server shutting down')
+      });
+    } catch (error) {
+      if (subscriptions.get(key) === null) {
+        subscriptions.delete(key);
+      }
+      failed.push({ symbol, message: error.message });
+      continue;
+    }
+
+    if (socket.readyState !== WebSocket.OPEN || !subscriptions.has(key)) {
+      unsubscribe();
+    } else {
+      subscriptions.set(key, unsubscribe);
+      subscribed.push(symbol);
+    }
+  }
+
+  if (subscribed.length > 0) {
+    sendJson(socket, { type: 'subscribed', symbols: subscribed, interval });
+  }
+  for (const { symbol, message: reason } of failed) {
+    sendJson(socket, { type: 'error', symbol, message: reason });
+  }
+};
+
+const handleUnsubscribe = (socket, subscriptions, message) => {
+  const { interval = '5min' } = message;
+  const symbols = (message.symbols || []).map(symbol => String(symbol).toUpperCase());
+
+  for (const symbol of symbols) {
+    const key = `${symbol}:${interval}`;
+    subscriptions.get(key)?.();
+    subscriptions.delete(key);
+  }
+  sendJson(socket, { type: 'unsubscribed', symbols, interval });
+};
+
+const handleConnection = (socket) => {
+  // "SYMBOL:interval" -> unsubscribe function
+  const subscriptions = new Map();
+  socket.isAlive = true;
+
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+
+  socket.on('message', async (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      sendJson(socket, { type: 'error', message: 'Messages must be JSON' });
+      return;
+    }
+
+    try {
+      if (message.action === 'subscribe') {
+        await handleSubscribe(socket, subscriptions, message);
+      } else if (message.action === 'unsubscribe') {
+        handleUnsubscribe(socket, subscriptions, message);
+      } else {
+        sendJson(socket, { type: 'error', message: 'action must be subscribe or unsubscribe' });
+      }
+    } catch (error) {
+      sendJson(socket, { type: 'error', message: error.message });
+    }
+  });
+
+  socket.on('close', () => {
+    for (const unsubscribe of subscriptions.values()) {
+      unsubscribe?.();
+    }
+    subscriptions.clear();
+  });
+};
+
+// Same rules as the HTTP API: a key with the read-market-data scope, or no
+// key while AUTH_REQUIRED is off. Browsers cannot set headers on WebSocket
+// requests, so the key may also be sent as ?apiKey=.
+const verifyClient = ({ req }, done) => {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  const apiKey = req.headers['x-api-key'] ||
+    bearer?.[1] ||
+    new URL(req.url, 'http://localhost').searchParams.get('apiKey');
+
+  if (!apiKey) {
+    return isAuthRequired() ? done(false, 401, 'An API key is required') : done(true);
+  }
+
+  findClientByKey(apiKey)
+    .then(client => {
+      if (!client) {
+        done(false, 401, 'Invalid or revoked API key');
+      } else if (!hasScope(client, 'read-market-data')) {
+        done(false, 403, 'This API key does not have the read-market-data scope');
+      } else {
+        done(true);
+      }
+    })
+    .catch(error => done(false, error.statusCode || 500, error.message));
+};
+
+// Serve the WebSocket endpoint from the HTTP server
+const attachStreamSocket = (server) => {
+  if (socketServer) {
+    return socketServer;
+  }
+
+  socketServer = new WebSocketServer({ server, path: STREAM_WEBSOCKET_PATH, maxPayload: 64 * 1024, verifyClient });
+  socketServer.on('connection', handleConnection);
+  socketServer.on('error', (error) => logger.error(`WebSocket server error: ${error.message}`));
+
+  // Ping every client; ones that missed the previous ping are gone
+  heartbeatTimer = setInterval(() => {
+    for (const socket of socketServer.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+      sendJson(socket, { type: 'heartbeat', at: new Date().toISOString() });
+    }
+  }, STREAM_HEARTBEAT_MS);
+  heartbeatTimer.unref?.();
+
+  logger.info(`WebSocket stream listening on ${STREAM_WEBSOCKET_PATH}`);
+  return socketServer;
+};
+
+const closeStreamSocket = () => {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  if (socketServer) {
+    for (const socket of socketServer.clients) {
+      socket.close(1001, 'Server shutting down');
+    }
+    socketServer.close();
+    socketServer = null;
+  }
+};
+
+export { attachStreamSocket, closeStreamSocket };
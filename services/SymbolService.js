@@ -0,0 +1,236 @@
+import mongoose from "mongoose";
+import StockSymbol from "../models/SymbolModel.js";
+import { fetchListing, searchSymbols as searchProviderSymbols } from "./MarketDataService.js";
+import { parseCsv } from "../utils/csv.js";
+import ApiError from "../utils/ApiError.js";
+import LruCache from "../utils/LruCache.js";
+import { SYMBOL_SEARCH_FALLBACK_TTL_SECONDS } from "../constants/symbols.js";
+import logger from "../config/logger.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Search terms recently sent to the provider, so a term the catalogue cannot
+// match does not spend an upstream call on every request
+const upstreamSearches = new LruCache(5000);
+
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+const ensureConnected = () => {
+  if (!isMongoConnected()) {
+    throw new ApiError(503, 'Symbol catalogue is unavailable: database is not connected');
+  }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Map a listing row (Alpha Vantage LISTING_STATUS columns) to a catalogue entry
+const listingRowToSymbol = (row) => ({
+  ticker: row.symbol,
+  name: row.name,
+  exchange: row.exchange,
+  type: row.assettype || row.type,
+  currency: row.currency || 'USD',
+  region: row.region || 'United States',
+  active: !/delisted/i.test(row.status || '')
+});
+
+// Upsert listing rows into the catalogue. Returns the number of rows written.
+const importListingRows = async (rows) => {
+  ensureConnected();
+
+  const operations = rows
+    .filter(row => row.symbol)
+    .map(row => {
+      const symbol = listingRowToSymbol(row);
+      return {
+        updateOne: {
+          filter: { ticker: symbol.ticker.toUpperCase() },
+          update: { $set: { ...symbol, origin: 'listing' } },
+          upsert: true
+        }
+      };
+    });
+
+  if (operations.length > 0) {
+    await StockSymbol.bulkWrite(operations, { ordered: false });
+  }
+  return operations.length;
+};
+
+// Import a bulk CSV listing. With markMissingInactive, listing entries absent
+// from this file are flagged inactive (use for complete listings only).
+const importListingCsv = async (csvText, { markMissingInactive = false } = {}) => {
+  const rows = parseCsv(csvText);
+  const imported = await importListingRows(rows);
+  let deactivated = 0;
+
+  if (markMissingInactive && imported > 0) {
+    const tickers = rows.filter(row => row.symbol).map(row => row.symbol.toUpperCase());
+    const result = await StockSymbol.updateMany(
+      { origin: 'listing', ticker: { $nin: tickers }, active: true },
+      { $set: { active: false } }
+    );
+    deactivated = result.modifiedCount;
+  }
+
+  logger.info(`Imported ${imported} symbols into the catalogue (${deactivated} deactivated)`);
+  return { imported, deactivated };
+};
+
+// Pull the full listing from the data provider
+const refreshListing = async (source) => {
+  const { data: csvText, source: dataSource } = await fetchListing(source, { priority: 'background' });
+  const result = await importListingCsv(csvText, { markMissingInactive: true });
+  return { ...result, source: dataSource };
+};
+
+// Remember upstream search results without overwriting listing data
+const rememberSearchResults = async (searchResults) => {
+  // Synthetic matches are made up and never enter the catalogue
+  const results = searchResults.filter(result => !result.synthetic);
+  if (!isMongoConnected() || results.length === 0) {
+    return;
+  }
+
+  try {
+    await StockSymbol.bulkWrite(results.map(result => ({
+      updateOne: {
+        filter: { ticker: result.symbol.toUpperCase() },
+        update: {
+          $setOnInsert: {
+            ticker: result.symbol,
+            name: result.name,
+            type: result.type,
+            currency: result.currency,
+            region: result.region,
+            active: true,
+            origin: 'search'
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+  } catch (error) {
+    logger.warn(`Failed to store symbol search results: ${error.message}`);
+  }
+};
+
+// Fuzzy catalogue search ranked by: exact ticker, ticker prefix, name word
+// prefix, then any substring match on ticker or name
+const queryCatalogue = async ({ search, exchange, type, includeInactive, page, limit }) => {
+  const match = {};
+  if (!includeInactive) {
+    match.active = true;
+  }
+  if (exchange) {
+    match.exchange = exchange.toUpperCase();
+  }
+  if (type) {
+    match.type = new RegExp(`^${escapeRegex(type)}$`, 'i');
+  }
+
+  const pattern = search ? escapeRegex(search.trim()) : null;
+  if (pattern) {
+    match.$or = [
+      { ticker: { $regex: pattern, $options: 'i' } },
+      { name: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+
+  const score = pattern
+    ? {
+      $switch: {
+        branches: [
+          { case: { $eq: ['$ticker', search.trim().toUpperCase()] }, then: 100 },
+          { case: { $regexMatch: { input: '$ticker', regex: `^${pattern}`, options: 'i' } }, then: 75 },
+          { case: { $regexMatch: { input: '$name', regex: `(^|\\s)${pattern}`, options: 'i' } }, then: 50 }
+        ],
+        default: 25
+      }
+    }
+    : 0;
+
+  const [result] = await StockSymbol.aggregate([
+    { $match: match },
+    { $addFields: { score } },
+    { $sort: { score: -1, ticker: 1 } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        results: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { _id: 0, __v: 0, score: 0, createdAt: 0 } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    results: result.results,
+    total: result.total[0]?.count || 0
+  };
+};
+
+// Search the catalogue, falling back to the provider's symbol search (whose
+// matches are stored for next time) when the catalogue has nothing. Each term
+// goes upstream at most once per SYMBOL_SEARCH_FALLBACK_TTL_SECONDS.
+const searchCatalogue = async ({ search, exchange, type, includeInactive = false, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  ensureConnected();
+
+  const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  let { results, total } = await queryCatalogue({ search, exchange, type, includeInactive, page, limit: pageSize });
+
+  const searchKey = search && search.trim().toLowerCase();
+  if (total === 0 && searchKey && page === 1 && !upstreamSearches.get(searchKey)) {
+    // Recorded up front so concurrent requests for the term share one call
+    upstreamSearches.set(searchKey, true, SYMBOL_SEARCH_FALLBACK_TTL_SECONDS);
+    try {
+      const { data: matches } = await searchProviderSymbols(undefined, search);
+      await rememberSearchResults(matches);
+      ({ results, total } = await queryCatalogue({ search, exchange, type, includeInactive, page, limit: pageSize }));
+    } catch (error) {
+      upstreamSearches.delete(searchKey);
+      logger.warn(`Upstream symbol search failed: ${error.message}`);
+    }
+  }
+
+  return {
+    results,
+    pagination: {
+      page,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+};
+
+// true/false when the catalogue can answer, null when it cannot (database
+// down or catalogue not populated yet) so callers can fail open
+const isKnownSymbol = async (ticker) => {
+  if (!isMongoConnected()) {
+    return null;
+  }
+
+  try {
+    const symbol = await StockSymbol.findOne({ ticker: ticker.toUpperCase() }, { active: 1 }).lean();
+    if (symbol) {
+      return symbol.active;
+    }
+    const catalogueSize = await StockSymbol.estimatedDocumentCount();
+    return catalogueSize === 0 ? null : false;
+  } catch (error) {
+    logger.warn(`Symbol lookup failed: ${error.message}`);
+    return null;
+  }
+};
+
+export {
+  importListingCsv,
+  refreshListing,
+  rememberSearchResults,
+  searchCatalogue,
+  isKnownSymbol
+};
@@ -0,0 +1,262 @@
+import mongoose from "mongoose";
+import UsageEvent from "../models/UsageEventModel.js";
+import UsageDaily from "../models/UsageDailyModel.js";
+import ApiError from "../utils/ApiError.js";
+import {
+  USAGE_FLUSH_INTERVAL_MS,
+  USAGE_MAX_BUFFERED_EVENTS
+} from "../constants/usage.js";
+import logger from "../config/logger.js";
+
+// Events recorded since the last flush. Writing them in batches keeps metering
+// off the request path. The raw events and the daily rollups are written (and
+// retried) separately, so a failure of one never loses the other.
+let eventBuffer = [];
+let rollupBuffer = [];
+let flushTimer = null;
+let flushing = null;
+let droppedEvents = 0;
+
+const isMongoConnected = () => mongoose.connection.readyState === 1;
+
+// Drops the oldest events beyond USAGE_MAX_BUFFERED_EVENTS, returning how many
+const trimBuffer = (events) => {
+  const excess = events.length - USAGE_MAX_BUFFERED_EVENTS;
+  if (excess <= 0) {
+    return 0;
+  }
+  events.splice(0, excess);
+  return excess;
+};
+
+const recordUsageEvent = (event) => {
+  // The id is set here so a retried insert cannot store the event twice
+  const recorded = { _id: new mongoose.Types.ObjectId(), ...event };
+  eventBuffer.push(recorded);
+  rollupBuffer.push(recorded);
+  droppedEvents += Math.max(trimBuffer(eventBuffer), trimBuffer(rollupBuffer));
+};
+
+// Errors that mean the write may not have reached MongoDB at all, so the batch
+// is worth retrying
+const isConnectionError = (error) =>
+  error instanceof mongoose.mongo.MongoNetworkError ||
+  error instanceof mongoose.mongo.MongoServerSelectionError ||
+  error instanceof mongoose.mongo.MongoNotConnectedError ||
+  error?.name === 'MongooseServerSelectionError' ||
+  /buffering timed out/.test(error?.message);
+
+const rollupKey = (event) => `${event.timestamp.toISOString().slice(0, 10)}|${event.clientId}|${event.endpoint}`;
+
+// Fold a batch of events into one upsert per (day, client, endpoint)
+const toRollupOperations = (events) => {
+  const rollups = new Map();
+
+  for (const event of events) {
+    const key = rollupKey(event);
+    const rollup = rollups.get(key) || {
+      filter: {
+        date: event.timestamp.toISOString().slice(0, 10),
+        clientId: event.clientId,
+        endpoint: event.endpoint
+      },
+      clientName: event.clientName,
+      inc: {
+        requests: 0,
+        cacheHits: 0,
+        upstreamRequests: 0,
+        upstreamCalls: 0,
+        clientErrors: 0,
+        serverErrors: 0,
+        totalLatencyMs: 0
+      },
+      maxLatencyMs: 0
+    };
+
+    rollup.clientName = event.clientName ?? rollup.clientName;
+    rollup.inc.requests += 1;
+    rollup.inc.cacheHits += event.servedFrom === 'cache' ? 1 : 0;
+    rollup.inc.upstreamRequests += event.servedFrom === 'upstream' ? 1 : 0;
+    rollup.inc.upstreamCalls += event.upstreamCalls;
+    rollup.inc.clientErrors += event.statusCode >= 400 && event.statusCode < 500 ? 1 : 0;
+    rollup.inc.serverErrors += event.statusCode >= 500 ? 1 : 0;
+    rollup.inc.totalLatencyMs += event.latencyMs;
+    rollup.maxLatencyMs = Math.max(rollup.maxLatencyMs, event.latencyMs);
+    rollups.set(key, rollup);
+  }
+
+  return [...rollups.values()].map(({ filter, clientName, inc, maxLatencyMs }) => ({
+    updateOne: {
+      filter,
+      update: {
+        $inc: inc,
+        $max: { maxLatencyMs },
+        ...(clientName && { $set: { clientName } })
+      },
+      upsert: true
+    }
+  }));
+};
+
+// Duplicate key errors only mean an earlier, retried insert got through
+const insertEvents = (events) => UsageEvent.insertMany(events, { ordered: false }).catch(error => {
+  if (!error.writeErrors?.every(writeError => writeError.code === 11000)) {
+    throw error;
+  }
+});
+
+const writeRollups = (events) => UsageDaily.bulkWrite(toRollupOperations(events), { ordered: false });
+
+// Write one batch. Returns the batch when it failed for lack of a connection,
+// so it can be retried, and nothing otherwise.
+const writeBatch = async (name, batch, write) => {
+  if (batch.length === 0) {
+    return [];
+  }
+  try {
+    await write(batch);
+  } catch (error) {
+    if (isConnectionError(error)) {
+      logger.warn(`Usage ${name} for ${batch.length} events will be retried: ${error.message}`);
+      return batch;
+    }
+    logger.error(`Failed to record usage ${name} for ${batch.length} events: ${error.message}`);
+  }
+  return [];
+};
+
+// Write buffered events and their rollups. The two writes are independent, and
+// a batch that fails for lack of a connection goes back to the front of its
+// buffer, so events stay buffered while MongoDB is unreachable.
+const flushUsage = async () => {
+  if (flushing) {
+    return flushing;
+  }
+  if ((eventBuffer.length === 0 && rollupBuffer.length === 0) || !isMongoConnected()) {
+    return;
+  }
+
+  const events = eventBuffer;
+  const rollups = rollupBuffer;
+  eventBuffer = [];
+  rollupBuffer = [];
+
+  flushing = (async () => {
+    const unsavedEvents = await writeBatch('events', events, insertEvents);
+    const unsavedRollups = await writeBatch('rollups', rollups, writeRollups);
+
+    eventBuffer = [...unsavedEvents, ...eventBuffer];
+    rollupBuffer = [...unsavedRollups, ...rollupBuffer];
+    droppedEvents += Math.max(trimBuffer(eventBuffer), trimBuffer(rollupBuffer));
+
+    if (droppedEvents > 0) {
+      logger.warn(`Dropped ${droppedEvents} usage events while MongoDB was unavailable`);
+      droppedEvents = 0;
+    }
+  })();
+
+  try {
+    await flushing;
+  } finally {
+    flushing = null;
+  }
+};
+
+const startUsageRecorder = () => {
+  if (flushTimer) {
+    return;
+  }
+
+  flushTimer = setInterval(() => {
+    flushUsage().catch(error => {
+      logger.error(`Usage flush failed: ${error.message}`);
+    });
+  }, USAGE_FLUSH_INTERVAL_MS);
+  flushTimer.unref?.();
+  logger.info('Usage recorder started');
+};
+
+// Stops the timer and writes whatever is still buffered
+const stopUsageRecorder = async () => {
+  clearInterval(flushTimer);
+  flushTimer = null;
+  await flushUsage();
+};
+
+const GROUP_KEYS = {
+  day: '$date',
+  endpoint: '$endpoint',
+  client: '$clientId'
+};
+
+const SUM_FIELDS = ['requests', 'cacheHits', 'upstreamRequests', 'upstreamCalls', 'clientErrors', 'serverErrors', 'totalLatencyMs'];
+
+const toReportRow = ({ _id, clientName, totalLatencyMs, ...counts }) => ({
+  ...counts,
+  avgLatencyMs: counts.requests ? Math.round(totalLatencyMs / counts.requests) : 0
+});
+
+// Usage totals between two UTC days (inclusive), broken down by day, endpoint
+// or client, from the daily rollups. Pass clientId to report on one client.
+const getUsageReport = async ({ from, to, groupBy = 'day', clientId } = {}) => {
+  if (!isMongoConnected()) {
+    throw new ApiError(503, 'Usage data is unavailable while the database is disconnected');
+  }
+
+  const match = {
+    date: { $gte: from, $lte: to },
+    ...(clientId && { clientId })
+  };
+  const sums = Object.fromEntries(SUM_FIELDS.map(field => [field, { $sum: `$${field}` }]));
+
+  const [grouped, [totals]] = await Promise.all([
+    UsageDaily.aggregate([
+      { $match: match },
+      { $sort: { date: 1 } },
+      {
+        $group: {
+          _id: GROUP_KEYS[groupBy],
+          ...sums,
+          maxLatencyMs: { $max: '$maxLatencyMs' },
+          clientName: { $last: '$clientName' }
+        }
+      },
+      { $sort: groupBy === 'day' ? { _id: 1 } : { upstreamCalls: -1, requests: -1 } }
+    ]),
+    UsageDaily.aggregate([
+      { $match: match },
+      { $group: { _id: null, ...sums, maxLatencyMs: { $max: '$maxLatencyMs' } } }
+    ])
+  ]);
+
+  const totalUpstreamCalls = totals?.upstreamCalls || 0;
+
+  const rows = grouped.map(row => ({
+    [groupBy === 'client' ? 'clientId' : groupBy]: row._id,
+    ...(groupBy === 'client' && { clientName: row.clientName }),
+    ...toReportRow(row),
+    // The client's share of the upstream calls in the range, for billing back
+    ...(groupBy === 'client' && {
+      upstreamShare: totalUpstreamCalls ? Number((row.upstreamCalls / totalUpstreamCalls).toFixed(4)) : 0
+    })
+  }));
+
+  return {
+    from,
+    to,
+    groupBy,
+    ...(clientId && { clientId }),
+    totals: totals
+      ? toReportRow(totals)
+      : { ...Object.fromEntries(SUM_FIELDS.slice(0, -1).map(field => [field, 0])), avgLatencyMs: 0, maxLatencyMs: 0 },
+    rows
+  };
+};
+
+export {
+  recordUsageEvent,
+  flushUsage,
+  startUsageRecorder,
+  stopUsageRecorder,
+  getUsageReport
+};
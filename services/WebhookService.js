@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import axios from "axios";
+import mongoose from "mongoose";
+import AlertDelivery from "../models/AlertDeliveryModel.js";
+import AlertRule from "../models/AlertRuleModel.js";
+import {
+  WEBHOOK_RETRY_DELAYS_MS,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_POLL_INTERVAL_MS,
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_CLAIM_MS
+} from "../constants/alerts.js";
+import { assertPublicWebhookUrl, webhookHttpAgent, webhookHttpsAgent } from "../utils/webhookTarget.js";
+import logger from "../config/logger.js";
+
+let workerTimer = null;
+
+// Receivers verify by recomputing the HMAC over `${timestamp}.${rawBody}`
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Deliveries are only attempted while claimed: nextAttemptAt is pushed past the
+// attempt, so the retry worker never picks up one that is already being sent
+const claimUntil = () => new Date(Date.now() + WEBHOOK_CLAIM_MS);
+
+// Make one delivery attempt and record its outcome on the delivery
+const attemptDelivery = async (delivery, rule) => {
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt), statusCode: null, error: null, durationMs: 0 };
+
+  try {
+    // The URL was checked when the rule was saved, but its host may resolve
+    // elsewhere now; the agents check every address actually connected to
+    await assertPublicWebhookUrl(rule.webhookUrl);
+    const response = await axios.post(rule.webhookUrl, body, {
+      timeout: WEBHOOK_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'stock-api-webhooks/1.0',
+        [WEBHOOK_SIGNATURE_HEADER]: `t=${timestamp},v1=${signPayload(rule.secret, timestamp, body)}`
+      },
+      maxRedirects: 0,
+      httpAgent: webhookHttpAgent,
+      httpsAgent: webhookHttpsAgent,
+      proxy: false,
+      validateStatus: () => true
+    });
+    attempt.statusCode = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `Receiver answered ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts.length > WEBHOOK_RETRY_DELAYS_MS.length) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    logger.warn(`Webhook delivery ${delivery.id} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + WEBHOOK_RETRY_DELAYS_MS[delivery.attempts.length - 1]);
+    logger.info(`Webhook delivery ${delivery.id} will be retried at ${delivery.nextAttemptAt.toISOString()}: ${attempt.error}`);
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// Record a delivery, already claimed, and make the first attempt right away
+const enqueueDelivery = async (rule, payload, event = 'alert.triggered') => {
+  const delivery = await AlertDelivery.create({ alert: rule._id, event, payload, nextAttemptAt: claimUntil() });
+  return attemptDelivery(delivery, rule);
+};
+
+// Atomically take the oldest due delivery, so concurrent workers never share one
+const claimDueDelivery = () => AlertDelivery.findOneAndUpdate(
+  { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+  { $set: { nextAttemptAt: claimUntil() } },
+  { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+const processDueDeliveries = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    return;
+  }
+
+  for (let claimed = 0; claimed < 50; claimed++) {
+    const delivery = await claimDueDelivery();
+    if (!delivery) {
+      break;
+    }
+    const rule = await AlertRule.findById(delivery.alert);
+    if (!rule) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      await delivery.save();
+      continue;
+    }
+    await attemptDelivery(delivery, rule);
+  }
+};
+
+const startWebhookWorker = () => {
+  if (workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(() => {
+    processDueDeliveries().catch(error => {
+      logger.error(`Webhook retry worker failed: ${error.message}`);
+    });
+  }, WEBHOOK_POLL_INTERVAL_MS);
+  workerTimer.unref?.();
+  logger.info('Webhook retry worker started');
+};
+
+const stopWebhookWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+export {
+  signPayload,
+  enqueueDelivery,
+  processDueDeliveries,
+  startWebhookWorker,
+  stopWebhookWorker
+};
@@ -0,0 +1,40 @@
+import {
+  getDailyData,
+  getIntradayData,
+  getQuote,
+  searchSymbols,
+  getListingStatus
+} from "../AlphaVantageService.js";
+import logger from "../../config/logger.js";
+
+function getAlphaVantageApiKey() {
+  const apiKey = process.env.ALPHA_VANTAGE_API_KEY;
+  if (!apiKey) {
+    logger.error('ALPHA_VANTAGE_API_KEY is not configured in environment variables');
+    throw new Error('Alpha Vantage API key is not configured. Please set the ALPHA_VANTAGE_API_KEY environment variable.');
+  }
+  return apiKey;
+}
+
+// Market data provider backed by the Alpha Vantage REST API
+const AlphaVantageProvider = {
+  name: 'alphavantage',
+
+  getDailyData: (symbol, { outputSize = 'compact', priority } = {}) =>
+    getDailyData(getAlphaVantageApiKey(), symbol, outputSize, { priority }),
+
+  getIntradayData: (symbol, interval = '5min', { outputSize = 'compact', priority, month } = {}) =>
+    getIntradayData(getAlphaVantageApiKey(), symbol, interval, outputSize, { priority, month }),
+
+  getQuote: (symbol, { priority } = {}) =>
+    getQuote(getAlphaVantageApiKey(), symbol, { priority }),
+
+  searchSymbols: (keywords, { priority } = {}) =>
+    searchSymbols(getAlphaVantageApiKey(), keywords, { priority }),
+
+  // CSV listing of every active symbol
+  getListing: ({ priority } = {}) =>
+    getListingStatus(getAlphaVantageApiKey(), 'active', { priority })
+};
+
+export default AlphaVantageProvider;
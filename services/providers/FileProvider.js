@@ -0,0 +1,183 @@
+import fs from "fs/promises";
+import path from "path";
+import {
+  transformDailyData,
+  transformData
+} from "../AlphaVantageService.js";
+import { parseCsv } from "../../utils/csv.js";
+import { COMPACT_OUTPUT_SIZE } from "../../constants/cache.js";
+import logger from "../../config/logger.js";
+
+const getDataDir = () => path.resolve(process.cwd(), process.env.MARKET_DATA_DIR || 'data');
+
+// Read the first existing file for the given base name, trying JSON then CSV
+const readSeriesFile = async (baseName) => {
+  const dataDir = getDataDir();
+
+  for (const extension of ['json', 'csv']) {
+    // The base name is built from request input, so the file must stay in the data dir
+    const filePath = path.resolve(dataDir, `${baseName}.${extension}`);
+    if (!filePath.startsWith(dataDir + path.sep)) {
+      throw new Error(`Invalid local data file name: ${baseName}`);
+    }
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      logger.debug(`Reading market data from ${filePath}`);
+      return extension === 'json' ? JSON.parse(content) : parseCsv(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  throw new Error(`No local data file found for ${baseName} in ${dataDir}`);
+};
+
+// Convert flat OHLCV rows into the Alpha Vantage response layout so that the
+// existing transformers can be reused unchanged
+const toAlphaVantageFormat = (rows, metaData, timeSeriesKey, limit) => {
+  const sortedRows = rows
+    .filter(row => row && (row.timestamp || row.date))
+    .sort((a, b) => new Date(b.timestamp || b.date) - new Date(a.timestamp || a.date));
+
+  const timeSeries = {};
+  for (const row of limit ? sortedRows.slice(0, limit) : sortedRows) {
+    timeSeries[row.timestamp || row.date] = {
+      '1. open': String(row.open),
+      '2. high': String(row.high),
+      '3. low': String(row.low),
+      '4. close': String(row.close),
+      '5. volume': String(row.volume),
+      ...(row.adjusted_close !== undefined && { '5. adjusted close': String(row.adjusted_close) }),
+      ...(row.dividend_amount !== undefined && { '7. dividend amount': String(row.dividend_amount) }),
+      ...(row.split_coefficient !== undefined && { '8. split coefficient': String(row.split_coefficient) })
+    };
+  }
+
+  return {
+    'Meta Data': {
+      ...metaData,
+      '3. Last Refreshed': Object.keys(timeSeries)[0] || new Date().toISOString()
+    },
+    [timeSeriesKey]: timeSeries
+  };
+};
+
+const loadSeries = async (baseName, metaData, timeSeriesKey, outputSize) => {
+  const content = await readSeriesFile(baseName);
+  const limit = outputSize === 'full' ? null : COMPACT_OUTPUT_SIZE;
+
+  // Raw Alpha Vantage responses saved to disk are used as-is
+  if (!Array.isArray(content)) {
+    return content;
+  }
+
+  return toAlphaVantageFormat(content, metaData, timeSeriesKey, limit);
+};
+
+// Market data provider that reads OHLCV series from local CSV/JSON files.
+// Files live in MARKET_DATA_DIR and are named <SYMBOL>_daily.(json|csv) or
+// <SYMBOL>_<interval>.(json|csv), with an optional listing.csv symbol listing
+const FileProvider = {
+  name: 'file',
+
+  getDailyData: async (symbol, { outputSize = 'compact' } = {}) => {
+    const upperSymbol = symbol.toUpperCase();
+    const raw = await loadSeries(`${upperSymbol}_daily`, {
+      '1. Information': 'Daily Prices (open, high, low, close) and Volumes',
+      '2. Symbol': upperSymbol,
+      '4. Output Size': outputSize === 'full' ? 'Full size' : 'Compact',
+      '5. Time Zone': 'US/Eastern'
+    }, 'Time Series (Daily)', outputSize);
+
+    return transformDailyData(raw, upperSymbol);
+  },
+
+  getIntradayData: async (symbol, interval = '5min', { outputSize = 'compact', month } = {}) => {
+    const upperSymbol = symbol.toUpperCase();
+    const raw = await loadSeries(`${upperSymbol}_${interval}`, {
+      '1. Information': `Intraday (${interval}) open, high, low, close prices and volume`,
+      '2. Symbol': upperSymbol,
+      '4. Interval': interval,
+      '5. Output Size': outputSize === 'full' || month ? 'Full size' : 'Compact',
+      '6. Time Zone': 'US/Eastern'
+    }, `Time Series (${interval})`, month ? 'full' : outputSize);
+
+    const data = transformData(raw);
+    if (month) {
+      data.timeSeries = Object.fromEntries(
+        Object.entries(data.timeSeries).filter(([timestamp]) => timestamp.startsWith(month))
+      );
+    }
+    return data;
+  },
+
+  // Derive a quote from the two most recent daily bars
+  getQuote: async (symbol) => {
+    const { metaData, timeSeries } = await FileProvider.getDailyData(symbol);
+    const [latestDate, previousDate] = Object.keys(timeSeries)
+      .sort((a, b) => new Date(b) - new Date(a));
+
+    if (!latestDate) {
+      throw new Error(`No quote data found for ${symbol}`);
+    }
+
+    const latest = timeSeries[latestDate];
+    const previousClose = previousDate ? timeSeries[previousDate].close : latest.open;
+    const change = latest.close - previousClose;
+
+    return {
+      symbol: metaData.symbol,
+      open: latest.open,
+      high: latest.high,
+      low: latest.low,
+      price: latest.close,
+      volume: latest.volume,
+      latestTradingDay: latestDate,
+      previousClose,
+      change,
+      changePercent: previousClose ? `${((change / previousClose) * 100).toFixed(4)}%` : '0%'
+    };
+  },
+
+  // Symbol listing from listing.csv in the data directory
+  getListing: async () => {
+    const filePath = path.join(getDataDir(), 'listing.csv');
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to read ${filePath}: ${error.message}`);
+    }
+  },
+
+  // Match keywords against the symbols that have a local data file
+  searchSymbols: async (keywords) => {
+    let files;
+    try {
+      files = await fs.readdir(getDataDir());
+    } catch (error) {
+      throw new Error(`Failed to list local market data: ${error.message}`);
+    }
+
+    const needle = keywords.toUpperCase();
+    const symbols = [...new Set(files
+      .filter(file => file.includes('_'))
+      .map(file => file.split('_')[0].toUpperCase())
+      .filter(symbol => symbol.includes(needle)))];
+
+    return symbols.map(symbol => ({
+      symbol,
+      name: symbol,
+      type: 'Equity',
+      region: 'United States',
+      marketOpen: '09:30',
+      marketClose: '16:00',
+      timeZone: 'UTC-04',
+      currency: 'USD',
+      matchScore: symbol === needle ? 1 : needle.length / symbol.length
+    }));
+  }
+};
+
+export default FileProvider;
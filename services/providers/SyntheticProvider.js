@@ -0,0 +1,190 @@
+import { generateDailyBars, generateIntradayBars } from "../../utils/synthetic.js";
+import { parseIntervalMinutes } from "../../utils/resample.js";
+import { zonedParts } from "../../utils/cron.js";
+import { getSession, timeToMinutes } from "../../utils/marketCalendar.js";
+import { EXCHANGE_TIME_ZONE } from "../../constants/market.js";
+import { SYMBOL_PATTERN } from "../../constants/symbols.js";
+import { COMPACT_OUTPUT_SIZE } from "../../constants/cache.js";
+import { SYNTHETIC_START_DATE, SYNTHETIC_INTRADAY_FULL_DAYS } from "../../constants/synthetic.js";
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const getSeed = () => process.env.SYNTHETIC_SEED || '';
+
+// "YYYY-MM-DD HH:MM:SS" moved by a number of minutes (or days via 1440s)
+const shiftWallTime = (wallTime, minutes) =>
+  new Date(Date.parse(`${wallTime.replace(' ', 'T')}Z`) + minutes * 60 * 1000)
+    .toISOString()
+    .slice(0, 19)
+    .replace('T', ' ');
+
+// Exchange wall-clock time the series run up to. SYNTHETIC_END_DATE pins it to
+// the end of that day, so output is identical from run to run (e.g. in CI).
+const getAsOf = () => {
+  if (process.env.SYNTHETIC_END_DATE) {
+    return `${process.env.SYNTHETIC_END_DATE} 23:59:59`;
+  }
+  const now = zonedParts(new Date(), EXCHANGE_TIME_ZONE);
+  return `${now.year}-${pad(now.month)}-${pad(now.day)} ${pad(now.hour)}:${pad(now.minute)}:00`;
+};
+
+// Daily bars through the as-of day, including that day even if its session
+// is still open (intraday bars are built from it)
+const dailyBarsThrough = (symbol, asOf) =>
+  generateDailyBars(symbol, { startDate: SYNTHETIC_START_DATE, endDate: asOf.slice(0, 10), seed: getSeed() });
+
+// Daily bars whose regular session has closed (13:00 on early-close days)
+const completedDailyBars = (symbol, asOf) => {
+  const bars = dailyBarsThrough(symbol, asOf);
+  const today = asOf.slice(0, 10);
+  const session = getSession(today);
+  return !session || asOf.slice(11, 16) >= session.regular.close ? bars : bars.filter(bar => bar.timestamp < today);
+};
+
+// Regular session of a trading day as [open, close) minutes after midnight
+const sessionMinutes = (date) => {
+  const { regular } = getSession(date);
+  return [timeToMinutes(regular.open), timeToMinutes(regular.close)];
+};
+
+// Intraday bars of the given days that have finished by the as-of time
+const finishedIntradayBars = (symbol, days, intervalMinutes, asOf) => {
+  const latestStart = shiftWallTime(asOf, -intervalMinutes);
+  return days
+    .flatMap(day => generateIntradayBars(symbol, day, {
+      intervalMinutes,
+      session: sessionMinutes(day.timestamp),
+      seed: getSeed()
+    }))
+    .filter(bar => bar.timestamp <= latestStart);
+};
+
+// Market data provider that generates reproducible series locally, for
+// development and CI without an upstream API key. Selected with
+// DATA_MODE=synthetic or ?source=synthetic; responses carry `synthetic: true`.
+const SyntheticProvider = {
+  name: 'synthetic',
+
+  getDailyData: async (symbol, { outputSize = 'compact' } = {}) => {
+    const upperSymbol = symbol.toUpperCase();
+    const bars = completedDailyBars(upperSymbol, getAsOf());
+    const selected = outputSize === 'full' ? bars : bars.slice(-COMPACT_OUTPUT_SIZE);
+
+    const timeSeries = {};
+    for (const { timestamp, ...values } of [...selected].reverse()) {
+      timeSeries[timestamp] = { ...values, adjustedClose: values.close, dividendAmount: 0, splitCoefficient: 1 };
+    }
+
+    return {
+      metaData: {
+        information: 'Daily Prices (open, high, low, close) and Volumes (synthetic)',
+        symbol: upperSymbol,
+        lastRefreshed: Object.keys(timeSeries)[0] || '',
+        outputSize: outputSize === 'full' ? 'Full size' : 'Compact',
+        timeZone: 'US/Eastern',
+        dataType: 'daily',
+        synthetic: true
+      },
+      timeSeries
+    };
+  },
+
+  getIntradayData: async (symbol, interval = '5min', { outputSize = 'compact', month } = {}) => {
+    const upperSymbol = symbol.toUpperCase();
+    const asOf = getAsOf();
+
+    // Upstream returns a calendar month, or the trailing 30 days
+    const firstDay = shiftWallTime(asOf, -SYNTHETIC_INTRADAY_FULL_DAYS * 24 * 60).slice(0, 10);
+    const days = dailyBarsThrough(upperSymbol, asOf)
+      .filter(bar => (month ? bar.timestamp.startsWith(month) : bar.timestamp >= firstDay));
+
+    let bars = finishedIntradayBars(upperSymbol, days, parseIntervalMinutes(interval), asOf);
+    if (!month && outputSize !== 'full') {
+      bars = bars.slice(-COMPACT_OUTPUT_SIZE);
+    }
+
+    const timeSeries = {};
+    for (const bar of [...bars].reverse()) {
+      timeSeries[bar.timestamp] = {
+        '1. open': String(bar.open),
+        '2. high': String(bar.high),
+        '3. low': String(bar.low),
+        '4. close': String(bar.close),
+        '5. volume': String(bar.volume)
+      };
+    }
+
+    return {
+      metaData: {
+        information: `Intraday (${interval}) open, high, low, close prices and volume (synthetic)`,
+        symbol: upperSymbol,
+        lastRefreshed: Object.keys(timeSeries)[0] || '',
+        interval,
+        outputSize: outputSize === 'full' || month ? 'Full size' : 'Compact',
+        timeZone: 'US/Eastern',
+        dataType: 'intraday',
+        synthetic: true
+      },
+      timeSeries
+    };
+  },
+
+  // Quote from the one-minute bars of the latest session that has started
+  getQuote: async (symbol) => {
+    const upperSymbol = symbol.toUpperCase();
+    const asOf = getAsOf();
+    const daily = dailyBarsThrough(upperSymbol, asOf);
+
+    let dayIndex = daily.length - 1;
+    let bars = dayIndex >= 0 ? finishedIntradayBars(upperSymbol, [daily[dayIndex]], 1, asOf) : [];
+    if (bars.length === 0 && dayIndex > 0) {
+      // Before today's open: quote the previous session
+      dayIndex -= 1;
+      bars = finishedIntradayBars(upperSymbol, [daily[dayIndex]], 1, asOf);
+    }
+    if (bars.length === 0) {
+      throw new Error(`No synthetic quote data for ${upperSymbol}`);
+    }
+
+    const session = daily[dayIndex];
+    const previousClose = dayIndex > 0 ? daily[dayIndex - 1].close : session.open;
+    const price = bars[bars.length - 1].close;
+    const change = price - previousClose;
+
+    return {
+      symbol: upperSymbol,
+      open: session.open,
+      high: Math.max(...bars.map(bar => bar.high)),
+      low: Math.min(...bars.map(bar => bar.low)),
+      price,
+      volume: bars.reduce((sum, bar) => sum + bar.volume, 0),
+      latestTradingDay: session.timestamp,
+      previousClose,
+      change: Number(change.toFixed(4)),
+      changePercent: previousClose ? `${((change / previousClose) * 100).toFixed(4)}%` : '0%',
+      synthetic: true
+    };
+  },
+
+  // Any well-formed ticker "exists" in synthetic mode
+  searchSymbols: async (keywords) => {
+    const symbol = String(keywords).trim().toUpperCase();
+    if (!SYMBOL_PATTERN.test(symbol)) {
+      return [];
+    }
+    return [{
+      symbol,
+      name: `${symbol} (synthetic)`,
+      type: 'Equity',
+      region: 'United States',
+      marketOpen: '09:30',
+      marketClose: '16:00',
+      timeZone: 'UTC-04',
+      currency: 'USD',
+      matchScore: 1,
+      synthetic: true
+    }];
+  }
+};
+
+export default SyntheticProvider;
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { monthRange, monthsBefore, createBackfill } from '../services/BackfillService.js';
+import ApiError from '../utils/ApiError.js';
+
+describe('monthRange', () => {
+  it('lists every month between the bounds, inclusive', () => {
+    assert.deepEqual(monthRange('2024-01', '2024-04'), ['2024-01', '2024-02', '2024-03', '2024-04']);
+  });
+
+  it('crosses year boundaries', () => {
+    assert.deepEqual(monthRange('2023-11', '2024-02'), ['2023-11', '2023-12', '2024-01', '2024-02']);
+  });
+
+  it('returns a single month when the bounds are equal', () => {
+    assert.deepEqual(monthRange('2024-06', '2024-06'), ['2024-06']);
+  });
+
+  it('returns nothing when the start is after the end', () => {
+    assert.deepEqual(monthRange('2024-06', '2024-05'), []);
+  });
+});
+
+describe('monthsBefore', () => {
+  it('returns the first month of a window ending at the given month', () => {
+    assert.equal(monthsBefore('2024-06', 1), '2024-06');
+    assert.equal(monthsBefore('2024-06', 6), '2024-01');
+    assert.equal(monthsBefore('2024-02', 24), '2022-03');
+  });
+
+  it('matches the length of the range it starts', () => {
+    assert.equal(monthRange(monthsBefore('2024-02', 14), '2024-02').length, 14);
+  });
+});
+
+describe('createBackfill', () => {
+  it('is unavailable without a database', async () => {
+    await assert.rejects(
+      createBackfill({ symbol: 'AAPL', interval: '5min', startMonth: '2024-01', endMonth: '2024-02' }),
+      error => error instanceof ApiError && error.statusCode === 503
+    );
+  });
+});
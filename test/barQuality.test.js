@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { barIssues, findOutliers } from '../utils/barQuality.js';
+
+const bar = (overrides = {}) => ({ open: 10, high: 12, low: 9, close: 11, volume: 1000, ...overrides });
+
+const series = (closes, extra = {}) => closes.map((close, index) => ({
+  timestamp: `2024-01-${String(index + 2).padStart(2, '0')}`,
+  close,
+  ...extra[index]
+}));
+
+describe('barIssues', () => {
+  it('finds nothing wrong with a valid bar', () => {
+    assert.deepEqual(barIssues(bar()), []);
+    assert.deepEqual(barIssues(bar({ open: 9, close: 12, volume: 0 })), []);
+  });
+
+  it('reports unparseable prices on their own', () => {
+    assert.deepEqual(barIssues(bar({ close: NaN, volume: -1 })), ['unparseable_price']);
+  });
+
+  it('reports prices that are not positive', () => {
+    assert.deepEqual(barIssues(bar({ open: 0, low: 0 })), ['non_positive_price']);
+  });
+
+  it('reports a high below the low', () => {
+    assert.deepEqual(barIssues(bar({ high: 8 })), ['high_below_low']);
+  });
+
+  it('reports an open or close outside the high-low range', () => {
+    assert.deepEqual(barIssues(bar({ open: 13 })), ['outside_high_low_range']);
+    assert.deepEqual(barIssues(bar({ close: 8.5 })), ['outside_high_low_range']);
+  });
+
+  it('reports bad volumes', () => {
+    assert.deepEqual(barIssues(bar({ volume: NaN })), ['unparseable_volume']);
+    assert.deepEqual(barIssues(bar({ volume: -5 })), ['negative_volume']);
+  });
+
+  it('reports every problem a bar has', () => {
+    assert.deepEqual(barIssues(bar({ open: -1, high: 5, volume: -5 })), ['non_positive_price', 'high_below_low', 'negative_volume']);
+  });
+});
+
+describe('findOutliers', () => {
+  it('flags a spike and the move back from it', () => {
+    const outliers = findOutliers(series([100, 101, 100, 102, 1010, 101, 102]));
+
+    assert.deepEqual(outliers, [
+      { timestamp: '2024-01-06', close: 1010, previousClose: 102, change: 8.902 },
+      { timestamp: '2024-01-07', close: 101, previousClose: 1010, change: -0.9 }
+    ]);
+  });
+
+  it('leaves ordinary moves alone', () => {
+    assert.deepEqual(findOutliers(series([100, 101, 100, 102, 104, 103, 105])), []);
+  });
+
+  it('skips moves on split dates', () => {
+    assert.deepEqual(findOutliers(series([100, 101, 100, 102, 51, 52], { 4: { splitCoefficient: 2 } })), []);
+  });
+
+  it('needs at least two moves to compare', () => {
+    assert.deepEqual(findOutliers(series([100, 1000])), []);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronRun } from '../utils/cron.js';
+
+const next = (expression, from, timeZone) => nextCronRun(expression, new Date(from), timeZone)?.toISOString();
+
+describe('nextCronRun', () => {
+  it('finds the next matching minute', () => {
+    assert.equal(next('*/5 * * * *', '2024-01-01T00:02:30Z'), '2024-01-01T00:05:00.000Z');
+  });
+
+  it('is strictly after the start time', () => {
+    assert.equal(next('*/5 * * * *', '2024-01-01T00:05:00Z'), '2024-01-01T00:10:00.000Z');
+  });
+
+  it('evaluates the schedule in the given time zone', () => {
+    // Friday 18:00 in New York: the next weekday 17:15 is Monday
+    assert.equal(next('15 17 * * 1-5', '2024-01-05T23:00:00Z', 'America/New_York'), '2024-01-08T22:15:00.000Z');
+    assert.equal(next('15 17 * * 1-5', '2024-07-05T20:00:00Z', 'America/New_York'), '2024-07-05T21:15:00.000Z');
+  });
+
+  it('skips wall-clock times that do not exist on the spring-forward day', () => {
+    assert.equal(next('30 2 * * *', '2024-03-10T05:00:00Z', 'America/New_York'), '2024-03-11T06:30:00.000Z');
+  });
+
+  it('matches either day field when both are restricted', () => {
+    assert.equal(next('0 0 13 * 5', '2024-01-01T00:00:00Z'), '2024-01-05T00:00:00.000Z');
+    assert.equal(next('0 0 13 * 5', '2024-01-12T00:00:00Z'), '2024-01-13T00:00:00.000Z');
+  });
+
+  it('accepts names and 7 for Sunday', () => {
+    assert.equal(next('0 12 * * 7', '2024-01-01T00:00:00Z'), '2024-01-07T12:00:00.000Z');
+    assert.equal(next('0 12 1 FEB SUN', '2024-01-01T00:00:00Z'), '2024-02-01T12:00:00.000Z');
+  });
+
+  it('finds schedules years ahead', () => {
+    assert.equal(next('0 0 29 2 *', '2024-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+  });
+
+  it('returns null when the schedule never matches', () => {
+    assert.equal(nextCronRun('0 0 31 2 *', new Date('2024-01-01T00:00:00Z')), null);
+  });
+});
+
+describe('parseCron', () => {
+  it('rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * * *'), /must have 5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /outside 0-59/);
+    assert.throws(() => parseCron('*/0 * * * *'), /step/);
+    assert.throws(() => parseCron('5-1 * * * *'), /range/);
+  });
+});
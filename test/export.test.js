@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import express from 'express';
+import { exportSeries } from '../services/ExportService.js';
+
+const minuteSeries = (count) => {
+  const timeSeries = {};
+  for (let index = 0; index < count; index++) {
+    const timestamp = new Date(Date.UTC(2024, 0, 2) + index * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+    timeSeries[timestamp] = { '1. open': '1', '2. high': '2', '3. low': '0.5', '4. close': '1.5', '5. volume': '100' };
+  }
+  return { metaData: {}, timeSeries };
+};
+
+// Serves one export and resolves with its outcome once exportSeries returns
+const serveExport = (data, format) => {
+  let settle;
+  const finished = new Promise(resolve => { settle = resolve; });
+  const app = express();
+  app.get('/', (req, res) => {
+    exportSeries(req, res, { type: 'intraday', format, data, source: 'test', filename: 'AAPL_5min' })
+      .then(() => settle('returned'), error => settle(error));
+  });
+  const server = app.listen(0);
+  return { server, finished, url: () => `http://localhost:${server.address().port}/` };
+};
+
+describe('exportSeries', () => {
+  it('writes CSV rows with a header', async () => {
+    const { server, url } = serveExport(minuteSeries(2), 'csv');
+    await new Promise(resolve => server.once('listening', resolve));
+
+    const response = await fetch(url());
+    const lines = (await response.text()).trim().split('\n');
+    server.close();
+
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="AAPL_5min.csv"');
+    assert.deepEqual(lines, [
+      'timestamp,open,high,low,close,volume',
+      '2024-01-02 00:00:00,1,2,0.5,1.5,100',
+      '2024-01-02 00:01:00,1,2,0.5,1.5,100'
+    ]);
+  });
+
+  it('stops when the client disconnects while the socket buffer is full', async () => {
+    const { server, finished, url } = serveExport(minuteSeries(200000), 'ndjson');
+    await new Promise(resolve => server.once('listening', resolve));
+
+    // Never read the body, so the server's writes back up, then hang up
+    const request = http.get(url(), response => {
+      response.pause();
+      setTimeout(() => request.destroy(), 200);
+    });
+    request.on('error', () => {});
+
+    const outcome = await Promise.race([
+      finished,
+      new Promise(resolve => setTimeout(() => resolve('still waiting'), 5000).unref())
+    ]);
+    server.close();
+
+    assert.equal(outcome, 'returned');
+  });
+});
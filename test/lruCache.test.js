@@ -0,0 +1,67 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import LruCache from '../utils/LruCache.js';
+
+const realNow = Date.now;
+
+describe('LruCache', () => {
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  it('returns stored entries with when they were stored', () => {
+    Date.now = () => 1000;
+    const cache = new LruCache(2);
+    cache.set('AAPL', { close: 1 }, 60);
+
+    assert.deepEqual(cache.get('AAPL'), { value: { close: 1 }, storedAt: 1000, expiresAt: 61000 });
+    assert.equal(cache.get('MSFT'), undefined);
+  });
+
+  it('expires entries after their TTL', () => {
+    let now = 0;
+    Date.now = () => now;
+    const cache = new LruCache();
+    cache.set('AAPL', 1, 10);
+
+    now = 9999;
+    assert.equal(cache.get('AAPL').value, 1);
+    now = 10000;
+    assert.equal(cache.get('AAPL'), undefined);
+    assert.equal(cache.size, 0);
+  });
+
+  it('evicts the least recently used entry beyond its size', () => {
+    const cache = new LruCache(2);
+    cache.set('a', 1, 60);
+    cache.set('b', 2, 60);
+    // Reading "a" makes "b" the least recently used
+    cache.get('a');
+    cache.set('c', 3, 60);
+
+    assert.equal(cache.size, 2);
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a').value, 1);
+    assert.equal(cache.get('c').value, 3);
+  });
+
+  it('replaces an entry without growing', () => {
+    const cache = new LruCache(2);
+    cache.set('a', 1, 60);
+    cache.set('a', 2, 60);
+
+    assert.equal(cache.size, 1);
+    assert.equal(cache.get('a').value, 2);
+  });
+
+  it('deletes and clears entries', () => {
+    const cache = new LruCache();
+    cache.set('a', 1, 60);
+    cache.set('b', 2, 60);
+
+    cache.delete('a');
+    assert.equal(cache.get('a'), undefined);
+    cache.clear();
+    assert.equal(cache.size, 0);
+  });
+});
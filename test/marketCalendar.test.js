@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getHoliday,
+  isTradingDay,
+  tradingDaysBetween,
+  getEarlyClose,
+  nextTradingDay,
+  previousTradingDay,
+  getSession,
+  getMarketPhase,
+  isRegularSessionClosed
+} from '../utils/marketCalendar.js';
+
+describe('market calendar', () => {
+  it('closes on fixed and floating holidays', () => {
+    assert.equal(getHoliday('2024-07-04'), 'Independence Day');
+    assert.equal(getHoliday('2024-01-15'), 'Martin Luther King Jr. Day');
+    assert.equal(getHoliday('2024-03-29'), 'Good Friday');
+    assert.equal(isTradingDay('2024-07-04'), false);
+    assert.equal(isTradingDay('2024-07-05'), true);
+  });
+
+  it('closes on weekends', () => {
+    assert.equal(isTradingDay('2024-07-06'), false);
+    assert.equal(isTradingDay('2024-07-07'), false);
+  });
+
+  it('observes weekend holidays on the nearest weekday', () => {
+    // Christmas 2021 fell on a Saturday, Juneteenth 2022 on a Sunday
+    assert.equal(getHoliday('2021-12-24'), 'Christmas Day');
+    assert.equal(getHoliday('2022-06-20'), 'Juneteenth');
+    assert.equal(getHoliday('2023-01-02'), "New Year's Day");
+  });
+
+  it('does not close the Friday before a Saturday New Year', () => {
+    assert.equal(getHoliday('2021-12-31'), null);
+    assert.equal(isTradingDay('2021-12-31'), true);
+  });
+
+  it('includes special closures', () => {
+    assert.equal(isTradingDay('2025-01-09'), false);
+  });
+
+  it('counts trading days and steps over closures', () => {
+    assert.deepEqual(tradingDaysBetween('2024-07-01', '2024-07-07'), ['2024-07-01', '2024-07-02', '2024-07-03', '2024-07-05']);
+    assert.equal(nextTradingDay('2024-07-03'), '2024-07-05');
+    assert.equal(previousTradingDay('2024-07-08'), '2024-07-05');
+    assert.equal(nextTradingDay('2024-03-28'), '2024-04-01');
+  });
+
+  it('knows the early closes', () => {
+    assert.equal(getEarlyClose('2024-11-29'), 'Day after Thanksgiving');
+    assert.equal(getEarlyClose('2024-07-03'), 'Independence Day Eve');
+    assert.equal(getEarlyClose('2024-12-24'), 'Christmas Eve');
+    assert.equal(getEarlyClose('2024-11-28'), null);
+  });
+
+  it('shortens the sessions of early-close days', () => {
+    const session = getSession('2024-11-29');
+    assert.deepEqual(session.regular, { open: '09:30', close: '13:00' });
+    assert.deepEqual(session.afterHours, { open: '13:00', close: '17:00' });
+    assert.deepEqual(getSession('2024-11-27').regular, { open: '09:30', close: '16:00' });
+    assert.equal(getSession('2024-11-28'), null);
+  });
+
+  it('reports the phase in exchange time across daylight saving', () => {
+    // 2024-01-02 is EST (UTC-5), 2024-07-01 is EDT (UTC-4)
+    assert.equal(getMarketPhase(new Date('2024-01-02T08:59:00Z')).phase, 'closed');
+    assert.equal(getMarketPhase(new Date('2024-01-02T14:00:00Z')).phase, 'pre-market');
+    assert.equal(getMarketPhase(new Date('2024-01-02T14:30:00Z')).phase, 'open');
+    assert.equal(getMarketPhase(new Date('2024-01-02T21:00:00Z')).phase, 'after-hours');
+    assert.equal(getMarketPhase(new Date('2024-01-03T01:00:00Z')).phase, 'closed');
+    assert.equal(getMarketPhase(new Date('2024-07-01T13:30:00Z')).phase, 'open');
+    assert.equal(getMarketPhase(new Date('2024-07-04T15:00:00Z')).phase, 'closed');
+  });
+
+  it('reports the phase on early-close days', () => {
+    assert.equal(getMarketPhase(new Date('2024-11-29T17:59:00Z')).phase, 'open');
+    assert.equal(getMarketPhase(new Date('2024-11-29T18:30:00Z')).phase, 'after-hours');
+    assert.equal(getMarketPhase(new Date('2024-11-29T22:30:00Z')).phase, 'closed');
+  });
+
+  it('knows when a regular session is over', () => {
+    assert.equal(isRegularSessionClosed('2024-11-29', new Date('2024-11-29T17:59:00Z')), false);
+    assert.equal(isRegularSessionClosed('2024-11-29', new Date('2024-11-29T18:00:00Z')), true);
+    assert.equal(isRegularSessionClosed('2024-07-04', new Date('2024-07-04T04:00:00Z')), true);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { replayPortfolio } from '../services/PortfolioService.js';
+import ApiError from '../utils/ApiError.js';
+
+const bar = (timestamp, close, extra = {}) => ({ timestamp, close, ...extra });
+
+const buy = (date, quantity, price, extra = {}) => ({ symbol: 'AAPL', type: 'buy', date, quantity, price, ...extra });
+const sell = (date, quantity, price, extra = {}) => ({ symbol: 'AAPL', type: 'sell', date, quantity, price, ...extra });
+const dividend = (date, amount) => ({ symbol: 'AAPL', type: 'dividend', date, amount });
+
+const position = (result) => result.positions.find(entry => entry.symbol === 'AAPL');
+
+const bars = {
+  AAPL: [
+    bar('2024-01-02', 100),
+    bar('2024-01-03', 120),
+    bar('2024-01-04', 130)
+  ]
+};
+
+const trades = [
+  buy('2024-01-02', 10, 100),
+  buy('2024-01-03', 10, 120),
+  sell('2024-01-04', 15, 130)
+];
+
+describe('replayPortfolio', () => {
+  it('sells the oldest lots first with FIFO', () => {
+    const result = replayPortfolio(trades, bars, { method: 'fifo', to: '2024-01-04' });
+    const aapl = position(result);
+
+    // 15 sold: all 10 at 100, then 5 at 120
+    assert.equal(aapl.quantity, 5);
+    assert.equal(aapl.costBasis, 600);
+    assert.equal(aapl.realizedPnl, 15 * 130 - (10 * 100 + 5 * 120));
+    assert.equal(aapl.unrealizedPnl, 5 * 130 - 600);
+    assert.equal(result.totals.cash, -1000 - 1200 + 1950);
+  });
+
+  it('sells at the running average with average cost', () => {
+    const aapl = position(replayPortfolio(trades, bars, { method: 'average', to: '2024-01-04' }));
+
+    assert.equal(aapl.quantity, 5);
+    assert.equal(aapl.averageCost, 110);
+    assert.equal(aapl.costBasis, 550);
+    assert.equal(aapl.realizedPnl, 15 * 130 - 15 * 110);
+  });
+
+  it('includes fees in the cost and the proceeds', () => {
+    const aapl = position(replayPortfolio(
+      [buy('2024-01-02', 10, 100, { fees: 5 }), sell('2024-01-04', 10, 130, { fees: 5 })],
+      bars,
+      { to: '2024-01-04' }
+    ));
+
+    assert.equal(aapl.realizedPnl, (1300 - 5) - (1000 + 5));
+    assert.equal(aapl.fees, 10);
+  });
+
+  it('applies same-day trades in the order they were recorded', () => {
+    const transactions = [
+      sell('2024-01-03', 10, 125, { createdAt: new Date('2024-01-03T15:00:00Z') }),
+      buy('2024-01-03', 10, 120, { createdAt: new Date('2024-01-03T14:00:00Z') })
+    ];
+    const aapl = position(replayPortfolio(transactions, bars, { to: '2024-01-04' }));
+
+    assert.equal(aapl.quantity, 0);
+    assert.equal(aapl.realizedPnl, 50);
+  });
+
+  it('rejects a sell of more shares than are held', () => {
+    const transactions = [
+      buy('2024-01-03', 10, 120, { createdAt: new Date('2024-01-03T15:00:00Z') }),
+      sell('2024-01-03', 10, 125, { createdAt: new Date('2024-01-03T14:00:00Z') })
+    ];
+
+    assert.throws(
+      () => replayPortfolio(transactions, bars, { to: '2024-01-04' }),
+      error => error instanceof ApiError && error.statusCode === 400 && /exceeds the 0 shares held/.test(error.message)
+    );
+  });
+
+  it('multiplies shares on a split without changing the cost', () => {
+    const aapl = position(replayPortfolio(
+      [buy('2024-01-02', 10, 100)],
+      { AAPL: [bar('2024-01-02', 100), bar('2024-01-03', 52, { splitCoefficient: 2 })] },
+      { to: '2024-01-03' }
+    ));
+
+    assert.equal(aapl.quantity, 20);
+    assert.equal(aapl.costBasis, 1000);
+    assert.equal(aapl.averageCost, 50);
+  });
+
+  describe('dividends', () => {
+    const dividendBars = {
+      AAPL: [
+        bar('2024-01-02', 100),
+        bar('2024-02-09', 110, { dividendAmount: 0.5 }),
+        bar('2024-02-15', 111),
+        bar('2024-05-10', 112, { dividendAmount: 0.5 })
+      ]
+    };
+
+    it('pays stored dividends on the shares held before the ex-date', () => {
+      const transactions = [buy('2024-01-02', 10, 100), buy('2024-02-09', 10, 110)];
+      const aapl = position(replayPortfolio(transactions, dividendBars, { to: '2024-02-15' }));
+
+      // Shares bought on the ex-date do not receive the dividend
+      assert.equal(aapl.dividendIncome, 5);
+    });
+
+    it('lets a recorded dividend replace the stored one it was paid for', () => {
+      const transactions = [buy('2024-01-02', 10, 100), dividend('2024-02-15', 4.9)];
+      const aapl = position(replayPortfolio(transactions, dividendBars, { to: '2024-02-20' }));
+
+      assert.equal(aapl.dividendIncome, 4.9);
+    });
+
+    it('keeps later stored dividends after a recorded one', () => {
+      const transactions = [buy('2024-01-02', 10, 100), dividend('2024-02-15', 4.9)];
+      const aapl = position(replayPortfolio(transactions, dividendBars, { to: '2024-05-10' }));
+
+      assert.equal(aapl.dividendIncome, 4.9 + 5);
+    });
+
+    it('adds a recorded dividend with no stored ex-date in the window', () => {
+      const transactions = [buy('2024-01-02', 10, 100), dividend('2024-04-30', 3)];
+      const aapl = position(replayPortfolio(transactions, dividendBars, { to: '2024-05-01' }));
+
+      // The February ex-date is more than 60 days before, so it is still paid
+      assert.equal(aapl.dividendIncome, 5 + 3);
+    });
+  });
+
+  it('builds the equity curve from the requested date', () => {
+    const { curve } = replayPortfolio(trades, bars, { from: '2024-01-03', to: '2024-01-04', includeCurve: true });
+
+    assert.deepEqual(curve.map(point => point.date), ['2024-01-03', '2024-01-04']);
+    assert.equal(curve[0].marketValue, 20 * 120);
+    assert.equal(curve[1].marketValue, 5 * 130);
+    assert.equal(curve[1].realizedPnl, 350);
+  });
+});
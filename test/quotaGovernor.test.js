@@ -0,0 +1,70 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import ApiError from '../utils/ApiError.js';
+import { runWithRequestContext } from '../utils/requestContext.js';
+import { scheduleUpstreamCall, reportThrottled, getQuotaStatus } from '../services/QuotaGovernor.js';
+
+// The governor keeps its windows in module state, so these tests run in order
+// against one clock that only moves forward. Budget: the default 5 calls a minute.
+const realNow = Date.now;
+let now = realNow();
+
+const advance = (ms) => {
+  now += ms;
+  mock.timers.tick(ms);
+};
+
+describe('QuotaGovernor', () => {
+  before(() => {
+    Date.now = () => now;
+    mock.timers.enable({ apis: ['setTimeout'] });
+  });
+
+  after(() => {
+    mock.timers.reset();
+    Date.now = realNow;
+  });
+
+  it('runs calls within the budget straight away and charges them to the request', async () => {
+    const context = { upstreamCalls: 0 };
+    const results = await runWithRequestContext(context, () => Promise.all(
+      [1, 2, 3, 4, 5].map(index => scheduleUpstreamCall(async () => index))
+    ));
+
+    assert.deepEqual(results, [1, 2, 3, 4, 5]);
+    assert.equal(context.upstreamCalls, 5);
+    assert.equal(getQuotaStatus().perMinute.remaining, 0);
+  });
+
+  it('rejects a call that would wait longer than maxWaitMs', async () => {
+    await assert.rejects(
+      scheduleUpstreamCall(async () => 'never', { maxWaitMs: 1000 }),
+      error => error instanceof ApiError && error.statusCode === 429 && error.retryAfter === 60
+    );
+    assert.equal(getQuotaStatus().queue.depth, 0);
+  });
+
+  it('runs queued interactive calls ahead of background ones', async () => {
+    const order = [];
+    const background = scheduleUpstreamCall(async () => order.push('background'), { priority: 'background' });
+    const interactive = scheduleUpstreamCall(async () => order.push('interactive'), { maxWaitMs: 120000 });
+
+    assert.deepEqual(getQuotaStatus().queue, { depth: 2, interactive: 1, background: 1, estimatedWaitSeconds: 60 });
+
+    advance(60 * 1000);
+    await Promise.all([background, interactive]);
+
+    assert.deepEqual(order, ['interactive', 'background']);
+    assert.equal(getQuotaStatus().perMinute.remaining, 3);
+  });
+
+  it('treats the current minute as spent when the upstream throttles', () => {
+    advance(61 * 1000);
+    assert.equal(getQuotaStatus().perMinute.remaining, 5);
+
+    reportThrottled();
+    const { perMinute } = getQuotaStatus();
+    assert.equal(perMinute.remaining, 0);
+    assert.equal(perMinute.resetsInSeconds, 60);
+  });
+});
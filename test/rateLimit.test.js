@@ -0,0 +1,123 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryRateLimitStore } from '../services/RateLimitStore.js';
+import { createRateLimiter } from '../middlewares/stockMiddleware.js';
+import ApiError from '../utils/ApiError.js';
+
+const tier = { capacity: 3, refillPerSecond: 1 };
+
+describe('MemoryRateLimitStore', () => {
+  it('allows a burst up to the capacity, then refuses', async () => {
+    const store = new MemoryRateLimitStore();
+    const results = [];
+    for (let index = 0; index < 4; index++) {
+      results.push(await store.consume('ip:1.2.3.4', tier, 1, 0));
+    }
+
+    assert.deepEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+    assert.deepEqual(results[2], { allowed: true, limit: 3, remaining: 0, resetSeconds: 3, retryAfter: 0 });
+    assert.deepEqual(results[3], { allowed: false, limit: 3, remaining: 0, resetSeconds: 3, retryAfter: 1 });
+  });
+
+  it('refills at the tier rate without going over the capacity', async () => {
+    const store = new MemoryRateLimitStore();
+    for (let index = 0; index < 3; index++) {
+      await store.consume('ip:1.2.3.4', tier, 1, 0);
+    }
+
+    assert.equal((await store.consume('ip:1.2.3.4', tier, 1, 999)).allowed, false);
+    assert.equal((await store.consume('ip:1.2.3.4', tier, 1, 1000)).allowed, true);
+    assert.equal((await store.consume('ip:1.2.3.4', tier, 1, 60000)).remaining, 2);
+  });
+
+  it('keeps a bucket per key', async () => {
+    const store = new MemoryRateLimitStore();
+    for (let index = 0; index < 3; index++) {
+      await store.consume('ip:1.2.3.4', tier, 1, 0);
+    }
+
+    assert.equal((await store.consume('ip:5.6.7.8', tier, 1, 0)).allowed, true);
+  });
+
+  it('drops full buckets when sweeping', async () => {
+    const store = new MemoryRateLimitStore();
+    await store.consume('ip:1.2.3.4', tier, 1, 0);
+
+    store.sweep(999);
+    assert.equal(store.buckets.size, 1);
+    store.sweep(1000);
+    assert.equal(store.buckets.size, 0);
+  });
+});
+
+describe('createRateLimiter', () => {
+  const request = (headers = {}) => ({ ip: '1.2.3.4', get: (name) => headers[name.toLowerCase()] });
+  const response = () => ({ headers: {}, set(values) { Object.assign(this.headers, values); } });
+
+  // Runs the middleware and resolves with what it passed to next()
+  const run = (limiter, req, res) => new Promise(resolve => limiter(req, res, resolve));
+
+  const limiter = () => createRateLimiter({
+    store: new MemoryRateLimitStore(),
+    tiers: { anonymous: { capacity: 2, refillPerSecond: 0.5 }, standard: { capacity: 10, refillPerSecond: 1 } }
+  });
+
+  it('sets the RateLimit headers from the caller\'s tier', async () => {
+    const res = response();
+    assert.equal(await run(limiter(), request(), res), undefined);
+
+    assert.deepEqual(res.headers, {
+      'RateLimit-Policy': '2;w=4',
+      'RateLimit-Limit': '2',
+      'RateLimit-Remaining': '1',
+      'RateLimit-Reset': '2'
+    });
+  });
+
+  it('refuses with a 429 carrying retryAfter once the bucket is empty', async () => {
+    const rateLimiter = limiter();
+    await run(rateLimiter, request(), response());
+    await run(rateLimiter, request(), response());
+    const error = await run(rateLimiter, request(), response());
+
+    assert.ok(error instanceof ApiError);
+    assert.equal(error.statusCode, 429);
+    assert.equal(error.retryAfter, 2);
+  });
+
+  it('limits callers with an API key by key, on the standard tier', async () => {
+    const rateLimiter = limiter();
+    await run(rateLimiter, request(), response());
+    await run(rateLimiter, request(), response());
+
+    const res = response();
+    assert.equal(await run(rateLimiter, request({ 'x-api-key': 'secret' }), res), undefined);
+    assert.equal(res.headers['RateLimit-Limit'], '10');
+  });
+});
+
+describe('RATE_LIMIT_TIERS', () => {
+  const loadTiers = async (value) => {
+    process.env.RATE_LIMIT_TIERS = value;
+    // A fresh copy of the module, so it parses the variable again
+    const { RATE_LIMIT_TIERS } = await import(`../constants/rateLimit.js?tiers=${encodeURIComponent(value)}`);
+    return RATE_LIMIT_TIERS;
+  };
+
+  after(() => {
+    delete process.env.RATE_LIMIT_TIERS;
+  });
+
+  it('merges overrides into the default tiers', async () => {
+    const tiers = await loadTiers('{"premium":{"capacity":1000,"refillPerSecond":20}}');
+
+    assert.deepEqual(tiers.premium, { capacity: 1000, refillPerSecond: 20 });
+    assert.deepEqual(tiers.standard, { capacity: 60, refillPerSecond: 1 });
+  });
+
+  it('refuses malformed overrides', async () => {
+    await assert.rejects(loadTiers('{premium'), /Invalid RATE_LIMIT_TIERS/);
+    await assert.rejects(loadTiers('[]'), /expected a JSON object/);
+    await assert.rejects(loadTiers('{"premium":{"capacity":"10","refillPerSecond":1}}'), /tier "premium"/);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import UsageEvent from '../models/UsageEventModel.js';
+import UsageDaily from '../models/UsageDailyModel.js';
+import { recordUsageEvent, flushUsage } from '../services/UsageService.js';
+
+// No MongoDB here: the connection reports ready and the writes are stubbed
+Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+
+let inserted;
+let rollups;
+let insertError;
+let rollupError;
+
+UsageEvent.insertMany = async (events) => {
+  if (insertError) {
+    throw insertError;
+  }
+  inserted.push(...events);
+};
+UsageDaily.bulkWrite = async (operations) => {
+  if (rollupError) {
+    throw rollupError;
+  }
+  rollups.push(...operations);
+};
+
+const usageEvent = (overrides = {}) => ({
+  timestamp: new Date('2024-01-02T15:00:00Z'),
+  clientId: 'client-1',
+  clientName: 'Client',
+  endpoint: 'GET /api/stocks/:symbol/daily',
+  symbols: ['AAPL'],
+  servedFrom: 'cache',
+  source: 'cache',
+  upstreamCalls: 0,
+  statusCode: 200,
+  latencyMs: 12,
+  ...overrides
+});
+
+const connectionError = () => new mongoose.mongo.MongoNetworkError('connection reset');
+
+describe('flushUsage', () => {
+  beforeEach(async () => {
+    insertError = null;
+    rollupError = null;
+    await flushUsage();
+    inserted = [];
+    rollups = [];
+  });
+
+  it('folds events into one rollup per day, client and endpoint', async () => {
+    recordUsageEvent(usageEvent());
+    recordUsageEvent(usageEvent({ servedFrom: 'upstream', upstreamCalls: 1, latencyMs: 40 }));
+    recordUsageEvent(usageEvent({ statusCode: 404, latencyMs: 3 }));
+    await flushUsage();
+
+    assert.equal(inserted.length, 3);
+    assert.equal(rollups.length, 1);
+    const { filter, update } = rollups[0].updateOne;
+    assert.deepEqual(filter, { date: '2024-01-02', clientId: 'client-1', endpoint: 'GET /api/stocks/:symbol/daily' });
+    assert.deepEqual(update.$inc, {
+      requests: 3,
+      cacheHits: 2,
+      upstreamRequests: 1,
+      upstreamCalls: 1,
+      clientErrors: 1,
+      serverErrors: 0,
+      totalLatencyMs: 55
+    });
+    assert.deepEqual(update.$max, { maxLatencyMs: 40 });
+  });
+
+  it('still writes the rollups when the raw insert fails', async () => {
+    insertError = new Error('document failed validation');
+    recordUsageEvent(usageEvent());
+    await flushUsage();
+
+    assert.equal(rollups.length, 1);
+    insertError = null;
+    await flushUsage();
+    assert.equal(inserted.length, 0);
+  });
+
+  it('retries events whose insert lost the connection, keeping their ids', async () => {
+    insertError = connectionError();
+    recordUsageEvent(usageEvent());
+    await flushUsage();
+    assert.equal(rollups.length, 1);
+
+    insertError = null;
+    recordUsageEvent(usageEvent({ clientId: 'client-2' }));
+    await flushUsage();
+
+    assert.deepEqual(inserted.map(event => event.clientId), ['client-1', 'client-2']);
+    assert.ok(inserted[0]._id instanceof mongoose.Types.ObjectId);
+    // The first event's rollup was already written and is not repeated
+    assert.deepEqual(rollups.map(operation => operation.updateOne.filter.clientId), ['client-1', 'client-2']);
+  });
+
+  it('retries rollups that lost the connection', async () => {
+    rollupError = connectionError();
+    recordUsageEvent(usageEvent());
+    await flushUsage();
+    assert.equal(inserted.length, 1);
+    assert.equal(rollups.length, 0);
+
+    rollupError = null;
+    await flushUsage();
+    assert.equal(inserted.length, 1);
+    assert.equal(rollups.length, 1);
+  });
+
+  it('ignores duplicate keys from an insert that got through before', async () => {
+    insertError = Object.assign(new Error('E11000 duplicate key'), { writeErrors: [{ code: 11000 }] });
+    recordUsageEvent(usageEvent());
+    await flushUsage();
+
+    insertError = null;
+    await flushUsage();
+    assert.equal(inserted.length, 0);
+    assert.equal(rollups.length, 1);
+  });
+});
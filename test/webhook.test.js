@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { signPayload } from '../services/WebhookService.js';
+import { assertPublicWebhookUrl, webhookHttpAgent } from '../utils/webhookTarget.js';
+import ApiError from '../utils/ApiError.js';
+
+describe('signPayload', () => {
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const body = JSON.stringify({ symbol: 'AAPL', price: 190 });
+    const expected = crypto.createHmac('sha256', 'secret').update(`1704196800.${body}`).digest('hex');
+
+    assert.equal(signPayload('secret', 1704196800, body), expected);
+    assert.notEqual(signPayload('other', 1704196800, body), expected);
+  });
+});
+
+describe('assertPublicWebhookUrl', () => {
+  const refused = (message) => (error) => error instanceof ApiError && error.statusCode === 400 && error.message === message;
+
+  it('accepts public addresses', async () => {
+    await assertPublicWebhookUrl('https://8.8.8.8/hook');
+    await assertPublicWebhookUrl('http://[2001:4860:4860::8888]:8080/hook');
+  });
+
+  it('refuses URLs that are not http(s)', async () => {
+    for (const url of ['not a url', 'ftp://8.8.8.8/hook', 'file:///etc/passwd']) {
+      await assert.rejects(assertPublicWebhookUrl(url), refused('webhookUrl must be an http(s) URL'), url);
+    }
+  });
+
+  it('refuses loopback, private, link-local and reserved addresses', async () => {
+    for (const url of [
+      'http://127.0.0.1/hook',
+      'http://10.1.2.3/hook',
+      'http://172.16.0.1/hook',
+      'http://192.168.1.1/hook',
+      'http://169.254.169.254/latest/meta-data',
+      'http://0.0.0.0/hook',
+      'http://[::1]/hook',
+      'http://[fd00::1]/hook',
+      'http://[fe80::1]/hook',
+      'http://[::ffff:10.0.0.1]/hook'
+    ]) {
+      await assert.rejects(assertPublicWebhookUrl(url), refused('webhookUrl must point to a public address'), url);
+    }
+  });
+
+  it('refuses other spellings of loopback', async () => {
+    for (const url of ['http://0x7f000001/hook', 'http://2130706433/hook', 'http://localhost/hook']) {
+      await assert.rejects(assertPublicWebhookUrl(url), refused('webhookUrl must point to a public address'), url);
+    }
+  });
+});
+
+describe('webhookHttpAgent', () => {
+  it('refuses to connect to a host that resolves to a private address', async () => {
+    let reached = false;
+    const server = http.createServer((req, res) => {
+      reached = true;
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const error = await new Promise((resolve, reject) => {
+        http.get(`http://localhost:${server.address().port}/`, { agent: webhookHttpAgent }, () => reject(new Error('connected')))
+          .on('error', resolve);
+      });
+      assert.equal(error.message, 'webhookUrl must point to a public address');
+      assert.equal(reached, false);
+    } finally {
+      server.close();
+    }
+  });
+});
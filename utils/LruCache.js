@@ -0,0 +1,50 @@
+// Minimal in-process LRU cache with per-entry expiry.
+// Map preserves insertion order, so the first key is always the least recently used.
+export default class LruCache {
+  constructor(maxEntries = 500) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      storedAt: Date.now(),
+      expiresAt: Date.now() + ttlSeconds * 1000
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
@@ -0,0 +1,67 @@
+// Back-adjust daily bars (ordered oldest first) for corporate actions.
+//
+// Walking from the newest bar backwards, every split on day i divides the
+// prices of all earlier bars by its coefficient (and multiplies their volume),
+// and every dividend on day i scales earlier prices by 1 - dividend / previous
+// close, so returns computed from the adjusted series include the payout.
+
+export const ADJUSTMENT_MODES = ['none', 'split', 'total'];
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Price and volume multipliers for each bar, aligned with `bars`
+export const adjustmentFactors = (bars, mode = 'total') => {
+  const factors = new Array(bars.length);
+  let priceFactor = 1;
+  let volumeFactor = 1;
+
+  for (let i = bars.length - 1; i >= 0; i--) {
+    factors[i] = { price: priceFactor, volume: volumeFactor };
+
+    const { splitCoefficient = 1, dividendAmount = 0 } = bars[i];
+    const previousClose = i > 0 ? bars[i - 1].close : null;
+
+    if (mode === 'split' || mode === 'total') {
+      if (splitCoefficient && splitCoefficient !== 1) {
+        priceFactor /= splitCoefficient;
+        volumeFactor *= splitCoefficient;
+      }
+    }
+
+    // The dividend is quoted per post-split share, so compare it with the
+    // previous close expressed in post-split terms
+    if (mode === 'total' && dividendAmount > 0 && previousClose > 0) {
+      const ratio = 1 - (dividendAmount * (splitCoefficient || 1)) / previousClose;
+      if (ratio > 0) {
+        priceFactor *= ratio;
+      }
+    }
+  }
+
+  return factors;
+};
+
+// Total-return adjusted closes, as Alpha Vantage reports in "adjusted close"
+export const adjustedCloses = (bars) =>
+  adjustmentFactors(bars, 'total').map((factor, i) => round(bars[i].close * factor.price));
+
+// Adjusted copy of the bars. Raw corporate-action fields are kept so the
+// adjustment stays traceable.
+export const adjustBars = (bars, mode = 'none') => {
+  if (mode === 'none') {
+    return bars;
+  }
+
+  const factors = adjustmentFactors(bars, mode);
+  const totalCloses = adjustedCloses(bars);
+
+  return bars.map((bar, i) => ({
+    ...bar,
+    open: round(bar.open * factors[i].price),
+    high: round(bar.high * factors[i].price),
+    low: round(bar.low * factors[i].price),
+    close: round(bar.close * factors[i].price),
+    volume: Math.round(bar.volume * factors[i].volume),
+    adjustedClose: totalCloses[i]
+  }));
+};
@@ -0,0 +1,66 @@
+import { OUTLIER_MIN_MOVE, OUTLIER_MAD_MULTIPLIER } from "../constants/quality.js";
+
+// Checks for a single bar with numeric fields (NaN where a value could not be
+// parsed). Returns the problems found, empty for a valid bar.
+export const barIssues = ({ open, high, low, close, volume }) => {
+  const prices = [open, high, low, close];
+  if (!prices.every(Number.isFinite)) {
+    return ["unparseable_price"];
+  }
+
+  const issues = [];
+  if (prices.some(price => price <= 0)) {
+    issues.push("non_positive_price");
+  }
+  if (high < low) {
+    issues.push("high_below_low");
+  } else if ([open, close].some(price => price < low || price > high)) {
+    issues.push("outside_high_low_range");
+  }
+  if (!Number.isFinite(volume)) {
+    issues.push("unparseable_volume");
+  } else if (volume < 0) {
+    issues.push("negative_volume");
+  }
+  return issues;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Close-to-close moves far outside the series' usual range, e.g. a missing
+// decimal point. Moves on split dates are expected and skipped. `bars` must be
+// valid and ordered oldest first.
+export const findOutliers = (bars) => {
+  const moves = [];
+  for (let index = 1; index < bars.length; index++) {
+    if ((bars[index].splitCoefficient ?? 1) !== 1) {
+      continue;
+    }
+    moves.push({
+      bar: bars[index],
+      previousClose: bars[index - 1].close,
+      change: bars[index].close / bars[index - 1].close - 1
+    });
+  }
+  if (moves.length < 2) {
+    return [];
+  }
+
+  const typical = median(moves.map(move => move.change));
+  const deviation = median(moves.map(move => Math.abs(move.change - typical)));
+
+  return moves
+    .filter(({ change }) =>
+      Math.abs(change) >= OUTLIER_MIN_MOVE &&
+      Math.abs(change - typical) > OUTLIER_MAD_MULTIPLIER * deviation)
+    .map(({ bar, previousClose, change }) => ({
+      timestamp: bar.timestamp,
+      close: bar.close,
+      previousClose,
+      change: Number(change.toFixed(4))
+    }));
+};
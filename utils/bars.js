@@ -0,0 +1,54 @@
+import ApiError from "./ApiError.js";
+import { toZonedIso } from "./time.js";
+
+// Typed OHLCV bars for the v2 API: { t, o, h, l, c, v }, with `t` an ISO 8601
+// timestamp carrying its UTC offset
+
+export const DEFAULT_PAGE_LIMIT = 1000;
+export const MAX_PAGE_LIMIT = 5000;
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}(:\d{2})?)?$/;
+
+export const toTypedBar = (bar, timeZone) => ({
+  t: toZonedIso(bar.timestamp, timeZone),
+  o: bar.open,
+  h: bar.high,
+  l: bar.low,
+  c: bar.close,
+  v: bar.volume
+});
+
+// Cursors are opaque to clients: the wall-clock timestamp of the last bar served
+export const encodeCursor = (timestamp) => Buffer.from(timestamp, 'utf8').toString('base64url');
+
+export const decodeCursor = (cursor) => {
+  const timestamp = Buffer.from(String(cursor), 'base64url').toString('utf8');
+  if (!TIMESTAMP_PATTERN.test(timestamp)) {
+    throw new ApiError(400, 'Invalid cursor');
+  }
+  return timestamp;
+};
+
+// One page of bars (oldest first) after the cursor, within start/end given as
+// dates or date-times in the series' time zone (the exchange's unless ?tz= is
+// set). An end date without a time covers the whole day.
+export const paginateBars = (bars, { start, end, cursor, limit = DEFAULT_PAGE_LIMIT } = {}) => {
+  const after = cursor ? decodeCursor(cursor) : null;
+  const from = start ? start.replace('T', ' ') : null;
+  const to = end ? end.replace('T', ' ') : null;
+
+  const matching = bars.filter(bar =>
+    (!from || bar.timestamp >= from) &&
+    (!to || bar.timestamp.slice(0, to.length) <= to)
+  );
+  const remaining = after ? matching.filter(bar => bar.timestamp > after) : matching;
+  const page = remaining.slice(0, limit);
+  const hasMore = remaining.length > page.length;
+
+  return {
+    page,
+    total: matching.length,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1].timestamp) : null
+  };
+};
@@ -0,0 +1,14 @@
+import crypto from "crypto";
+import { API_KEY_HEADER } from "../constants/rateLimit.js";
+
+// Stable identifier for the calling client: the authenticated client when
+// there is one, otherwise a hash of the X-API-Key header (never the raw key).
+// Returns null for anonymous callers.
+export const getClientId = (req) => {
+  if (req.client?.id) {
+    return String(req.client.id);
+  }
+
+  const apiKey = req.get(API_KEY_HEADER);
+  return apiKey ? crypto.createHash("sha256").update(apiKey).digest("hex") : null;
+};
@@ -0,0 +1,20 @@
+// Run `task` over every item with at most `limit` in flight, keeping result order.
+// Rejections are returned as { error } entries rather than failing the whole run.
+export const mapWithConcurrency = async (items, limit, task) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { value: await task(items[index], index) };
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
@@ -0,0 +1,145 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week")
+// evaluated against the wall clock of an IANA time zone.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MINUTE_MS = 60 * 1000;
+// Search horizon for the next run; covers schedules like "0 0 29 2 *"
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+const parseValue = (value, field) => {
+  const index = field.names?.indexOf(value.toUpperCase()) ?? -1;
+  if (index !== -1) {
+    return index + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+  const number = Number(value);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value ${number} is outside ${field.min}-${field.max}`);
+  }
+  return number;
+};
+
+const parseField = (source, field) => {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${field.name} step "${stepText}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+    if (start > end) {
+      throw new Error(`Invalid ${field.name} range "${range}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // 7 is an alias for Sunday
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+};
+
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have ${FIELDS.length} fields`);
+  }
+
+  const schedule = { expression };
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+  // Standard cron: when both day fields are restricted, either may match
+  schedule.anyDay = parts[2] === '*' || parts[4] === '*';
+  return schedule;
+};
+
+const formatters = new Map();
+
+// Wall-clock parts of `date` in `timeZone`
+const zonedParts = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+};
+
+const matchesDay = (schedule, parts) => {
+  const dayOfMonth = schedule.dayOfMonth.has(parts.day);
+  const dayOfWeek = schedule.dayOfWeek.has(parts.weekday);
+  return schedule.anyDay ? dayOfMonth && dayOfWeek : dayOfMonth || dayOfWeek;
+};
+
+// First minute strictly after `from` matching the schedule, or null
+const nextCronRun = (scheduleOrExpression, from = new Date(), timeZone = 'UTC') => {
+  const schedule = typeof scheduleOrExpression === 'string'
+    ? parseCron(scheduleOrExpression)
+    : scheduleOrExpression;
+
+  let time = Math.floor(new Date(from).getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const limit = time + MAX_SEARCH_MS;
+
+  while (time < limit) {
+    const parts = zonedParts(new Date(time), timeZone);
+
+    if (!schedule.month.has(parts.month) || !matchesDay(schedule, parts) || !schedule.hour.has(parts.hour)) {
+      // Skip to the start of the next wall-clock hour
+      time += (60 - parts.minute) * MINUTE_MS;
+    } else if (!schedule.minute.has(parts.minute)) {
+      time += MINUTE_MS;
+    } else {
+      return new Date(time);
+    }
+  }
+
+  return null;
+};
+
+export { parseCron, nextCronRun, zonedParts };
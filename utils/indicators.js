@@ -0,0 +1,123 @@
+// Technical indicators over an array of numbers ordered oldest first.
+// Every function returns an array aligned with its input, holding null
+// wherever there are not yet enough values to compute the indicator.
+
+const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+
+export const sma = (values, period = 20) => {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) {
+      sum -= values[i - period];
+    }
+    if (i >= period - 1) {
+      result[i] = sum / period;
+    }
+  }
+
+  return result.map(round);
+};
+
+// Seeded with the SMA of the first `period` values
+const emaUnrounded = (values, period) => {
+  const result = new Array(values.length).fill(null);
+  if (values.length < period) {
+    return result;
+  }
+
+  const k = 2 / (period + 1);
+  let previous = values.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+  result[period - 1] = previous;
+
+  for (let i = period; i < values.length; i++) {
+    previous = values[i] * k + previous * (1 - k);
+    result[i] = previous;
+  }
+
+  return result;
+};
+
+export const ema = (values, period = 20) => emaUnrounded(values, period).map(round);
+
+// Relative Strength Index using Wilder's smoothing
+export const rsi = (values, period = 14) => {
+  const result = new Array(values.length).fill(null);
+  if (values.length <= period) {
+    return result;
+  }
+
+  let gains = 0;
+  let losses = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    gains += Math.max(change, 0);
+    losses += Math.max(-change, 0);
+  }
+
+  let averageGain = gains / period;
+  let averageLoss = losses / period;
+  const toRsi = () => (averageLoss === 0 ? 100 : 100 - 100 / (1 + averageGain / averageLoss));
+  result[period] = toRsi();
+
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    averageGain = (averageGain * (period - 1) + Math.max(change, 0)) / period;
+    averageLoss = (averageLoss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = toRsi();
+  }
+
+  return result.map(round);
+};
+
+export const macd = (values, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) => {
+  const fast = emaUnrounded(values, fastPeriod);
+  const slow = emaUnrounded(values, slowPeriod);
+  const macdLine = values.map((_, i) => (fast[i] === null || slow[i] === null ? null : fast[i] - slow[i]));
+
+  // The signal line is an EMA over the defined part of the MACD line
+  const firstDefined = macdLine.findIndex(value => value !== null);
+  const signal = new Array(values.length).fill(null);
+  if (firstDefined !== -1) {
+    emaUnrounded(macdLine.slice(firstDefined), signalPeriod)
+      .forEach((value, i) => { signal[firstDefined + i] = value; });
+  }
+
+  return macdLine.map((value, i) => (value === null ? null : {
+    macd: round(value),
+    signal: round(signal[i]),
+    histogram: signal[i] === null ? null : round(value - signal[i])
+  }));
+};
+
+// Bollinger Bands: SMA with bands `stdDev` population standard deviations away
+export const bbands = (values, period = 20, stdDev = 2) => {
+  const middle = sma(values, period);
+
+  return values.map((_, i) => {
+    if (middle[i] === null) {
+      return null;
+    }
+    const window = values.slice(i - period + 1, i + 1);
+    const mean = window.reduce((sum, value) => sum + value, 0) / period;
+    const deviation = Math.sqrt(window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period);
+
+    return {
+      upper: round(mean + stdDev * deviation),
+      middle: middle[i],
+      lower: round(mean - stdDev * deviation)
+    };
+  });
+};
+
+export const INDICATORS = ['sma', 'ema', 'rsi', 'macd', 'bbands'];
+
+// Default look-back periods
+export const DEFAULT_PERIODS = {
+  sma: 20,
+  ema: 20,
+  rsi: 14,
+  bbands: 20
+};
@@ -0,0 +1,216 @@
+import { SPECIAL_CLOSURES, SESSION_HOURS, EXCHANGE_TIME_ZONE } from "../constants/market.js";
+import { formatWallClock } from "./time.js";
+
+// NYSE/NASDAQ trading calendar: weekdays other than exchange holidays and
+// one-off closures, and the session hours of each trading day. Dates are
+// exchange-local "YYYY-MM-DD" strings and times exchange-local "HH:MM".
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (time) => new Date(time).toISOString().slice(0, 10);
+
+const utcDate = (year, month, day) => Date.UTC(year, month - 1, day);
+
+// The `nth` (1-based) `weekday` of a month; a negative `nth` counts from the end
+const nthWeekday = (year, month, weekday, nth) => {
+  if (nth > 0) {
+    const first = new Date(utcDate(year, month, 1)).getUTCDay();
+    return utcDate(year, month, 1 + ((weekday - first + 7) % 7) + (nth - 1) * 7);
+  }
+  const lastDay = new Date(utcDate(year, month + 1, 0));
+  const offset = (lastDay.getUTCDay() - weekday + 7) % 7;
+  return lastDay.getTime() - (offset + (-nth - 1) * 7) * DAY_MS;
+};
+
+// Western Easter Sunday (anonymous Gregorian algorithm)
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month, day);
+};
+
+// Fixed-date holidays move to Friday when on a Saturday and Monday when on a
+// Sunday. New Year's Day on a Saturday is not observed, since the Friday
+// would fall in the previous year.
+const observed = (time, { skipSaturday = false } = {}) => {
+  const weekday = new Date(time).getUTCDay();
+  if (weekday === 6) {
+    return skipSaturday ? null : time - DAY_MS;
+  }
+  return weekday === 0 ? time + DAY_MS : time;
+};
+
+const holidayCache = new Map();
+
+// Map of holiday date -> name for one year
+const holidaysInYear = (year) => {
+  if (holidayCache.has(year)) {
+    return holidayCache.get(year);
+  }
+
+  const holidays = [
+    ["New Year's Day", observed(utcDate(year, 1, 1), { skipSaturday: true })],
+    ["Martin Luther King Jr. Day", nthWeekday(year, 1, 1, 3)],
+    ["Washington's Birthday", nthWeekday(year, 2, 1, 3)],
+    ["Good Friday", easterSunday(year) - 2 * DAY_MS],
+    ["Memorial Day", nthWeekday(year, 5, 1, -1)],
+    ...(year >= 2022 ? [["Juneteenth", observed(utcDate(year, 6, 19))]] : []),
+    ["Independence Day", observed(utcDate(year, 7, 4))],
+    ["Labor Day", nthWeekday(year, 9, 1, 1)],
+    ["Thanksgiving Day", nthWeekday(year, 11, 4, 4)],
+    ["Christmas Day", observed(utcDate(year, 12, 25))]
+  ];
+
+  const byDate = new Map(
+    holidays
+      .filter(([, time]) => time !== null)
+      .map(([name, time]) => [toDateString(time), name])
+  );
+  holidayCache.set(year, byDate);
+  return byDate;
+};
+
+const earlyCloseCache = new Map();
+
+// Map of early-close date -> occasion for one year. The eves of Independence
+// Day and Christmas close early only when they fall Monday to Thursday; on a
+// Friday they are the observed holiday instead.
+const earlyClosesInYear = (year) => {
+  if (earlyCloseCache.has(year)) {
+    return earlyCloseCache.get(year);
+  }
+
+  const isMondayToThursday = (time) => [1, 2, 3, 4].includes(new Date(time).getUTCDay());
+  const independenceEve = utcDate(year, 7, 3);
+  const christmasEve = utcDate(year, 12, 24);
+  const earlyCloses = [
+    ...(isMondayToThursday(independenceEve) ? [["Independence Day Eve", independenceEve]] : []),
+    ["Day after Thanksgiving", nthWeekday(year, 11, 4, 4) + DAY_MS],
+    ...(isMondayToThursday(christmasEve) ? [["Christmas Eve", christmasEve]] : [])
+  ];
+
+  const byDate = new Map(earlyCloses.map(([name, time]) => [toDateString(time), name]));
+  earlyCloseCache.set(year, byDate);
+  return byDate;
+};
+
+export const getHoliday = (date) =>
+  holidaysInYear(Number(date.slice(0, 4))).get(date.slice(0, 10)) || SPECIAL_CLOSURES[date.slice(0, 10)] || null;
+
+export const isTradingDay = (date) => {
+  const weekday = new Date(`${date.slice(0, 10)}T00:00:00Z`).getUTCDay();
+  return weekday !== 0 && weekday !== 6 && !getHoliday(date);
+};
+
+// Trading days from `startDate` through `endDate`, inclusive
+export const tradingDaysBetween = (startDate, endDate) => {
+  const days = [];
+  const end = Date.parse(`${endDate.slice(0, 10)}T00:00:00Z`);
+  for (let time = Date.parse(`${startDate.slice(0, 10)}T00:00:00Z`); time <= end; time += DAY_MS) {
+    const date = toDateString(time);
+    if (isTradingDay(date)) {
+      days.push(date);
+    }
+  }
+  return days;
+};
+
+// Weekdays the exchange is closed from `startDate` through `endDate`, as { date, name }
+export const holidaysBetween = (startDate, endDate) => {
+  const holidays = [];
+  const end = Date.parse(`${endDate.slice(0, 10)}T00:00:00Z`);
+  for (let time = Date.parse(`${startDate.slice(0, 10)}T00:00:00Z`); time <= end; time += DAY_MS) {
+    const date = toDateString(time);
+    const weekday = new Date(time).getUTCDay();
+    if (weekday !== 0 && weekday !== 6 && getHoliday(date)) {
+      holidays.push({ date, name: getHoliday(date) });
+    }
+  }
+  return holidays;
+};
+
+// Occasion of an early close (13:00) on `date`, or null for a full session
+export const getEarlyClose = (date) =>
+  isTradingDay(date) ? earlyClosesInYear(Number(date.slice(0, 4))).get(date.slice(0, 10)) || null : null;
+
+const shiftTradingDay = (date, step) => {
+  let time = Date.parse(`${date.slice(0, 10)}T00:00:00Z`);
+  do {
+    time += step * DAY_MS;
+  } while (!isTradingDay(toDateString(time)));
+  return toDateString(time);
+};
+
+// First trading day after `date`
+export const nextTradingDay = (date) => shiftTradingDay(date, 1);
+
+// Last trading day before `date`
+export const previousTradingDay = (date) => shiftTradingDay(date, -1);
+
+// "09:30" -> 570
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Sessions of a trading day as { open, close } times, or null when the
+// exchange is closed. `earlyClose` names the occasion of a shortened day.
+export const getSession = (date) => {
+  const day = date.slice(0, 10);
+  if (!isTradingDay(day)) {
+    return null;
+  }
+
+  const earlyClose = getEarlyClose(day);
+  const regularClose = earlyClose ? SESSION_HOURS.earlyRegularClose : SESSION_HOURS.regularClose;
+  return {
+    date: day,
+    earlyClose,
+    preMarket: { open: SESSION_HOURS.preMarketOpen, close: SESSION_HOURS.regularOpen },
+    regular: { open: SESSION_HOURS.regularOpen, close: regularClose },
+    afterHours: {
+      open: regularClose,
+      close: earlyClose ? SESSION_HOURS.earlyAfterHoursClose : SESSION_HOURS.afterHoursClose
+    }
+  };
+};
+
+// Exchange wall-clock time of `now`, "YYYY-MM-DD HH:MM:SS"
+export const exchangeTime = (now = new Date()) => formatWallClock(now, EXCHANGE_TIME_ZONE);
+
+// Where the exchange is in its trading day: pre-market, open, after-hours or
+// closed, with the wall-clock time and today's sessions (null when closed all day)
+export const getMarketPhase = (now = new Date()) => {
+  const wallClock = exchangeTime(now);
+  const session = getSession(wallClock);
+  const time = wallClock.slice(11, 16);
+
+  let phase = 'closed';
+  if (session && time >= session.preMarket.open && time < session.afterHours.close) {
+    if (time < session.regular.open) {
+      phase = 'pre-market';
+    } else {
+      phase = time < session.regular.close ? 'open' : 'after-hours';
+    }
+  }
+  return { wallClock, date: wallClock.slice(0, 10), phase, session };
+};
+
+// Whether the regular session of `date` is over (days without one count as
+// over once they begin)
+export const isRegularSessionClosed = (date, now = new Date()) => {
+  const session = getSession(date);
+  return `${date.slice(0, 10)} ${session ? session.regular.close : '00:00'}` <= exchangeTime(now).slice(0, 16);
+};
@@ -0,0 +1,13 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Per-request state that follows the request through async calls, so deep
+// services (e.g. the quota governor) can attribute work to the caller
+const storage = new AsyncLocalStorage();
+
+export const runWithRequestContext = (context, callback) => storage.run(context, callback);
+
+export const getRequestContext = () => storage.getStore();
+
+// Run `callback` detached from the current request, for shared work such as
+// timers that outlive it
+export const runOutsideRequestContext = (callback) => storage.exit(callback);
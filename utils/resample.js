@@ -0,0 +1,90 @@
+// Aggregate OHLCV bars (ordered oldest first) into larger candles.
+// Timestamps are exchange-local strings ("YYYY-MM-DD" or "YYYY-MM-DD HH:mm:ss"),
+// so buckets follow exchange calendar days without any time zone conversion.
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Monday of the week containing the given exchange date
+export const weekKey = (timestamp) => {
+  const date = new Date(`${timestamp.slice(0, 10)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+};
+
+export const monthKey = (timestamp) => timestamp.slice(0, 7);
+
+// Parse an interval such as "15min", "60min" or "2h" into minutes
+export const parseIntervalMinutes = (interval) => {
+  const match = /^(\d+)\s*(min|h)$/i.exec(String(interval).trim());
+  if (!match) {
+    return null;
+  }
+  const value = Number(match[1]);
+  return match[2].toLowerCase() === 'h' ? value * 60 : value;
+};
+
+// Start of the clock-aligned bucket holding an intraday timestamp, e.g.
+// 09:35 falls in the 09:00 bucket for 60 minute candles (matching upstream 60min bars)
+export const intradayBucketKey = (timestamp, minutes) => {
+  const [datePart, timePart = '00:00:00'] = timestamp.split(' ');
+  const [hours, mins] = timePart.split(':').map(Number);
+  const bucketStart = Math.floor((hours * 60 + mins) / minutes) * minutes;
+  return `${datePart} ${pad(Math.floor(bucketStart / 60))}:${pad(bucketStart % 60)}:00`;
+};
+
+// Group bars by keyFn and fold each group into a single candle. Daily-only fields
+// (adjustedClose, dividendAmount, splitCoefficient) are carried through when present.
+// When labelByLastBar is set the candle takes the timestamp of its last bar, which is
+// how weekly and monthly series are labelled upstream.
+export const resampleBars = (bars, keyFn, { labelByLastBar = false } = {}) => {
+  const candles = [];
+  let current = null;
+  let currentKey = null;
+
+  for (const bar of bars) {
+    const key = keyFn(bar.timestamp);
+
+    if (key !== currentKey) {
+      current = {
+        timestamp: key,
+        open: bar.open,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close,
+        volume: bar.volume,
+        ...(bar.adjustedClose !== undefined && { adjustedClose: bar.adjustedClose }),
+        ...(bar.dividendAmount !== undefined && { dividendAmount: bar.dividendAmount }),
+        ...(bar.splitCoefficient !== undefined && { splitCoefficient: bar.splitCoefficient })
+      };
+      currentKey = key;
+      candles.push(current);
+    } else {
+      current.high = Math.max(current.high, bar.high);
+      current.low = Math.min(current.low, bar.low);
+      current.close = bar.close;
+      current.volume += bar.volume;
+      if (bar.adjustedClose !== undefined) {
+        current.adjustedClose = bar.adjustedClose;
+      }
+      if (bar.dividendAmount !== undefined) {
+        current.dividendAmount = (current.dividendAmount || 0) + bar.dividendAmount;
+      }
+      if (bar.splitCoefficient !== undefined) {
+        current.splitCoefficient = (current.splitCoefficient || 1) * bar.splitCoefficient;
+      }
+    }
+
+    if (labelByLastBar) {
+      current.timestamp = bar.timestamp;
+    }
+  }
+
+  return candles;
+};
+
+export const toWeeklyBars = (dailyBars) => resampleBars(dailyBars, weekKey, { labelByLastBar: true });
+
+export const toMonthlyBars = (dailyBars) => resampleBars(dailyBars, monthKey, { labelByLastBar: true });
+
+export const toIntradayBars = (bars, minutes) =>
+  resampleBars(bars, (timestamp) => intradayBucketKey(timestamp, minutes));
@@ -0,0 +1,26 @@
+const ROUTE_PATTERN = Symbol("routePattern");
+
+// Note the full route pattern (e.g. "/api/stocks/:symbol/daily") as the router
+// matches it. Routers reset baseUrl on the way out, so it cannot be read back
+// once the response is done. Returns a getter, null for unmatched requests.
+export const trackRoutePattern = (req) => {
+  if (req[ROUTE_PATTERN]) {
+    return req[ROUTE_PATTERN];
+  }
+
+  let route;
+  let pattern = null;
+
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      pattern = value ? `${req.baseUrl}${value.path}`.replace(/(.)\/$/, "$1") : pattern;
+    },
+  });
+
+  req[ROUTE_PATTERN] = () => pattern;
+  return req[ROUTE_PATTERN];
+};
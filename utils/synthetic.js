@@ -0,0 +1,140 @@
+import { tradingDaysBetween } from "./marketCalendar.js";
+
+// Deterministic synthetic OHLCV bars for offline development and CI.
+// Daily closes follow a geometric Brownian motion per symbol, pulled gently
+// towards a trend line so decades of history stay in a plausible price range,
+// with overnight gaps and volume that rises with the size of the move. Intraday bars bridge
+// each day's open to its close, with the usual U-shaped volume profile.
+// Every value comes from seeded generators, so the same symbol and seed
+// always produce the same bars.
+
+const TRADING_DAYS_PER_YEAR = 252;
+// Daily pull of the log price back towards the trend (half-life of about 18 months)
+const MEAN_REVERSION = 0.0015;
+
+const pad = (value) => String(value).padStart(2, '0');
+const round = (value, places = 2) => Number(value.toFixed(places));
+
+// FNV-1a hash of a string, used to derive seeds
+export const hashSeed = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: small, fast and good enough for price paths. Returns [0, 1).
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal sample (Box-Muller)
+const normal = (random) =>
+  Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+// Starting price, annual drift and volatility, and typical daily volume of a symbol
+const symbolProfile = (symbol, seed) => {
+  const random = createRandom(hashSeed(`${seed}:${symbol}:profile`));
+  return {
+    startPrice: 20 + random() * 480,
+    drift: -0.02 + random() * 0.1,
+    volatility: 0.15 + random() * 0.45,
+    volume: 1e6 * Math.exp(random() * Math.log(50))
+  };
+};
+
+// Daily bars from `startDate` through `endDate`, oldest first. The walk always
+// starts at `startDate`, so a day's bar does not depend on the requested range.
+export const generateDailyBars = (symbol, { startDate, endDate, seed = '' }) => {
+  const profile = symbolProfile(symbol, seed);
+  const random = createRandom(hashSeed(`${seed}:${symbol}:daily`));
+  const dailyVolatility = profile.volatility / Math.sqrt(TRADING_DAYS_PER_YEAR);
+  const dailyDrift = profile.drift / TRADING_DAYS_PER_YEAR;
+
+  let previousClose = profile.startPrice;
+  return tradingDaysBetween(startDate, endDate).map((timestamp, day) => {
+    // Overnight gap, with an occasional news-sized jump
+    const jump = random() < 0.02 ? normal(random) * dailyVolatility * 3 : 0;
+    const open = previousClose * Math.exp(normal(random) * dailyVolatility * 0.3 + jump);
+    const trend = Math.log(profile.startPrice) + dailyDrift * day;
+    const move = dailyDrift - MEAN_REVERSION * (Math.log(open) - trend) + normal(random) * dailyVolatility;
+    const close = open * Math.exp(move);
+    const high = Math.max(open, close) * Math.exp(Math.abs(normal(random)) * dailyVolatility * 0.5);
+    const low = Math.min(open, close) * Math.exp(-Math.abs(normal(random)) * dailyVolatility * 0.5);
+    const volume = profile.volume * Math.exp(normal(random) * 0.3) * (1 + Math.abs(move + jump) / dailyVolatility);
+
+    previousClose = close;
+    return {
+      timestamp,
+      open: round(open),
+      high: round(high),
+      low: round(low),
+      close: round(close),
+      volume: Math.round(volume)
+    };
+  });
+};
+
+// Intraday bars for one trading day, bridging the daily bar's open to its
+// close. `session` is [open, close) in minutes after midnight, exchange time.
+export const generateIntradayBars = (symbol, dailyBar, { intervalMinutes, session, seed = '' }) => {
+  // Bars sit on the clock grid like upstream ones, so 60min bars start at 09:00
+  const [sessionOpen, sessionClose] = session;
+  const firstStart = Math.floor(sessionOpen / intervalMinutes) * intervalMinutes;
+  const count = Math.ceil((sessionClose - firstStart) / intervalMinutes);
+  if (count < 1) {
+    return [];
+  }
+
+  const random = createRandom(hashSeed(`${seed}:${symbol}:${dailyBar.timestamp}:${intervalMinutes}`));
+  const stepVolatility = Math.abs(Math.log(dailyBar.high / dailyBar.low)) / Math.sqrt(count) / 2 || 0.001;
+
+  // Random walk in log price, then bent so it ends exactly at the close
+  const walk = [0];
+  for (let i = 1; i <= count; i += 1) {
+    walk.push(walk[i - 1] + normal(random) * stepVolatility);
+  }
+  const target = Math.log(dailyBar.close / dailyBar.open);
+  const path = walk.map((value, i) => Math.log(dailyBar.open) + value - (i / count) * (walk[count] - target));
+
+  // Heavier trading at the open and close
+  const weights = Array.from({ length: count }, (_, i) => 1 + 8 * ((i + 0.5) / count - 0.5) ** 2);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  // Intraday prices stay within the daily bar's range
+  const clamp = (price) => Math.min(dailyBar.high, Math.max(dailyBar.low, price));
+
+  const bars = [];
+  for (let i = 0; i < count; i += 1) {
+    const open = clamp(Math.exp(path[i]));
+    const close = clamp(Math.exp(path[i + 1]));
+    const high = clamp(Math.max(open, close) * Math.exp(Math.abs(normal(random)) * stepVolatility * 0.5));
+    const low = clamp(Math.min(open, close) * Math.exp(-Math.abs(normal(random)) * stepVolatility * 0.5));
+    const volume = dailyBar.volume * (weights[i] / totalWeight) * Math.exp(normal(random) * 0.25);
+
+    // Thin one-minute bars sometimes see no trades, leaving a gap
+    if (intervalMinutes === 1 && random() < 0.01) {
+      continue;
+    }
+
+    const minutes = firstStart + i * intervalMinutes;
+    bars.push({
+      timestamp: `${dailyBar.timestamp} ${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:00`,
+      open: round(open, 4),
+      high: round(high, 4),
+      low: round(low, 4),
+      close: round(close, 4),
+      volume: Math.round(volume)
+    });
+  }
+  return bars;
+};
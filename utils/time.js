@@ -0,0 +1,72 @@
+// Conversions between exchange wall-clock timestamps ("2024-01-03 10:00:00",
+// as providers report them) and absolute ISO 8601 times.
+
+const offsetFormatters = new Map();
+
+// IANA name for a zone, resolving aliases such as "US/Eastern"
+const canonicalTimeZone = (timeZone) =>
+  new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+
+// UTC offset of `timeZone` at `date`, in minutes (e.g. -300 for EST)
+const offsetMinutesAt = (date, timeZone) => {
+  if (!offsetFormatters.has(timeZone)) {
+    offsetFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' }));
+  }
+  const name = offsetFormatters.get(timeZone)
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName').value;
+
+  const match = /GMT([+-])(\d{2}):(\d{2})/.exec(name);
+  if (!match) {
+    return 0;
+  }
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+};
+
+// "2024-01-03 10:00:00" or "2024-01-03" in `timeZone` -> "2024-01-03T10:00:00-05:00"
+const toZonedIso = (timestamp, timeZone) => {
+  const [datePart, timePart = '00:00:00'] = timestamp.trim().split(/[ T]/);
+  const [year, month, day] = datePart.split('-').map(Number);
+  const [hour = 0, minute = 0, second = 0] = timePart.split(':').map(Number);
+
+  // Resolve the offset in force at that wall-clock time, re-checking across DST changes
+  const wallClockMs = Date.UTC(year, month - 1, day, hour, minute, second);
+  let offset = offsetMinutesAt(new Date(wallClockMs), timeZone);
+  const corrected = offsetMinutesAt(new Date(wallClockMs - offset * 60 * 1000), timeZone);
+  if (corrected !== offset) {
+    offset = corrected;
+  }
+
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${formatOffset(offset)}`;
+};
+
+// Wall-clock timestamp in `timeZone` -> Date
+const zonedTimeToDate = (timestamp, timeZone) => new Date(toZonedIso(timestamp, timeZone));
+
+// Date -> "2024-01-03 10:00:00" wall-clock time in `timeZone`
+const formatWallClock = (date, timeZone) =>
+  new Date(date.getTime() + offsetMinutesAt(date, timeZone) * 60 * 1000)
+    .toISOString()
+    .slice(0, 19)
+    .replace('T', ' ');
+
+// Re-express a wall-clock timestamp from one zone in another
+const convertWallClock = (timestamp, fromTimeZone, toTimeZone) =>
+  formatWallClock(zonedTimeToDate(timestamp, fromTimeZone), toTimeZone);
+
+export {
+  canonicalTimeZone,
+  offsetMinutesAt,
+  toZonedIso,
+  zonedTimeToDate,
+  formatWallClock,
+  convertWallClock
+};
@@ -0,0 +1,108 @@
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import ApiError from "./ApiError.js";
+import { WEBHOOK_ALLOW_PRIVATE_TARGETS } from "../constants/alerts.js";
+
+// Webhooks are sent to URLs clients choose, so they may only reach public
+// addresses: never loopback, private, link-local (including cloud metadata at
+// 169.254.169.254) or other reserved ranges. Hosts are checked when a rule is
+// saved and again, through the agents below, on every connection, so a name
+// re-pointed at an internal address later is still refused.
+
+const blocked = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  blocked.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  blocked.addSubnet(network, prefix, 'ipv6');
+}
+
+const isPublicAddress = (address) => {
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIPv4(ip) ? 'ipv4' : 'ipv6';
+  return !blocked.check(ip, family);
+};
+
+const REFUSED_MESSAGE = 'webhookUrl must point to a public address';
+
+// dns.lookup replacement for outgoing webhook connections: resolves as usual
+// and refuses the connection if any address is not public
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (!WEBHOOK_ALLOW_PRIVATE_TARGETS && addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(new Error(REFUSED_MESSAGE));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+export const webhookHttpAgent = new http.Agent({ lookup: publicLookup });
+export const webhookHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+// Throws a 400 ApiError unless `value` is an http(s) URL whose host resolves
+// only to public addresses
+export const assertPublicWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new ApiError(400, "webhookUrl must be an http(s) URL");
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new ApiError(400, "webhookUrl must be an http(s) URL");
+  }
+  if (WEBHOOK_ALLOW_PRIVATE_TARGETS) {
+    return;
+  }
+
+  // IP literals never go through a lookup, so they are checked here
+  const host = url.hostname.replace(/^\[(.*)\]$/, "$1");
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+    } catch {
+      throw new ApiError(400, "webhookUrl host could not be resolved");
+    }
+  }
+
+  if (addresses.some(address => !isPublicAddress(address))) {
+    throw new ApiError(400, REFUSED_MESSAGE);
+  }
+};